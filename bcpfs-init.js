@@ -1,10 +1,30 @@
 // bcpfs-init.js - BC-PFS Platform Initialization
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
 const TransactionViewer = require('./transaction-viewer');
+const { saveDeployment, attachDeployment, recordedFactory, PLATFORM_CONTRACTS, EPHEMERAL_NETWORKS } = require('./deployment-registry');
 
+// Libraries holding the creation code of the platform contracts, linked into PlatformFactory
+const DEPLOYER_LIBRARIES = ['RegistrationDeployer', 'StatusReportingDeployer', 'SchedulingDeployer', 'SettlementDeployer'];
 
 
-async function initPlatform() {
+
+/**
+ * Deploy and wire the platform contracts, recorded in deployments/<network>.json (except on the
+ * in-process hardhat network), or attach to the recorded ones
+ * @param {Object} [options] - { policy, users, roles, attach, factory }: scheduling policy ({ name, id, beta, weights }),
+ *                             the users its weights refer to, the { scheduler, settler }
+ *                             accounts (default: the deployer, who is also the admin), whether
+ *                             to attach to the recorded deployment of the network instead of deploying,
+ *                             and whether to create the platform in one PlatformFactory transaction
+ */
+async function initPlatform(options = {}) {
+  if (options.attach) {
+    return attachPlatform(options);
+  }
+  if (options.factory) {
+    return createPlatform(options);
+  }
+
   // Global variables to store contract instances
   let registrationContract;
   let statusReportingContract;
@@ -60,6 +80,18 @@ async function initPlatform() {
   );
   console.log();
 
+  const SchedulingLogic = await ethers.getContractFactory("SchedulingLogic");
+  const logicTx = await SchedulingLogic.deploy();
+  const schedulingLogic = await SchedulingLogic.attach(logicTx.address);
+  console.log("✅ Scheduling logic deployed successfully");
+  await transactionViewer.captureTransaction(
+      logicTx, 
+      "Deploy scheduling logic", 
+      schedulingLogic, 
+      "constructor"
+  );
+  console.log();
+
   const SettlementContract = await ethers.getContractFactory("SettlementContract");
   const settlementTx = await SettlementContract.deploy();
   settlementContract = await SettlementContract.attach(settlementTx.address);
@@ -118,16 +150,267 @@ async function initPlatform() {
       [registrationContract.address]
   );
 
+  const tx5 = await schedulingContract.setSettlementContract(settlementContract.address);
+  console.log("✅ Scheduling contract connected to settlement contract");
+  await transactionViewer.captureTransaction(
+      tx5, 
+      "Connect scheduling contract to settlement contract", 
+      schedulingContract, 
+      "setSettlementContract", 
+      [settlementContract.address]
+  );
+
+  const tx6 = await statusReportingContract.setSchedulingContract(schedulingContract.address);
+  console.log("✅ Status reporting contract connected to scheduling contract");
+  await transactionViewer.captureTransaction(
+      tx6, 
+      "Connect status reporting contract to scheduling contract", 
+      statusReportingContract, 
+      "setSchedulingContract", 
+      [schedulingContract.address]
+  );
+
+  const tx7 = await schedulingContract.upgradeSchedulingLogic(schedulingLogic.address);
+  console.log("✅ Scheduling contract connected to scheduling logic");
+  await transactionViewer.captureTransaction(
+      tx7, 
+      "Connect scheduling contract to scheduling logic", 
+      schedulingContract, 
+      "upgradeSchedulingLogic", 
+      [schedulingLogic.address]
+  );
+
   console.log("🎉 Contract relationship configuration completed!\n");
-  console.log("🎉 Platform initialization completed!\n");
 
-  // Return contract instances
-  return {
+  await configureRoles(
+      { statusReportingContract, schedulingContract, settlementContract },
+      transactionViewer,
+      options.roles || {}
+  );
+
+  if (options.policy) {
+    await configurePolicy(schedulingContract, transactionViewer, options.policy, options.users || []);
+  }
+
+  const contracts = {
     registrationContract,
     statusReportingContract,
     schedulingContract,
     settlementContract
   };
+  if (!EPHEMERAL_NETWORKS.includes(network.name)) {
+    await saveDeployment(ethers, network.name, contracts, {
+      registrationContract: regTx.deployTransaction,
+      statusReportingContract: statusTx.deployTransaction,
+      schedulingContract: schedulingTx.deployTransaction,
+      settlementContract: settlementTx.deployTransaction
+    });
+    console.log(`💾 Deployment recorded: deployments/${network.name}.json`);
+  }
+
+  console.log("🎉 Platform initialization completed!\n");
+
+  // Return contract instances
+  return contracts;
+}
+
+// Create the platform with PlatformFactory: the four contracts are deployed and wired in one transaction
+async function createPlatform(options) {
+  console.log("\nPlatform initialization started...\n");
+  console.log("🏭 Step 1: Create the platform with PlatformFactory");
+  console.log("=================================================");
+
+  const transactionViewer = new TransactionViewer();
+  await ethers.provider.send("evm_setAutomine", [true]);
+
+  const factory = await getPlatformFactory(transactionViewer);
+  const roles = options.roles || {};
+  const args = [roles.scheduler || ethers.constants.AddressZero, roles.settler || ethers.constants.AddressZero];
+  const tx = await factory.createPlatform(...args);
+  const receipt = await tx.wait();
+  const created = receipt.events.find(e => e.event === "PlatformCreated").args;
+  console.log(`✅ Platform ${created.id} created, wired and handed over to ${created.admin}`);
+  await transactionViewer.captureTransaction(
+      tx, 
+      `Create platform ${created.id}`, 
+      { address: factory.address, interface: await platformEvents(factory) }, 
+      "createPlatform", 
+      args
+  );
+
+  const contracts = {};
+  for (const [key, name] of Object.entries(PLATFORM_CONTRACTS)) {
+    contracts[key] = await ethers.getContractAt(name, created[key]);
+  }
+  console.log("🎉 Platform created!\n");
+
+  if (options.policy) {
+    await configurePolicy(contracts.schedulingContract, transactionViewer, options.policy, options.users || []);
+  }
+
+  if (!EPHEMERAL_NETWORKS.includes(network.name)) {
+    const deployTransactions = Object.fromEntries(Object.keys(contracts).map(key => [key, tx]));
+    await saveDeployment(ethers, network.name, contracts, deployTransactions, { address: factory.address, platformId: created.id.toNumber() });
+    console.log(`💾 Deployment recorded: deployments/${network.name}.json`);
+  }
+
+  console.log("🎉 Platform initialization completed!\n");
+  return contracts;
+}
+
+// The factory recorded for the network if it is still on chain, otherwise a new one with its deployer libraries
+async function getPlatformFactory(transactionViewer) {
+  const recorded = EPHEMERAL_NETWORKS.includes(network.name) ? null : recordedFactory(network.name);
+  if (recorded && (await ethers.provider.getCode(recorded)) !== "0x") {
+    console.log(`✅ Platform factory at ${recorded}`);
+    return ethers.getContractAt("PlatformFactory", recorded);
+  }
+
+  const libraries = {};
+  for (const name of DEPLOYER_LIBRARIES) {
+    const library = await (await ethers.getContractFactory(name)).deploy();
+    libraries[name] = library.address;
+    console.log(`✅ ${name} library deployed`);
+    await transactionViewer.captureTransaction(
+        library.deployTransaction, 
+        `Deploy ${name} library`, 
+        library, 
+        "constructor"
+    );
+  }
+  const factory = await (await ethers.getContractFactory("PlatformFactory", { libraries })).deploy();
+  console.log("✅ Platform factory deployed");
+  await transactionViewer.captureTransaction(
+      factory.deployTransaction, 
+      "Deploy platform factory", 
+      factory, 
+      "constructor"
+  );
+  return factory;
+}
+
+// Events of the factory and of the contracts it creates, to decode the logs of createPlatform
+async function platformEvents(factory) {
+  const events = new Map();
+  const interfaces = [factory.interface];
+  for (const name of Object.values(PLATFORM_CONTRACTS)) {
+    interfaces.push((await ethers.getContractFactory(name)).interface);
+  }
+  for (const contractInterface of interfaces) {
+    for (const event of Object.values(contractInterface.events)) {
+      events.set(event.format(), event);
+    }
+  }
+  return new ethers.utils.Interface([...events.values()]);
+}
+
+// Attach to the platform recorded for the network, after checking it against the chain and the artifacts
+async function attachPlatform(options) {
+  console.log(`\n🔗 Attach to the platform deployed on ${network.name}`);
+  console.log("=====================================");
+
+  // A previous run on the node may have left automatic mining off
+  await ethers.provider.send("evm_setAutomine", [true]);
+  const { contracts, record } = await attachDeployment(ethers, network.name);
+  for (const [name, contract] of Object.entries(contracts)) {
+    console.log(`✅ ${name} at ${contract.address}`);
+  }
+  console.log(`✅ Deployment of block ${record.deployBlock} verified: code, ABI and wiring match deployments/${network.name}.json`);
+  const { schedulingContract } = contracts;
+  console.log(`✅ Scheduling logic version ${await schedulingContract.logicVersion()} at ${await schedulingContract.schedulingLogic()}`);
+
+  if (options.policy) {
+    await configurePolicy(schedulingContract, new TransactionViewer(), options.policy, options.users || []);
+  }
+
+  console.log("🎉 Platform attached!\n");
+  return contracts;
+}
+
+// Grant the scheduler and settler roles (the deployer is the admin of every contract)
+async function configureRoles(contracts, transactionViewer, roles) {
+  console.log("\n🔐 Step 3: Configure roles");
+  console.log("==========================");
+
+  const [deployer] = await ethers.getSigners();
+  const grants = [
+    { contract: contracts.schedulingContract, role: "SCHEDULER_ROLE", account: roles.scheduler || deployer.address, name: "Scheduler" },
+    { contract: contracts.settlementContract, role: "SETTLER_ROLE", account: roles.settler || deployer.address, name: "Settler" }
+  ];
+
+  console.log(`✅ Admin of all contracts: ${deployer.address}`);
+  for (const grant of grants) {
+    const role = await grant.contract[grant.role]();
+    const tx = await grant.contract.grantRole(role, grant.account);
+    console.log(`✅ ${grant.name} role granted to ${grant.account}`);
+    await transactionViewer.captureTransaction(
+        tx, 
+        `Grant ${grant.role}`, 
+        grant.contract, 
+        "grantRole", 
+        [role, grant.account]
+    );
+  }
+
+  console.log("🎉 Role configuration completed!\n");
+}
+
+// Select the scheduling policy and, for weighted PF, the per-user weights
+async function configurePolicy(schedulingContract, transactionViewer, policy, users) {
+  console.log("\n⚙️  Step 4: Configure scheduling policy");
+  console.log("=====================================");
+
+  const policyTx = await schedulingContract.setPolicy(policy.id, policy.beta);
+  console.log(`✅ Scheduling policy set to ${policy.name}`);
+  await transactionViewer.captureTransaction(
+      policyTx, 
+      `Set scheduling policy to ${policy.name}`, 
+      schedulingContract, 
+      "setPolicy", 
+      [policy.id, policy.beta]
+  );
+
+  if (policy.weights) {
+    for (let i = 0; i < users.length; i++) {
+      const weightTx = await schedulingContract.setUserWeight(users[i].address, policy.weights[i]);
+      console.log(`✅ ${users[i].name} weight set to ${(policy.weights[i] / 100).toFixed(2)}`);
+      await transactionViewer.captureTransaction(
+          weightTx, 
+          `Set ${users[i].name} weight`, 
+          schedulingContract, 
+          "setUserWeight", 
+          [users[i].address, policy.weights[i]]
+      );
+    }
+  }
+
+  console.log("🎉 Scheduling policy configuration completed!\n");
+}
+
+/**
+ * Contract factory of a scheduling logic
+ * @param {string} name - Logic contract: SchedulingLogic or a contract deriving from it
+ * @throws {Error} If the contract is not compiled or is not a scheduling logic
+ */
+async function schedulingLogicFactory(name) {
+  const factory = await ethers.getContractFactory(name);
+  if (!factory.interface.functions["logicName()"] || !factory.interface.functions["schedule()"]) {
+    throw new Error(`${name} is not a scheduling logic`);
+  }
+  return factory;
+}
+
+/**
+ * Deploy a scheduling logic and make it the logic of the scheduling contract (the signer must be the admin).
+ * The throughput state stays in the scheduling contract; the logic schedules from the next round on.
+ * @param {Object} schedulingContract - Scheduling contract instance
+ * @param {string} [name] - Logic contract: SchedulingLogic or a contract deriving from it
+ * @returns {Promise<Object>} { logic, upgradeTx }, not waited for (the caller may mine them with its round)
+ */
+async function upgradeSchedulingLogic(schedulingContract, name = "SchedulingLogic") {
+  const logic = await (await schedulingLogicFactory(name)).deploy();
+  const upgradeTx = await schedulingContract.upgradeSchedulingLogic(logic.address);
+  return { logic, upgradeTx };
 }
 
 // When run directly as a script, also supports standalone deployment
@@ -136,4 +419,4 @@ if (require.main === module) {
   }).catch((e) => { console.error(e); process.exit(1); });
 }
 
-module.exports = { initPlatform };
+module.exports = { initPlatform, upgradeSchedulingLogic, schedulingLogicFactory };
@@ -1,9 +1,21 @@
 // bcpfs-runner.js - BC-PFS Platform Running and Management Tool
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
 const { ProgressMonitor } = require('./progress-monitor');
 const TransactionViewer = require('./transaction-viewer');
-const { initPlatform } = require('./bcpfs-init');
+const { initPlatform, upgradeSchedulingLogic, schedulingLogicFactory } = require('./bcpfs-init');
+const { loadScenario, resolveScenarioPath, readOption, DEFAULT_SCHEDULING_LOGIC } = require('./scenario-loader');
+const { DifferentialChecker, DivergenceError, blockRates, resultScenario } = require('./pf-simulator');
+const { FairnessTracker, printFairnessSummary } = require('./fairness-metrics');
+const { ReportSigner, decodeReportBatch } = require('./report-signer');
+const { CSISource } = require('./csi-trace');
+const { createRandom, randomSeed } = require('./seeded-random');
+const { EventIndexer, loadInterfaces } = require('./event-indexer');
+const { Membership } = require('./participant-lifecycle');
+const { RegistrationProver } = require('./registration-proofs');
+const { TrafficSource, QueueTracker, printTrafficSummary, trafficRandom } = require('./traffic-models');
 const readline = require('readline');
+const fs = require('fs');
+const path = require('path');
 
 // Wait for any key to continue
 async function waitForAnyKey(promptMsg = "\nPress any key to continue...\n") {
@@ -44,6 +56,15 @@ let statusReportingContract;
 let schedulingContract;
 let settlementContract;
 
+// Experiment scenario (operators, users, SNR matrix, round settings)
+let scenario;
+// Signs CSI reports with the users' (and operators') keys
+let reportSigner;
+// Registered and active users and operators, following the scenario's lifecycle schedule
+let membership;
+// Builds the identity proofs of the scenario's registration mode
+let registrationProver;
+
 // Progress monitor
 let progressMonitor;
 // Transaction result viewer
@@ -53,9 +74,51 @@ transactionViewer = new TransactionViewer();
 // Optional: whether to record throughput data from intermediate runs
 const SAVE_DATA = true;
 
+/**
+ * Run options: "--<name> <value>" arguments or environment variables, overridden by the hardhat tasks
+ * @param {Object} [overrides] - Options given explicitly (undefined ones are ignored), including the
+ *                               scenario's { rounds, detailRounds }
+ */
+function resolveRunOptions(overrides = {}) {
+    const resolved = {
+        scenario: resolveScenarioPath(),
+        // Random seed (--seed or BCPFS_SEED), before the scenario's "seed"
+        seed: readOption('seed', 'BCPFS_SEED'),
+        // Check every round against the off-chain reference simulator (--verify or BCPFS_VERIFY=1)
+        verify: process.argv.includes('--verify') || process.env.BCPFS_VERIFY === '1',
+        // Trace files: replayed instead of the channel model (--replay-trace), recorded (--record-trace)
+        replayTrace: readOption('replay-trace', 'BCPFS_REPLAY_TRACE'),
+        recordTrace: readOption('record-trace', 'BCPFS_RECORD_TRACE'),
+        // Event index of the run (--index-events <file.jsonl>), synced after every round
+        indexEvents: readOption('index-events', 'BCPFS_INDEX_EVENTS'),
+        reportMode: readOption('report-mode', 'BCPFS_REPORT_MODE') || 'single',
+        // Attach to the platform recorded in deployments/<network>.json instead of deploying one (--attach or BCPFS_ATTACH=1)
+        attach: process.argv.includes('--attach') || process.env.BCPFS_ATTACH === '1',
+        // Deploy and wire the contracts in one PlatformFactory transaction (--factory or BCPFS_FACTORY=1)
+        factory: process.argv.includes('--factory') || process.env.BCPFS_FACTORY === '1',
+        // Non-interactive: no pause before the rounds (--yes or BCPFS_YES=1)
+        yes: process.argv.includes('--yes') || process.env.BCPFS_YES === '1'
+    };
+    for (const [name, value] of Object.entries(overrides)) {
+        if (value !== undefined) {
+            resolved[name] = value;
+        }
+    }
+    return resolved;
+}
+// Options of the current run
+let options = resolveRunOptions();
+
 // Call initialization function to get contract instances
 async function getContracts() {
-    const contracts = await initPlatform();
+    const contracts = await initPlatform({ policy: scenario.policy, users: scenario.users, attach: options.attach, factory: options.factory });
+    if (options.attach) {
+        // Runs start from the first round, so the attached platform must not have scheduled any
+        const [round, phase] = await Promise.all([contracts.schedulingContract.currentRound(), contracts.schedulingContract.currentPhase()]);
+        if (!round.eq(1) || phase !== 0) {
+            throw new Error(`The attached platform is in round ${round} (${ROUND_PHASES[phase]}), runs need a fresh deployment`);
+        }
+    }
     
     // Use the returned contract instances directly
     registrationContract = contracts.registrationContract;
@@ -64,104 +127,515 @@ async function getContracts() {
     settlementContract = contracts.settlementContract;
 }
 
-// Step 1: Register operators and users
-async function register() {
-    console.log("\n👤 Step 1: Register operators");
-    console.log("=============================");
-    
-    const operator1Tx = await registrationContract.register(
-        "0x1234567890123456789012345678901234567890",
-        "0x1234567890abcdef1234",
-        true
-    );
-    
-    console.log("✅ Operator 1 registered successfully");
+// Configure report signing: operator countersignatures and the off-chain signer
+async function configureReporting() {
+    console.log("\n✍️  Step 1: Configure signed CSI reports");
+    console.log("=======================================");
+
+    if (scenario.reports.operatorSignature) {
+        const tx = await statusReportingContract.setRequireOperatorSignature(true);
+        await transactionViewer.captureTransaction(
+            tx, 
+            "Require operator countersignatures", 
+            statusReportingContract, 
+            "setRequireOperatorSignature", 
+            [true]
+        );
+    }
+    if (scenario.reports.historyWindow > 0) {
+        const tx = await statusReportingContract.setHistoryWindow(scenario.reports.historyWindow);
+        await transactionViewer.captureTransaction(
+            tx, 
+            `Keep the last ${scenario.reports.historyWindow} rates per user-operator pair`, 
+            statusReportingContract, 
+            "setHistoryWindow", 
+            [scenario.reports.historyWindow]
+        );
+    }
+    const { rateEstimation } = scenario;
+    if (rateEstimation.mode === 'mcs') {
+        const args = [rateEstimation.mcsTable.map(level => level.minSnr), rateEstimation.mcsTable.map(level => level.efficiency)];
+        const tx = await statusReportingContract.setMcsTable(...args);
+        await transactionViewer.captureTransaction(
+            tx, 
+            `Set the MCS table (${rateEstimation.mcsTable.length} levels)`, 
+            statusReportingContract, 
+            "setMcsTable", 
+            args
+        );
+    }
+    if (rateEstimation.mode !== 'linear') {
+        const tx = await statusReportingContract.setRateMode(rateEstimation.id);
+        await transactionViewer.captureTransaction(
+            tx, 
+            `Estimate rates with the ${rateEstimation.mode} mode`, 
+            statusReportingContract, 
+            "setRateMode", 
+            [rateEstimation.id]
+        );
+    }
+    const { chainId } = await ethers.provider.getNetwork();
+    reportSigner = new ReportSigner(scenario, statusReportingContract, chainId);
+    console.log(`✅ Reports signed by the users${scenario.reports.operatorSignature ? ' and countersigned by the operators' : ''} (chain ${chainId})`);
+    console.log(`✅ Rate estimation: ${rateEstimation.mode}${rateEstimation.mode === 'mcs' ? ` (${rateEstimation.mcsTable.length} MCS levels)` : ''}`);
+    console.log(`✅ Rate history: ${scenario.reports.historyWindow > 0 ? `last ${scenario.reports.historyWindow} reports` : 'every report'} per user-operator pair`);
+
+    console.log("🎉 Report signing configured!\n");
+}
+
+// Configure identity verification: registrar, allowlist root and verification mode
+async function configureRegistration() {
+    const { mode, id, registrar } = scenario.registration;
+    const { chainId } = await ethers.provider.getNetwork();
+    registrationProver = new RegistrationProver(scenario, registrationContract, chainId);
+    if (mode === 'attestation') {
+        const tx = await registrationContract.setRegistrar(registrar.address);
+        await transactionViewer.captureTransaction(tx, "Set registrar", registrationContract, "setRegistrar", [registrar.address]);
+    }
+    if (mode === 'allowlist') {
+        const root = registrationProver.allowlistRoot;
+        const tx = await registrationContract.setAllowlistRoot(root);
+        await transactionViewer.captureTransaction(tx, "Set allowlist root", registrationContract, "setAllowlistRoot", [root]);
+    }
+    if (mode === 'self') {
+        // Participants send their own registrations, give gas money to those without any
+        const [admin] = await ethers.getSigners();
+        for (const participant of [...scenario.operators, ...scenario.users]) {
+            if ((await ethers.provider.getBalance(participant.address)).isZero()) {
+                await (await admin.sendTransaction({ to: participant.address, value: ethers.utils.parseEther("1") })).wait();
+            }
+        }
+    }
+    if (mode !== 'proof-length') {
+        const tx = await registrationContract.setVerificationMode(id);
+        await transactionViewer.captureTransaction(tx, "Set identity verification mode", registrationContract, "setVerificationMode", [id]);
+    }
+    console.log(`✅ Identity verification: ${mode}${mode === 'attestation' ? ` (registrar ${registrar.address})` : ''}`);
+}
+
+// Register a user or operator with a proof for the registration mode
+// (sent by the participant itself under self-registration, by the admin otherwise)
+async function registerParticipant(participant, isOperator) {
+    const now = (await ethers.provider.getBlock('latest')).timestamp;
+    const args = [participant.address, await registrationProver.proof(participant, isOperator, now), isOperator];
+    const contract = scenario.registration.mode === 'self'
+        ? registrationContract.connect(new ethers.Wallet(participant.privateKey, ethers.provider))
+        : registrationContract;
+    return { tx: await contract.register(...args), args };
+}
+
+// Set the resource blocks of an operator that schedules several of them per round
+async function setResourceBlocks(operator) {
+    const tx = await schedulingContract.setResourceBlocks(operator.address, operator.resourceBlocks);
+    console.log(`✅ ${operator.name} schedules ${operator.resourceBlocks} resource blocks per round`);
     await transactionViewer.captureTransaction(
-        operator1Tx, 
-        "Register operator 1", 
-        registrationContract, 
-        "register", 
-        ["0x1234567890123456789012345678901234567890", "0x1234567890abcdef1234", true]
+        tx, 
+        `Set ${operator.name} resource blocks`, 
+        schedulingContract, 
+        "setResourceBlocks", 
+        [operator.address, operator.resourceBlocks]
     );
-    
-    const operator2Tx = await registrationContract.register(
-        "0x2345678901234567890123456789012345678901",
-        "0xfe98dc76ba54ab32cd10",
-        true
+}
+
+// Set the bandwidth of an operator that does not use the default 1000 kHz
+async function setOperatorBandwidth(operator) {
+    const tx = await schedulingContract.setOperatorBandwidth(operator.address, operator.bandwidth);
+    console.log(`✅ ${operator.name} has a bandwidth of ${operator.bandwidth} kHz`);
+    await transactionViewer.captureTransaction(
+        tx, 
+        `Set ${operator.name} bandwidth`, 
+        schedulingContract, 
+        "setOperatorBandwidth", 
+        [operator.address, operator.bandwidth]
     );
-    console.log("✅ Operator 2 registered successfully");
+}
+
+// SettlementContract.Tariff argument of an operator's scenario tariff
+function tariffArgs(operator) {
+    const { id, price, tierVolumes, tierPrices, surgeThreshold, surgeStep, maxSurge } = operator.tariff;
+    return [operator.address, { model: id, price, tierVolumes, tierPrices, surgeThreshold, surgeStep, maxSurge }];
+}
+
+// Publish the tariff of an operator that does not use the default one
+async function publishTariff(operator) {
+    const args = tariffArgs(operator);
+    const tx = await settlementContract.publishTariff(...args);
+    console.log(`✅ ${operator.name} published a ${operator.tariff.model} tariff`);
     await transactionViewer.captureTransaction(
-        operator2Tx, 
-        "Register operator 2", 
-        registrationContract, 
-        "register", 
-        ["0x2345678901234567890123456789012345678901", "0xfe98dc76ba54ab32cd10", true]
+        tx, 
+        `Publish ${operator.name} tariff`, 
+        settlementContract, 
+        "publishTariff", 
+        args
     );
+}
+
+// Step 1: Register operators and users (those joining later are registered in their round)
+async function register() {
+    console.log("\n👤 Step 1: Register operators");
+    console.log("=============================");
+    
+    await configureRegistration();
+    for (const operator of scenario.operators.filter((_, k) => membership.registeredAtStart('operator', k))) {
+        const { tx, args } = await registerParticipant(operator, true);
+        console.log(`✅ ${operator.name} registered successfully`);
+        await transactionViewer.captureTransaction(
+            tx, 
+            `Register ${operator.name}`, 
+            registrationContract, 
+            "register", 
+            args
+        );
+    }
+
+    // Operators scheduling several resource blocks per round
+    for (const operator of scenario.operators.filter((o, k) => o.resourceBlocks > 1 && membership.registeredAtStart('operator', k))) {
+        await setResourceBlocks(operator);
+    }
+    // Operators with their own bandwidth
+    for (const operator of scenario.operators.filter((o, k) => o.bandwidth !== 1000 && membership.registeredAtStart('operator', k))) {
+        await setOperatorBandwidth(operator);
+    }
+    // Operators with their own tariff
+    for (const operator of scenario.operators.filter((o, k) => o.tariff && membership.registeredAtStart('operator', k))) {
+        await publishTariff(operator);
+    }
 
     console.log("\n👤 Step 1: Register users");
     console.log("========================");
     
-    const users = [
-        { address: "0x4567890123456789012345678901234567890123", proof: "0xabcde12345", name: "User 1" },
-        { address: "0x5678901234567890123456789012345678901234", proof: "0xbad0c0ffee", name: "User 2" },
-        { address: "0x6789012345678901234567890123456789012345", proof: "0x13579bdf24", name: "User 3" },
-        { address: "0x7890123456789012345678901234567890123456", proof: "0x2468ace135", name: "User 4" }
-    ];
-    
-    for (const user of users) {
-        const tx = await registrationContract.register(user.address, user.proof, false);
+    for (const user of scenario.users.filter((_, n) => membership.registeredAtStart('user', n))) {
+        const { tx, args } = await registerParticipant(user, false);
         console.log(`✅ ${user.name} registered successfully`);
         await transactionViewer.captureTransaction(
             tx, 
             `Register ${user.name}`, 
             registrationContract, 
             "register", 
-            [user.address, user.proof, false]
+            args
         );
     }
     
     console.log("🎉 Step 1 completed!\n");
 }
 
+// Fund user deposits in the settlement contract and set the insufficient funds behavior
+async function fundUsers() {
+    console.log("\n💰 Step 1: Fund user deposits");
+    console.log("=============================");
+
+    const policyTx = await settlementContract.setInsufficientFundsPolicy(scenario.funding.insufficientFundsId);
+    console.log(`✅ Insufficient funds behavior: ${scenario.funding.insufficientFunds}`);
+    await transactionViewer.captureTransaction(
+        policyTx, 
+        "Set insufficient funds behavior", 
+        settlementContract, 
+        "setInsufficientFundsPolicy", 
+        [scenario.funding.insufficientFundsId]
+    );
+
+    for (let i = 0; i < scenario.users.length; i++) {
+        const user = scenario.users[i];
+        const amount = scenario.funding.deposits[i];
+        const tx = await settlementContract.depositFor(user.address, { value: amount });
+        console.log(`✅ ${user.name} funded with ${ethers.utils.formatEther(amount)} ETH`);
+        await transactionViewer.captureTransaction(
+            tx, 
+            `Fund ${user.name}`, 
+            settlementContract, 
+            "depositFor", 
+            [user.address]
+        );
+    }
+
+    console.log("🎉 User funding completed!\n");
+}
+
+
+// Configure traffic demand: round length and the traffic model of users that do not have a full buffer
+async function configureTraffic() {
+    console.log("\n🚦 Step 1: Configure traffic demand");
+    console.log("==================================");
+
+    if (scenario.schedulingInterval !== 50) {
+        const tx = await schedulingContract.setSlotDuration(scenario.schedulingInterval);
+        await transactionViewer.captureTransaction(
+            tx, 
+            "Set slot duration", 
+            schedulingContract, 
+            "setSlotDuration", 
+            [scenario.schedulingInterval]
+        );
+    }
+    console.log(`✅ Slot duration: ${scenario.schedulingInterval} ms`);
+    for (const user of scenario.users.filter(u => u.traffic.id !== 0)) {
+        const tx = await schedulingContract.setTrafficModel(user.address, user.traffic.id);
+        console.log(`✅ ${user.name} traffic: ${user.traffic.model}`);
+        await transactionViewer.captureTransaction(
+            tx, 
+            `Set ${user.name} traffic model`, 
+            schedulingContract, 
+            "setTrafficModel", 
+            [user.address, user.traffic.id]
+        );
+    }
+
+    console.log("🎉 Traffic demand configured!\n");
+}
+
+// Record the traffic arriving for users with a queue in this round (one transaction for all of them)
+async function addRoundDemand(round, checker, detailedTxs) {
+    const arrivals = trafficSource.nextRound(n => membership.isRegistered('user', n));
+    const arriving = arrivals.map((bits, n) => n).filter(n => arrivals[n] > 0);
+    if (arriving.length === 0) {
+        return;
+    }
+    for (const n of arriving) {
+        queueTracker.arrive(n, round, arrivals[n]);
+        if (checker) {
+            checker.recordDemand(n, arrivals[n]);
+        }
+    }
+    const args = [arriving.map(n => scenario.users[n].address), arriving.map(n => arrivals[n])];
+    const tx = await schedulingContract.addDemand(...args);
+    if (detailedTxs) {
+        detailedTxs.push({ tx, desc: `Round ${round}-Traffic arrivals of ${arriving.length} users`, contract: schedulingContract, method: "addDemand", args });
+    }
+}
+
+// Serve the off-chain queues with what the contract served (backlog before the round minus backlog after)
+async function followQueues(round) {
+    for (let n = 0; n < scenario.users.length; n++) {
+        if (trafficSource.queued(n)) {
+            const backlog = (await schedulingContract.backlog(scenario.users[n].address)).toNumber();
+            queueTracker.serve(n, round, queueTracker.backlog[n] - backlog);
+        }
+    }
+    queueTracker.endRound();
+}
+
+// Apply the lifecycle events of a round (joins, departures, suspensions) before its reports
+async function applyLifecycle(round, detailedTxs) {
+    const events = membership.eventsAt(round);
+    for (const event of events) {
+        const participant = event.kind === 'user' ? scenario.users[event.index] : scenario.operators[event.index];
+        const isOperator = event.kind === 'operator';
+        let tx, method, args;
+        if (event.action === 'join') {
+            method = "register";
+            ({ tx, args } = await registerParticipant(participant, isOperator));
+        } else {
+            method = event.action === 'leave' ? "deregister" : event.action;
+            args = [participant.address];
+            tx = await registrationContract[method](...args);
+        }
+        membership.apply(event);
+        console.log(`\n🔁 Round ${round}: ${participant.name} ${{ join: 'joins', leave: 'leaves', suspend: 'is suspended', reactivate: 'is reactivated' }[event.action]}`);
+        if (detailedTxs) {
+            detailedTxs.push({ tx, desc: `Round ${round}-${participant.name} ${event.action}`, contract: registrationContract, method, args });
+        }
+        if (event.action === 'join' && isOperator && participant.resourceBlocks > 1) {
+            const blocksTx = await schedulingContract.setResourceBlocks(participant.address, participant.resourceBlocks);
+            if (detailedTxs) {
+                detailedTxs.push({ tx: blocksTx, desc: `Round ${round}-Set ${participant.name} resource blocks`, contract: schedulingContract, method: "setResourceBlocks", args: [participant.address, participant.resourceBlocks] });
+            }
+        }
+        if (event.action === 'join' && isOperator && participant.bandwidth !== 1000) {
+            const bandwidthTx = await schedulingContract.setOperatorBandwidth(participant.address, participant.bandwidth);
+            if (detailedTxs) {
+                detailedTxs.push({ tx: bandwidthTx, desc: `Round ${round}-Set ${participant.name} bandwidth`, contract: schedulingContract, method: "setOperatorBandwidth", args: [participant.address, participant.bandwidth] });
+            }
+        }
+        if (event.action === 'join' && isOperator && participant.tariff) {
+            const args = tariffArgs(participant);
+            const tariffTx = await settlementContract.publishTariff(...args);
+            if (detailedTxs) {
+                detailedTxs.push({ tx: tariffTx, desc: `Round ${round}-Publish ${participant.name} tariff`, contract: settlementContract, method: "publishTariff", args });
+            }
+        }
+    }
+    // Mine them in their own block: transactions of other senders (self-registrations) would
+    // otherwise be ordered by fee among the reports and the scheduling of the round
+    if (events.length > 0) {
+        await ethers.provider.send("evm_mine", []);
+    }
+}
+
+// Swap the scheduling logic (and the policy) at the upgrades of a round, before its reports: the new
+// logic schedules from the throughput state of the previous one
+async function applyUpgrades(round, checker, detailedTxs) {
+    const upgrades = scenario.upgrades.filter(upgrade => upgrade.round === round);
+    const txs = [];
+    for (const upgrade of upgrades) {
+        const { logic, upgradeTx } = await upgradeSchedulingLogic(schedulingContract, upgrade.logic);
+        txs.push(upgradeTx);
+        console.log(`\n🔁 Round ${round}: scheduling logic upgraded to ${upgrade.logic} at ${logic.address}${upgrade.policy ? `, policy ${upgrade.policy.name}` : ''}`);
+        if (detailedTxs) {
+            detailedTxs.push({ tx: upgradeTx, desc: `Round ${round}-Upgrade scheduling logic to ${upgrade.logic}`, contract: schedulingContract, method: "upgradeSchedulingLogic", args: [logic.address] });
+        }
+        if (!upgrade.policy) {
+            continue;
+        }
+        const policyTx = await schedulingContract.setPolicy(upgrade.policy.id, upgrade.policy.beta);
+        txs.push(policyTx);
+        if (detailedTxs) {
+            detailedTxs.push({ tx: policyTx, desc: `Round ${round}-Set scheduling policy to ${upgrade.policy.name}`, contract: schedulingContract, method: "setPolicy", args: [upgrade.policy.id, upgrade.policy.beta] });
+        }
+        for (let n = 0; upgrade.policy.weights && n < scenario.users.length; n++) {
+            const user = scenario.users[n].address;
+            const weightTx = await schedulingContract.setUserWeight(user, upgrade.policy.weights[n]);
+            txs.push(weightTx);
+            if (detailedTxs) {
+                detailedTxs.push({ tx: weightTx, desc: `Round ${round}-Set weight of user ${n + 1}`, contract: schedulingContract, method: "setUserWeight", args: [user, upgrade.policy.weights[n]] });
+            }
+        }
+        if (checker) {
+            checker.setPolicy(upgrade.policy);
+        }
+    }
+    if (upgrades.length > 0) {
+        await ethers.provider.send("evm_mine", []);
+        // A rejected upgrade or policy change would leave the previous one scheduling silently
+        await Promise.all(txs.map(tx => tx.wait()));
+    }
+}
+
+// SchedulingContract.RoundPhase names
+const ROUND_PHASES = ['reporting open', 'scheduled', 'settled'];
 
-// Baseline SNR matrix (linear values) - 2 operators for 4 users
-const SNR_STANDARD = [
-    [0.0092, 0.0098, 0.0106, 0.0094],
-    [0.0081, 0.0117, 0.0082, 0.0112]
-];
+// Query the phase of a round from the scheduling contract
+async function getRoundStatus(round) {
+    const phase = await schedulingContract.getRoundStatus(round);
+    return ROUND_PHASES[phase];
+}
 
-// Generate CSI data
+// Random seed of the run (--seed or BCPFS_SEED, the scenario's "seed", or a fresh one)
+let seed;
+// CSI source (channel model or replayed trace) and the CSI it produced for the current round ([operator][user])
+let csiSource;
+let roundCSI;
+
+// Traffic arrivals of the users, and their queues followed off-chain for the delays
+let trafficSource;
+let queueTracker;
+
+// Open the CSI source before deployment, so that a bad trace file fails early
+function prepareCSISource() {
+    seed = options.seed || scenario.seed || randomSeed();
+    csiSource = new CSISource(scenario, { rng: createRandom(seed), replay: options.replayTrace, record: options.recordTrace });
+    trafficSource = new TrafficSource(scenario, trafficRandom(seed));
+    queueTracker = new QueueTracker(scenario.users.map(u => u.traffic), scenario.schedulingInterval);
+}
+
+// Get the CSI data of the current round (null if the user sends no report to the operator)
 function generateCSIData(userNum, operatorIndex) {
-    const baseSNR = SNR_STANDARD[operatorIndex][userNum - 1];
-    // Exponential distribution sampling (mean=baseSNR)
-    const u = Math.random();
-    const lambda = 1 / baseSNR;
-    const randomSNR = -Math.log(1 - u) / lambda;
-    // Convert to 8-byte CSI (scaled by 1e6)
-    let snrScaled = Math.round(randomSNR * 1000000);
-    const bytes = new Uint8Array(8);
-    for (let i = 7; i >= 0; i--) {
-        bytes[i] = snrScaled & 0xFF;
-        snrScaled >>>= 8;
-    }
-    return bytes;
+    return roundCSI[operatorIndex][userNum - 1];
+}
+
+// Event index of the run, synced after every round
+let eventIndexer;
+
+// Start a new event index for the contracts of this run
+async function startEventIndexer() {
+    if (!options.indexEvents) {
+        return;
+    }
+    const addresses = [registrationContract, statusReportingContract, schedulingContract, settlementContract].map(c => c.address);
+    eventIndexer = new EventIndexer(ethers.provider, await loadInterfaces(ethers), { file: options.indexEvents, addresses, reset: true });
+}
+
+// Report submission: one transaction per report ("single") or one batch per round ("batched")
+const REPORT_MODES = ['single', 'batched'];
+// Reporting cost summed over all rounds, to compare the two modes
+const reportingStats = { rounds: 0, transactions: 0, gas: 0, latencyMs: 0 };
+
+// Submit the signed reports of a round and return the transactions
+async function submitRoundReports(round, signedReports, detailedTxs) {
+    if (options.reportMode === 'batched') {
+        if (signedReports.length === 0) {
+            return [];
+        }
+        const batch = signedReports.map(({ report }) =>
+            [report.user, report.operator, report.round, report.nonce, report.csi, report.userSignature, report.operatorSignature]);
+        const tx = await statusReportingContract.submitReports(batch);
+        if (detailedTxs) {
+            detailedTxs.push({
+                tx,
+                desc: `Round ${round}-Batch of ${batch.length} rate reports`,
+                contract: statusReportingContract,
+                method: "submitReports",
+                args: [batch]
+            });
+        }
+        return [tx];
+    }
+    return Promise.all(signedReports.map(async ({ userIndex, operatorIndex, report }) => {
+        const args = [report.user, report.operator, report.round, report.nonce, report.csi, report.userSignature, report.operatorSignature];
+        const tx = await statusReportingContract.submitReport(...args);
+        if (detailedTxs) {
+            detailedTxs.push({
+                tx,
+                desc: `Round ${round}-User ${userIndex + 1} rate report to operator ${operatorIndex + 1}`,
+                contract: statusReportingContract,
+                method: "submitReport",
+                args
+            });
+        }
+        return tx;
+    }));
+}
+
+// Per-entry results of the batches of a round (the batch itself does not revert on invalid entries)
+async function batchResults(reportTxs) {
+    const results = [];
+    for (const tx of reportTxs) {
+        const receipt = await tx.wait();
+        for (const log of receipt.logs) {
+            const event = statusReportingContract.interface.parseLog(log);
+            if (event.name === 'ReportBatchSubmitted') {
+                results.push(...decodeReportBatch(event.args.reports));
+            }
+        }
+    }
+    return results;
 }
 
-// Parameters
-const fs = 1000; // Sampling rate
-const t_total = 3000; // Total time (s)
-const tc = 50; // Scheduling interval (ms)
-const totalRounds = Math.floor(fs * t_total / tc); // Total rounds
 const throughputSamples = [];
+// Fairness and utility metrics, computed with every throughput sample
+const metricSamples = [];
 
-console.log(`⏰ Parameter settings:`);
-console.log(`  Number of networks: 2`);
-console.log(`  Total users: 4`);
-console.log(`  Scheduling interval: ${tc} ms`);
-console.log(`  Scheduling rounds: ${totalRounds} rounds`);
+// Print the parameters of the loaded scenario
+function printParameters() {
+    console.log(`⏰ Parameter settings:`);
+    console.log(`  Scenario: ${scenario.name} (${scenario.file})`);
+    console.log(`  Chain: ${network.name}, ${options.attach ? `platform of deployments/${network.name}.json` : `new platform${options.factory ? ' (PlatformFactory)' : ''}`}`);
+    console.log(`  Number of networks: ${scenario.operators.length}`);
+    console.log(`  Total users: ${scenario.users.length}`);
+    console.log(`  Resource blocks per operator: ${scenario.operators.map(o => o.resourceBlocks).join(', ')}`);
+    console.log(`  Bandwidth per operator: ${scenario.operators.map(o => o.bandwidth).join(', ')} kHz`);
+    console.log(`  Rate estimation: ${scenario.rateEstimation.mode}`);
+    console.log(`  Tariff per operator: ${scenario.operators.map(o => (o.tariff ? o.tariff.model : 'default')).join(', ')}`);
+    console.log(`  Traffic per user: ${scenario.users.map(u => u.traffic.model).join(', ')}`);
+    console.log(`  Scheduling policy: ${scenario.policy.name}`);
+    if (scenario.upgrades.length > 0) {
+        console.log(`  Scheduling logic upgrades: ${scenario.upgrades.map(u => `round ${u.round} ${u.logic}${u.policy ? ` (${u.policy.name})` : ''}`).join(', ')}`);
+    }
+    console.log(`  CSI source: ${options.replayTrace ? `trace ${options.replayTrace}` : `${scenario.channel.model} channel model`}`);
+    console.log(`  Random seed: ${seed}`);
+    console.log(`  Report submission: ${options.reportMode}`);
+    if (options.recordTrace) {
+        console.log(`  Recording CSI trace: ${options.recordTrace}`);
+    }
+    if (options.indexEvents) {
+        console.log(`  Event index: ${options.indexEvents}`);
+    }
+    console.log(`  Scheduling interval: ${scenario.schedulingInterval} ms`);
+    console.log(`  Scheduling rounds: ${scenario.rounds} rounds`);
+}
 
 // Multi-round scheduling loop function
 async function runSchedulingRounds() {
+    const totalRounds = scenario.rounds;
     console.log(`🔄 Starting multi-round scheduling loop (${totalRounds} rounds total)`);
     console.log("=============================================");
     
@@ -169,21 +643,17 @@ async function runSchedulingRounds() {
     progressMonitor = new ProgressMonitor();
     progressMonitor.init(totalRounds);
     
-    // Address configuration
-    const ADDRESSES = {
-        users: [
-            "0x4567890123456789012345678901234567890123",
-            "0x5678901234567890123456789012345678901234", 
-            "0x6789012345678901234567890123456789012345",
-            "0x7890123456789012345678901234567890123456"
-        ],
-        operators: [
-            "0x1234567890123456789012345678901234567890",
-            "0x2345678901234567890123456789012345678901"
-        ]
-    };
-    
-    const { users, operators } = ADDRESSES;
+    const users = scenario.users.map(u => u.address);
+    const operators = scenario.operators.map(o => o.address);
+    // Differential checker fed with the same CSI as the contracts
+    const checker = options.verify
+        ? new DifferentialChecker(scenario, membership)
+        : null;
+    if (checker) {
+        console.log(`🧮 Differential checking against the off-chain simulator is enabled`);
+    }
+    // Slots and rates allocated to each user, for the fairness metrics
+    const fairness = new FairnessTracker(users.length, operators.length);
     
     // Record initial state (round 0, all user throughput is 0)
     if (SAVE_DATA) {
@@ -191,10 +661,13 @@ async function runSchedulingRounds() {
             round: 0, 
             throughputs: new Array(users.length).fill(0) 
         });
+        metricSamples.push(fairness.sample(0, new Array(users.length).fill(0)));
     }
 
+    // Error that stopped the rounds, reported once the partial results are saved
+    let failure = null;
     for (let round = 1; round <= totalRounds; round++) {
-        const isDetailedRound = (round >= 499 && round <= 500) || (round === totalRounds);
+        const isDetailedRound = scenario.detailRounds.includes(round) || (round === totalRounds);
 
         try {            
             // Collect transactions that need to be output uniformly after mining
@@ -202,25 +675,30 @@ async function runSchedulingRounds() {
             
             // Switch to manual mining mode to ensure each round of scheduling is packaged into one block
             await ethers.provider.send("evm_setAutomine", [false]);
-            // Step 1: CSI data reporting
-            const reportSendPromises = users.flatMap((user, i) =>
+            // Participants joining, leaving or suspended in this round, mined before the reports
+            await applyLifecycle(round, isDetailedRound ? detailedTxs : null);
+            // Scheduling logic swapped in this round, mined before the reports too
+            await applyUpgrades(round, checker, isDetailedRound ? detailedTxs : null);
+            // Traffic that arrived for the users during the round, queued before scheduling
+            await addRoundDemand(round, checker, isDetailedRound ? detailedTxs : null);
+            // Step 1: CSI data reporting (only active users report, and only to active operators)
+            roundCSI = csiSource.nextRound();
+            const reportStart = Date.now();
+            const signedReports = (await Promise.all(users.flatMap((user, i) =>
                 operators.map(async (operator, j) => {
                     const csiData = generateCSIData(i + 1, j);
-                    const tx = await statusReportingContract.submitReport(user, operator, csiData);
-                    if (isDetailedRound) {
-                        detailedTxs.push({
-                            tx,
-                            desc: `Round ${round}-User ${i+1} rate report to operator ${j+1}`,
-                            contract: statusReportingContract,
-                            method: "submitReport",
-                            args: [user, operator, csiData]
-                        });
+                    if (!csiData || !membership.isActive('user', i) || !membership.isActive('operator', j)) {
+                        return null;
                     }
-                    return tx;
+                    if (checker) {
+                        checker.recordReport(i, j, csiData);
+                    }
+                    return { userIndex: i, operatorIndex: j, report: await reportSigner.sign(i, j, round, csiData) };
                 })
-            );
+            ))).filter(Boolean);
             // Ensure all reporting transactions have been sent
-            await Promise.all(reportSendPromises);
+            const reportTxs = await submitRoundReports(round, signedReports, isDetailedRound ? detailedTxs : null);
+            const reportLatencyMs = Date.now() - reportStart;
 
             
             const prevThroughputNums = new Array(users.length).fill(0);            
@@ -268,13 +746,63 @@ async function runSchedulingRounds() {
                 await ethers.provider.send("evm_mine", []);
             }
 
+            // Every round must end settled, otherwise a report, the scheduling or the settlement was lost
+            const roundStatus = await getRoundStatus(round);
+            if (roundStatus !== 'settled') {
+                throw new Error(`round ${round} ended in phase "${roundStatus}"`);
+            }
+
+            // Reporting cost of the round, and the reports a batch rejected
+            for (const tx of reportTxs) {
+                reportingStats.gas += (await tx.wait()).gasUsed.toNumber();
+            }
+            reportingStats.rounds++;
+            reportingStats.transactions += reportTxs.length;
+            reportingStats.latencyMs += reportLatencyMs;
+            const reportResults = options.reportMode === 'batched' ? await batchResults(reportTxs) : [];
+            const rejected = reportResults.filter(r => r.status !== 'accepted');
+            if (rejected.length > 0) {
+                throw new Error(`round ${round}: ${rejected.length} batched reports rejected (${rejected.map(r => r.status).join(', ')})`);
+            }
+
+            // Scheduling decision of the round: selected user and allocated rate per operator and resource block
+            // (the event lists the selected users operator by operator, blocks[i] users for operator i)
+            const scheduled = (await schedulingTx.wait()).events.find(e => e.event === 'Scheduled');
+            const selectedByOperator = new Map();
+            let offset = 0;
+            scheduled.args.operators.forEach((operator, i) => {
+                const count = scheduled.args.blocks[i].toNumber();
+                selectedByOperator.set(operator.toLowerCase(), scheduled.args.selectedUsers.slice(offset, offset + count));
+                offset += count;
+            });
+            const selectedIndexes = operators.map(operator => (selectedByOperator.get(operator.toLowerCase()) || [])
+                .map(selected => users.findIndex(u => u.toLowerCase() === selected.toLowerCase())));
+            fairness.recordRound(selectedIndexes, selectedIndexes.map((blockUsers, k) => blockUsers.map((n, b) =>
+                (n < 0 ? 0 : blockRates(roundCSI[k][n], blockUsers.length, scenario.operators[k].bandwidth, scenario.rateEstimation)[b]))));
+
+            await followQueues(round);
+
+            if (eventIndexer) {
+                await eventIndexer.sync();
+            }
+
+            // Compare selected users and throughputs with the simulator
+            if (checker) {
+                await checker.checkRound(round, schedulingContract, settlementContract);
+            }
+
             // Detailed round: output transaction results in batches after block generation
             if (isDetailedRound) {
                 console.log(`\n📘 Round ${round} scheduling`);
                 console.log("----------------------------------------");
+                console.log(`Round status: ${roundStatus}, next round: ${await getRoundStatus(round + 1)}`);
 
                 const batches = [
-                    { method: "submitReport", title: "2️⃣   Step 2 User status reporting" },
+                    { method: "upgradeSchedulingLogic", title: "1️⃣   Step 1 Scheduling logic upgrade" },
+                    { method: "setPolicy", title: "1️⃣   Step 1 Scheduling policy change" },
+                    { method: "setUserWeight", title: "1️⃣   Step 1 User weights" },
+                    { method: "addDemand", title: "2️⃣   Step 2 Traffic arrivals" },
+                    { method: options.reportMode === 'batched' ? "submitReports" : "submitReport", title: "2️⃣   Step 2 User status reporting" },
                     { method: "updateScheduling", title: "3️⃣   Step 3 User scheduling" },
                     { method: "processScheduledTransactions", title: "4️⃣   Step 4 Transaction settlement" }
                 ];
@@ -304,6 +832,13 @@ async function runSchedulingRounds() {
                             item.args
                         );
                     }
+                    if (batch.method === "submitReports") {
+                        for (const result of reportResults) {
+                            const ui = users.findIndex(u => u.toLowerCase() === result.user.toLowerCase());
+                            const oi = operators.findIndex(o => o.toLowerCase() === result.operator.toLowerCase());
+                            console.log(`User ${ui + 1} CSI report at Operator ${oi + 1}: ${result.status}, rate ${result.rate}`);
+                        }
+                    }
                 }
             
 
@@ -402,17 +937,16 @@ async function runSchedulingRounds() {
                 for (let j = 0; j < operators.length; j++) {
                     const op = operators[j];
                     let row = `    Operator ${j + 1}`;
-                    let selectedIdx = -1;
-                    try {
-                        const sel = await schedulingContract.selectedUser(op);
-                        if (sel && sel !== ethers.constants.AddressZero) {
-                            selectedIdx = users.findIndex(u => u.toLowerCase() === sel.toLowerCase());
-                        }
-                    } catch (error) {
-                        selectedIdx = -1;
-                    }
                     for (let i = 0; i < users.length; i++) {
-                        row += (i === selectedIdx) ? `       √  ` : `       -  `;
+                        // √ for a scheduled user, √×n when it won n of the operator's resource blocks
+                        let blocks = 0;
+                        try {
+                            blocks = (await schedulingContract.getAllocatedBlocks(users[i], op)).toNumber();
+                        } catch (error) {
+                            blocks = 0;
+                        }
+                        const cell = blocks === 0 ? '-' : (scenario.operators[j].resourceBlocks > 1 ? `√×${blocks}` : '√');
+                        row += `  ${cell.padStart(6)}  `;
                     }
                     console.log(row);
                 }
@@ -437,16 +971,17 @@ async function runSchedulingRounds() {
             }
 
                         
-            // Sampling: record current throughput every 100 rounds (optional)
+            // Sampling: record current throughput every sampleInterval rounds (optional)
             if (SAVE_DATA) {
                 try {
-                    if (round % 100 === 0) {
+                    if (round % scenario.sampleInterval === 0) {
                         const throughputs = [];
                         for (let i = 0; i < users.length; i++) {
                             const tp = await schedulingContract.throughput(users[i]);
                             throughputs.push(Number(tp.toString())); // Keep the integer scaled by 1e8 on-chain, convert when plotting
                         }
                         throughputSamples.push({ round, throughputs });
+                        metricSamples.push(fairness.sample(round, throughputs));
                     }
                 } catch (_) {}
             }
@@ -460,6 +995,13 @@ async function runSchedulingRounds() {
             }
             
         } catch (error) {
+            if (error instanceof DivergenceError) {
+                console.error(`\n❌ First divergence from the reference simulator after ${checker.roundsChecked} matching rounds`);
+                console.error(`❌ ${error.message}`);
+                progressMonitor.error(error.message);
+                failure = error.message;
+                break;
+            }
             const errorMsg = `Round ${round} scheduling failed: ${error.message}`;
             console.error(`❌ ${errorMsg}`);
             console.error(`❌ Error stack:`, error.stack);
@@ -472,68 +1014,170 @@ async function runSchedulingRounds() {
                 await new Promise(resolve => setTimeout(resolve, 1000));
                 continue;
             } else {
+                failure = errorMsg;
                 break;
             }
         }
     }
     
-    console.log(`\n🎉 All ${totalRounds} rounds of scheduling completed`);
+    if (!failure) {
+        console.log(`\n🎉 All ${totalRounds} rounds of scheduling completed`);
+    }
+    if (checker && checker.roundsChecked === totalRounds) {
+        console.log(`✅ Contract state matched the reference simulator in all ${totalRounds} rounds`);
+    }
     
     // Output throughput for each user (keep 8 decimal places, corresponding to scaling factor 100000000 in contract)
-    console.log("\n📈 Final user throughput (Kbps):\n");
+    console.log("\n📈 Final user throughput (Kbps) and remaining deposits:\n");
+    const balances = { users: [], operators: [] };
+    const finalThroughputs = [];
     for (let i = 0; i < users.length; i++) {
         const tp = await schedulingContract.throughput(users[i]);        
+        finalThroughputs.push(tp.toString());
         const throughputValue = ethers.utils.formatUnits(tp, 8);
-        console.log(`  User ${i + 1} (${users[i]}): ${throughputValue}`);
+        const balance = await settlementContract.getUserBalance(users[i]);
+        const suspended = !(await settlementContract.isSchedulable(users[i]));
+        balances.users.push(balance.toString());
+        console.log(`  ${scenario.users[i].name} (${users[i]}): ${throughputValue}    balance ${ethers.utils.formatEther(balance)} ETH${suspended ? ' (suspended)' : ''}`);
+    }
+    console.log("\n💰 Final operator balances:\n");
+    for (let j = 0; j < operators.length; j++) {
+        const balance = await settlementContract.getOperatorBalance(operators[j]);
+        balances.operators.push(balance.toString());
+        console.log(`  ${scenario.operators[j].name} (${operators[j]}): ${ethers.utils.formatEther(balance)} ETH`);
+    }
+
+    const fairnessSummary = fairness.summary(finalThroughputs);
+    printFairnessSummary(fairnessSummary, scenario.users.map(u => u.name));
+    // Delays and queues of the users with traffic demand
+    const trafficSummary = queueTracker.summary();
+    if (scenario.users.some(u => u.traffic.model !== 'full-buffer')) {
+        printTrafficSummary(trafficSummary, scenario.users.map(u => u.name));
     }
 
+    // Reporting cost per round, to compare single and batched submission
+    const reporting = {
+        mode: options.reportMode,
+        transactionsPerRound: reportingStats.transactions / Math.max(reportingStats.rounds, 1),
+        gasPerRound: Math.round(reportingStats.gas / Math.max(reportingStats.rounds, 1)),
+        latencyMsPerRound: reportingStats.latencyMs / Math.max(reportingStats.rounds, 1)
+    };
+    console.log(`\n📨 Report submission (${reporting.mode}): ${reporting.transactionsPerRound.toFixed(1)} transactions, ${reporting.gasPerRound.toLocaleString('en-US')} gas and ${reporting.latencyMsPerRound.toFixed(1)} ms per round`);
+
     // Complete progress monitoring
     progressMonitor.complete();
 
+    csiSource.close();
+    if (options.recordTrace) {
+        console.log(`\n💾 CSI trace saved: ${options.recordTrace}`);
+    }
+    if (eventIndexer) {
+        await eventIndexer.sync();
+        console.log(`\n💾 ${eventIndexer.count} events indexed: ${options.indexEvents} (query with node event-query.js --file ${options.indexEvents})`);
+    }
+
     // Write sampling data to file for plotting (optional)
     if (SAVE_DATA) {
         try {
             const out = {
+                scenario: scenario.name,
+                policy: scenario.policy,
+                upgrades: scenario.upgrades,
+                channel: options.replayTrace ? { model: 'trace', file: options.replayTrace } : scenario.channel,
+                seed,
+                reporting,
                 totalRounds,
-                interval: 100,
-                usersCount: 4,
+                interval: scenario.sampleInterval,
+                usersCount: users.length,
+                operatorsCount: operators.length,
+                ...resultScenario(scenario),
+                balances,
+                fairness: fairnessSummary,
+                traffic: trafficSummary,
+                metrics: metricSamples,
                 samples: throughputSamples
             };
-            const path = require('path');
-            const fsNode = require('fs');
             const outPath = path.join(__dirname, 'reports', 'throughput_results.json');     
-            if (!fsNode.existsSync(path.dirname(outPath))) {
-                fsNode.mkdirSync(path.dirname(outPath), { recursive: true });
+            if (!fs.existsSync(path.dirname(outPath))) {
+                fs.mkdirSync(path.dirname(outPath), { recursive: true });
             }
-            fsNode.writeFileSync(outPath, JSON.stringify(out, null, 2), 'utf-8');
+            fs.writeFileSync(outPath, JSON.stringify(out, null, 2), 'utf-8');
             console.log(`\n💾 Sampling data saved: reports/throughput_results.json`);
         } catch (e) {
             console.log(`⚠️  Failed to save sampling data: ${e.message}`);
         }
     }
+    if (failure) {
+        throw new Error(failure);
+    }
 }
 
-// If this file is run directly, execute all steps
-if (require.main === module) {
-    async function runAllSteps() {
-        try {            
-            // Call initialization script for deployment and configuration
-            await getContracts();
-            // Register operators and users
-            await register();
-            // Pause and wait for user confirmation before starting multi-round user scheduling
-            await waitForAnyKey("\nPress any key to continue running multi-round user scheduling...\n");
-            
-            // Multi-round scheduling loop
-            await runSchedulingRounds();            
-            
-            console.log("\n🎊 All steps completed! Multi-round scheduling system finished running!");
-        
-            
-        } catch (error) {
-            console.error("❌ Error:", error.message);
+// Check the scheduling logic upgrades before deploying: their contracts must be compiled, and the
+// simulator of --verify only models the default logic
+async function checkUpgrades() {
+    for (const upgrade of scenario.upgrades) {
+        if (options.verify && upgrade.logic !== DEFAULT_SCHEDULING_LOGIC) {
+            throw new Error(`--verify only models ${DEFAULT_SCHEDULING_LOGIC}, the upgrade of round ${upgrade.round} deploys ${upgrade.logic}`);
         }
+        await schedulingLogicFactory(upgrade.logic);
     }
-    
-    runAllSteps();
-}
\ No newline at end of file
+}
+
+/**
+ * Deploy the platform and prepare it for the first round: register and fund the participants,
+ * configure traffic and reporting
+ * @param {Object} [overrides] - Run options (see resolveRunOptions)
+ */
+async function setupPlatform(overrides = {}) {
+    options = resolveRunOptions(overrides);
+    // Load the experiment scenario, with the rounds given on the command line
+    scenario = loadScenario(options.scenario, { rounds: options.rounds, detailRounds: options.detailRounds });
+    membership = new Membership(scenario.users.length, scenario.operators.length, scenario.lifecycle);
+    if (!REPORT_MODES.includes(options.reportMode)) {
+        throw new Error(`Unknown report mode "${options.reportMode}", expected one of: ${REPORT_MODES.join(', ')}`);
+    }
+    await checkUpgrades();
+    prepareCSISource();
+    printParameters();
+    // Call initialization script for deployment and configuration
+    await getContracts();
+    await startEventIndexer();
+    // Register operators and users
+    await register();
+    // Fund user deposits
+    await fundUsers();
+    // Traffic models of the users
+    await configureTraffic();
+    // Enable signed CSI reports
+    await configureReporting();
+    return { registrationContract, statusReportingContract, schedulingContract, settlementContract };
+}
+
+/**
+ * Run all steps: platform setup, then multi-round user scheduling
+ * @param {Object} [overrides] - Run options (see resolveRunOptions)
+ * @throws {Error} If a step or a scheduling round fails
+ */
+async function runPlatform(overrides = {}) {
+    await setupPlatform(overrides);
+    // Pause and wait for user confirmation before starting multi-round user scheduling,
+    // unless the run is non-interactive (--yes, or no terminal as in CI)
+    if (!options.yes && process.stdin.isTTY) {
+        await waitForAnyKey("\nPress any key to continue running multi-round user scheduling...\n");
+    }
+
+    // Multi-round scheduling loop
+    await runSchedulingRounds();
+
+    console.log("\n🎊 All steps completed! Multi-round scheduling system finished running!");
+}
+
+// If this file is run directly, execute all steps
+if (require.main === module) {
+    runPlatform().catch(error => {
+        console.error("❌ Error:", error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { setupPlatform, runPlatform };
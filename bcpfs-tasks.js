@@ -0,0 +1,168 @@
+// bcpfs-tasks.js - Hardhat Tasks of the Platform (npx hardhat bcpfs <task>)
+const { scope, types } = require("hardhat/config");
+
+const bcpfs = scope("bcpfs", "BC-PFS platform: deploy, attach, platforms, upgrade, register, run, inspect and export");
+
+/**
+ * Task action that reports failures as "❌ Error: ..." with a non-zero exit code
+ * (the scripts are required inside the actions, once the hardhat runtime is ready)
+ */
+function action(run) {
+    return async (args, hre) => {
+        try {
+            await run(args, hre);
+        } catch (error) {
+            console.error("❌ Error:", error.message);
+            process.exitCode = 1;
+        }
+    };
+}
+
+/**
+ * Parse a comma-separated list of rounds ("1,5,10"), checked with the scenario
+ */
+function parseRounds(list) {
+    return list === undefined ? undefined : list.split(',').map(Number);
+}
+
+// Run options shared by register and run
+function runOptions(args) {
+    return {
+        scenario: args.scenario,
+        seed: args.seed,
+        reportMode: args.reportMode,
+        indexEvents: args.indexEvents,
+        // Flags only override the environment when given
+        verify: args.verify || undefined,
+        yes: args.yes || undefined,
+        attach: args.attach || undefined,
+        factory: args.factory || undefined
+    };
+}
+
+bcpfs.task("deploy", "Deploy and wire the platform contracts, recorded in deployments/<network>.json")
+    .addOptionalParam("scenario", "Scenario whose scheduling policy is configured", undefined, types.inputFile)
+    .addFlag("factory", "Deploy and wire the contracts in one PlatformFactory transaction")
+    .setAction(action(async (args) => {
+        const { initPlatform } = require("./bcpfs-init");
+        const { loadScenario } = require("./scenario-loader");
+        const scenario = loadScenario(args.scenario);
+        const contracts = await initPlatform({ policy: scenario.policy, users: scenario.users, factory: args.factory });
+        console.log("📋 Deployed contracts:\n");
+        for (const [name, contract] of Object.entries(contracts)) {
+            console.log(`    ${name.padEnd(24)} ${contract.address}`);
+        }
+    }));
+
+bcpfs.task("attach", "Attach to the platform of deployments/<network>.json and check it against the chain")
+    .setAction(action(async () => {
+        const { initPlatform } = require("./bcpfs-init");
+        const contracts = await initPlatform({ attach: true });
+        console.log(`📋 Current round: ${await contracts.schedulingContract.currentRound()}`);
+    }));
+
+bcpfs.task("platforms", "List the platforms created by the PlatformFactory of deployments/<network>.json")
+    .addOptionalParam("factory", "Factory address, instead of the recorded one", undefined, types.string)
+    .setAction(action(async (args, hre) => {
+        const { recordedFactory } = require("./deployment-registry");
+        const address = args.factory || recordedFactory(hre.network.name);
+        if (!address) {
+            throw new Error(`no PlatformFactory recorded for ${hre.network.name}, deploy with --factory or give --factory <address>`);
+        }
+        const factory = await hre.ethers.getContractAt("PlatformFactory", address);
+        const count = (await factory.platformCount()).toNumber();
+        console.log(`🏭 ${count} platforms created by the factory at ${address}:\n`);
+        for (let id = 0; id < count; id++) {
+            const platform = await factory.getPlatform(id);
+            console.log(`    Platform ${id} (block ${platform.createdAt}, admin ${platform.admin})`);
+            console.log(`        registration ${platform.registrationContract}, status reporting ${platform.statusReportingContract}`);
+            console.log(`        scheduling ${platform.schedulingContract}, settlement ${platform.settlementContract}`);
+        }
+    }));
+
+bcpfs.task("upgrade", "Replace the scheduling logic of the platform of deployments/<network>.json, keeping its state")
+    .addOptionalParam("logic", "Logic contract: SchedulingLogic or a contract deriving from it", "SchedulingLogic", types.string)
+    .addOptionalParam("policy", "Scheduling policy from the upgrade on (default: unchanged)", undefined, types.string)
+    .addOptionalParam("beta", "Alpha-fair exponent of the policy", undefined, types.float)
+    .setAction(action(async (args) => {
+        const { initPlatform, upgradeSchedulingLogic } = require("./bcpfs-init");
+        const { validatePolicy } = require("./scenario-loader");
+        let policy;
+        if (args.policy !== undefined) {
+            const problems = [];
+            policy = validatePolicy({ name: args.policy, beta: args.beta }, 0, problems);
+            if (problems.length > 0) {
+                throw new Error(problems.join(", "));
+            }
+        }
+        const contracts = await initPlatform({ attach: true, policy });
+        const { logic, upgradeTx } = await upgradeSchedulingLogic(contracts.schedulingContract, args.logic);
+        const upgraded = (await upgradeTx.wait()).events.find(e => e.event === "SchedulingLogicUpgraded").args;
+        console.log(`✅ Scheduling logic version ${upgraded.version} (${upgraded.name}) at ${logic.address}, scheduling from round ${upgraded.round}`);
+    }));
+
+bcpfs.task("register", "Deploy the platform, register and fund the participants of a scenario")
+    .addOptionalParam("scenario", "Scenario file (JSON or YAML)", undefined, types.inputFile)
+    .addOptionalParam("seed", "Random seed", undefined, types.string)
+    .addOptionalParam("reportMode", "Report submission: single or batched", undefined, types.string)
+    .addOptionalParam("indexEvents", "Event index file (JSON lines)", undefined, types.string)
+    .addFlag("attach", "Use the platform of deployments/<network>.json instead of deploying one")
+    .addFlag("factory", "Deploy and wire the contracts in one PlatformFactory transaction")
+    .setAction(action(async (args) => {
+        const { setupPlatform } = require("./bcpfs-runner");
+        await setupPlatform(runOptions(args));
+        console.log("\n✅ Platform ready for the first scheduling round");
+    }));
+
+bcpfs.task("run", "Deploy the platform and run the scheduling rounds of a scenario")
+    .addOptionalParam("scenario", "Scenario file (JSON or YAML)", undefined, types.inputFile)
+    .addOptionalParam("rounds", "Number of rounds, instead of the scenario's", undefined, types.int)
+    .addOptionalParam("seed", "Random seed", undefined, types.string)
+    .addOptionalParam("detailRounds", "Rounds whose transactions are printed, e.g. 1,5,10", undefined, types.string)
+    .addOptionalParam("reportMode", "Report submission: single or batched", undefined, types.string)
+    .addOptionalParam("indexEvents", "Event index file (JSON lines)", undefined, types.string)
+    .addOptionalParam("replayTrace", "CSI trace replayed instead of the channel model", undefined, types.inputFile)
+    .addOptionalParam("recordTrace", "CSI trace file to record", undefined, types.string)
+    .addFlag("attach", "Use the platform of deployments/<network>.json instead of deploying one")
+    .addFlag("factory", "Deploy and wire the contracts in one PlatformFactory transaction")
+    .addFlag("verify", "Check every round against the off-chain reference simulator")
+    .addFlag("yes", "Non-interactive: do not pause before the rounds")
+    .setAction(action(async (args) => {
+        const { runPlatform } = require("./bcpfs-runner");
+        await runPlatform({
+            ...runOptions(args),
+            rounds: args.rounds,
+            detailRounds: parseRounds(args.detailRounds),
+            replayTrace: args.replayTrace,
+            recordTrace: args.recordTrace
+        });
+    }));
+
+bcpfs.task("inspect", "Inspect a user or a round in the event index of a run")
+    .addPositionalParam("kind", "user or round", undefined, types.string)
+    .addPositionalParam("target", "User id or address, or round number", undefined, types.string)
+    .addOptionalParam("file", "Event index file (default reports/events.jsonl)", undefined, types.string)
+    .addOptionalParam("from", "First round (user)", undefined, types.int)
+    .addOptionalParam("to", "Last round (user)", undefined, types.int)
+    .addFlag("json", "Print JSON instead of tables")
+    .setAction(action(async (args) => {
+        const { runQuery, printResult } = require("./event-query");
+        if (!['user', 'round'].includes(args.kind)) {
+            throw new Error(`cannot inspect "${args.kind}", expected user or round`);
+        }
+        const result = runQuery(args.kind, { file: args.file, from: args.from, to: args.to, [args.kind]: args.target });
+        if (args.json) {
+            console.log(JSON.stringify(result, null, 2));
+        } else {
+            printResult(args.kind, result);
+        }
+    }));
+
+bcpfs.task("export", "Export the event index of a run, one file per event")
+    .addOptionalParam("file", "Event index file (default reports/events.jsonl)", undefined, types.string)
+    .addOptionalParam("out", "Output directory", "reports/export", types.string)
+    .addOptionalParam("format", "csv or json", "csv", types.string)
+    .setAction(action(async (args) => {
+        const { runQuery, printResult } = require("./event-query");
+        printResult('export', runQuery('export', { file: args.file, out: args.out, format: args.format }));
+    }));
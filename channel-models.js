@@ -0,0 +1,383 @@
+// channel-models.js - Channel Models for Synthetic CSI Generation
+
+// Channel models selectable with "channel.model" in a scenario
+const CHANNEL_MODELS = ['rayleigh', 'correlated-rayleigh', 'path-loss'];
+// Small-scale fading applied on top of the path-loss model
+const FADING_MODELS = ['none', 'rayleigh', 'correlated-rayleigh'];
+// User mobility in the path-loss model
+const MOBILITY_MODELS = ['static', 'random-walk', 'random-waypoint'];
+
+// Path-loss defaults: macro cell at 2 GHz, 10 MHz noise floor
+const PATH_LOSS_DEFAULTS = {
+    txPowerDbm: 46,
+    noiseDbm: -104,
+    referenceLossDb: 38,
+    referenceDistance: 1,
+    pathLossExponent: 3.5,
+    shadowingDb: 8,
+    shadowingDecorrelation: 50
+};
+
+/**
+ * Bessel function of the first kind of order 0 (Abramowitz and Stegun 9.4.1 / 9.4.3)
+ */
+function besselJ0(x) {
+    const ax = Math.abs(x);
+    if (ax <= 3) {
+        const y = (x / 3) ** 2;
+        return 1 + y * (-2.2499997 + y * (1.2656208 + y * (-0.3163866 + y * (0.0444479 + y * (-0.0039444 + y * 0.00021)))));
+    }
+    const y = 3 / ax;
+    const f0 = 0.79788456 + y * (-0.00000077 + y * (-0.0055274 + y * (-0.00009512 + y * (0.00137237 + y * (-0.00072805 + y * 0.00014476)))));
+    const theta0 = ax - 0.78539816 + y * (-0.04166397 + y * (-0.00003954 + y * (0.00262573 + y * (-0.00054125 + y * (-0.00029333 + y * 0.00013558)))));
+    return f0 * Math.cos(theta0) / Math.sqrt(ax);
+}
+
+/**
+ * Standard normal sample (Box-Muller)
+ */
+function gaussian(rng) {
+    return Math.sqrt(-2 * Math.log(1 - rng())) * Math.cos(2 * Math.PI * rng());
+}
+
+function matrix(rows, cols, fill) {
+    return Array.from({ length: rows }, (_, k) => Array.from({ length: cols }, (_, n) => fill(k, n)));
+}
+
+/**
+ * Small-scale fading power gains with unit mean, one per operator-user link
+ */
+class Fading {
+    /**
+     * @param {Object} spec - Normalized fading { model, rho }
+     * @param {number} operatorsCount - Number of operators
+     * @param {number} usersCount - Number of users
+     * @param {Function} rng - Uniform [0, 1) random source
+     */
+    constructor(spec, operatorsCount, usersCount, rng) {
+        this.model = spec.model;
+        this.rho = spec.rho;
+        this.rng = rng;
+        this.operatorsCount = operatorsCount;
+        this.usersCount = usersCount;
+        if (this.model === 'correlated-rayleigh') {
+            // Complex gain h = re + j im with E|h|^2 = 1, started from the stationary distribution
+            this.re = matrix(operatorsCount, usersCount, () => gaussian(rng) * Math.SQRT1_2);
+            this.im = matrix(operatorsCount, usersCount, () => gaussian(rng) * Math.SQRT1_2);
+            this.started = false;
+        }
+    }
+
+    /**
+     * Power gains of the next round
+     * @returns {number[][]} Gains [operator][user]
+     */
+    next() {
+        if (this.model === 'none') {
+            return matrix(this.operatorsCount, this.usersCount, () => 1);
+        }
+        if (this.model === 'rayleigh') {
+            // Independent exponential samples every round
+            return matrix(this.operatorsCount, this.usersCount, () => -Math.log(1 - this.rng()));
+        }
+        // AR(1): h[t] = rho h[t-1] + sqrt(1 - rho^2) w[t]
+        if (this.started) {
+            const innovation = Math.sqrt(1 - this.rho * this.rho) * Math.SQRT1_2;
+            for (let k = 0; k < this.operatorsCount; k++) {
+                for (let n = 0; n < this.usersCount; n++) {
+                    this.re[k][n] = this.rho * this.re[k][n] + innovation * gaussian(this.rng);
+                    this.im[k][n] = this.rho * this.im[k][n] + innovation * gaussian(this.rng);
+                }
+            }
+        }
+        this.started = true;
+        return matrix(this.operatorsCount, this.usersCount, (k, n) => this.re[k][n] ** 2 + this.im[k][n] ** 2);
+    }
+}
+
+/**
+ * User movement inside a rectangular area
+ */
+class Mobility {
+    /**
+     * @param {Object} spec - Normalized mobility { model, speed, area, turnInterval, pauseTime }
+     * @param {number[][]} positions - User positions [x, y] (m), moved in place
+     * @param {number} intervalMs - Round duration (ms)
+     * @param {Function} rng - Uniform [0, 1) random source
+     */
+    constructor(spec, positions, intervalMs, rng) {
+        this.spec = spec;
+        this.positions = positions;
+        this.interval = intervalMs / 1000;
+        this.rng = rng;
+        // Per user: heading (random walk) or waypoint (random waypoint) and the remaining time before the next change
+        this.state = positions.map(() => ({ heading: 0, target: null, wait: 0 }));
+    }
+
+    randomPoint() {
+        const [xmin, ymin, xmax, ymax] = this.spec.area;
+        return [xmin + (xmax - xmin) * this.rng(), ymin + (ymax - ymin) * this.rng()];
+    }
+
+    /**
+     * Move every user by one round
+     * @returns {number[]} Distance moved by each user (m)
+     */
+    step() {
+        if (this.spec.model === 'static') {
+            return this.positions.map(() => 0);
+        }
+        const stepLength = this.spec.speed * this.interval;
+        const [xmin, ymin, xmax, ymax] = this.spec.area;
+        return this.positions.map((position, n) => {
+            const state = this.state[n];
+            const [x, y] = position;
+            if (this.spec.model === 'random-walk') {
+                // Keep a random heading for turnInterval seconds, reflect at the borders
+                if (state.wait <= 0) {
+                    state.heading = 2 * Math.PI * this.rng();
+                    state.wait = this.spec.turnInterval;
+                }
+                state.wait -= this.interval;
+                let nx = x + stepLength * Math.cos(state.heading);
+                let ny = y + stepLength * Math.sin(state.heading);
+                if (nx < xmin || nx > xmax) {
+                    nx = Math.min(Math.max(2 * (nx < xmin ? xmin : xmax) - nx, xmin), xmax);
+                    state.heading = Math.PI - state.heading;
+                }
+                if (ny < ymin || ny > ymax) {
+                    ny = Math.min(Math.max(2 * (ny < ymin ? ymin : ymax) - ny, ymin), ymax);
+                    state.heading = -state.heading;
+                }
+                position[0] = nx;
+                position[1] = ny;
+                return Math.hypot(nx - x, ny - y);
+            }
+            // Random waypoint: walk to a uniform random point, pause, pick the next one
+            if (state.wait > 0) {
+                state.wait -= this.interval;
+                return 0;
+            }
+            if (!state.target) {
+                state.target = this.randomPoint();
+            }
+            const remaining = Math.hypot(state.target[0] - x, state.target[1] - y);
+            if (remaining <= stepLength) {
+                position[0] = state.target[0];
+                position[1] = state.target[1];
+                state.target = null;
+                state.wait = this.spec.pauseTime;
+                return remaining;
+            }
+            position[0] = x + (state.target[0] - x) * stepLength / remaining;
+            position[1] = y + (state.target[1] - y) * stepLength / remaining;
+            return stepLength;
+        });
+    }
+}
+
+/**
+ * Mean SNR (linear) from distance-based path loss, without shadowing
+ */
+function pathLossSNR(spec, operatorPosition, userPosition) {
+    const distance = Math.max(Math.hypot(operatorPosition[0] - userPosition[0], operatorPosition[1] - userPosition[1]), spec.referenceDistance);
+    const lossDb = spec.referenceLossDb + 10 * spec.pathLossExponent * Math.log10(distance / spec.referenceDistance);
+    return 10 ** ((spec.txPowerDbm - lossDb - spec.noiseDbm) / 10);
+}
+
+/**
+ * Channel of a scenario: produces the linear SNR of every operator-user link and resource block, round by round
+ */
+class ChannelModel {
+    /**
+     * @param {Object} scenario - Normalized scenario (channel, snr, positions, schedulingInterval)
+     * @param {Function} [rng] - Uniform [0, 1) random source
+     */
+    constructor(scenario, rng = Math.random) {
+        this.spec = scenario.channel;
+        this.rng = rng;
+        this.operatorsCount = scenario.operators.length;
+        this.usersCount = scenario.users.length;
+        this.blocks = scenario.operators.map(o => o.resourceBlocks || 1);
+        const fadingSpec = this.spec.model === 'path-loss' ? this.spec.fading : this.spec;
+        // Independent fading on every resource block, around the same mean SNR
+        this.fading = Array.from({ length: Math.max(...this.blocks) }, () => new Fading(fadingSpec, this.operatorsCount, this.usersCount, rng));
+
+        if (this.spec.model === 'path-loss') {
+            this.operatorPositions = scenario.operators.map(o => o.position.slice());
+            this.userPositions = scenario.users.map(u => u.position.slice());
+            this.mobility = new Mobility(this.spec.mobility, this.userPositions, scenario.schedulingInterval, rng);
+            // Log-normal shadowing (dB) per link
+            this.shadowing = matrix(this.operatorsCount, this.usersCount, () => this.spec.shadowingDb * gaussian(rng));
+        } else {
+            this.meanSNR = scenario.snr;
+        }
+    }
+
+    /**
+     * Mean SNR of the current round (large-scale fading only)
+     * @returns {number[][]} Mean linear SNR [operator][user]
+     */
+    currentMeanSNR() {
+        if (this.spec.model !== 'path-loss') {
+            return this.meanSNR;
+        }
+        return matrix(this.operatorsCount, this.usersCount, (k, n) =>
+            pathLossSNR(this.spec, this.operatorPositions[k], this.userPositions[n]) * 10 ** (-this.shadowing[k][n] / 10));
+    }
+
+    /**
+     * SNR samples of the next round; users move after the round
+     * @returns {number[][][]} Linear SNR [operator][user][resource block]
+     */
+    nextRound() {
+        const mean = this.currentMeanSNR();
+        const gains = this.fading.map(fading => fading.next());
+        const snr = matrix(this.operatorsCount, this.usersCount, (k, n) =>
+            Array.from({ length: this.blocks[k] }, (_, b) => mean[k][n] * gains[b][k][n]));
+        if (this.mobility) {
+            // Shadowing decorrelates with the distance moved (Gudmundson model)
+            const moved = this.mobility.step();
+            moved.forEach((distance, n) => {
+                if (distance === 0) {
+                    return;
+                }
+                const rho = Math.exp(-distance / this.spec.shadowingDecorrelation);
+                for (let k = 0; k < this.operatorsCount; k++) {
+                    this.shadowing[k][n] = rho * this.shadowing[k][n] + Math.sqrt(1 - rho * rho) * this.spec.shadowingDb * gaussian(this.rng);
+                }
+            });
+        }
+        return snr;
+    }
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isPosition(value) {
+    return Array.isArray(value) && value.length === 2 && value.every(isNumber);
+}
+
+/**
+ * Validate a fading spec; the AR(1) coefficient comes from "rho" or from the Jakes model
+ * rho = J0(2 pi fD T) with Doppler frequency "dopplerHz" and round duration T
+ */
+function validateFading(raw, where, intervalMs, problems) {
+    const spec = typeof raw === 'string' ? { model: raw } : (raw || { model: 'rayleigh' });
+    if (!FADING_MODELS.includes(spec.model)) {
+        problems.push(`${where}.model: must be one of ${FADING_MODELS.join(', ')}`);
+        return null;
+    }
+    if (spec.model !== 'correlated-rayleigh') {
+        return { model: spec.model };
+    }
+    if (spec.rho !== undefined) {
+        if (!isNumber(spec.rho) || spec.rho < -1 || spec.rho > 1) {
+            problems.push(`${where}.rho: must be a number between -1 and 1`);
+            return null;
+        }
+        return { model: spec.model, rho: spec.rho };
+    }
+    if (!isNumber(spec.dopplerHz) || spec.dopplerHz < 0) {
+        problems.push(`${where}: needs a non-negative "dopplerHz" or a "rho"`);
+        return null;
+    }
+    return { model: spec.model, dopplerHz: spec.dopplerHz, rho: besselJ0(2 * Math.PI * spec.dopplerHz * intervalMs / 1000) };
+}
+
+function validateMobility(raw, problems) {
+    const spec = typeof raw === 'string' ? { model: raw } : (raw || { model: 'static' });
+    if (!MOBILITY_MODELS.includes(spec.model)) {
+        problems.push(`channel.mobility.model: must be one of ${MOBILITY_MODELS.join(', ')}`);
+        return null;
+    }
+    if (spec.model === 'static') {
+        return { model: 'static' };
+    }
+    const area = spec.area;
+    if (!Array.isArray(area) || area.length !== 4 || !area.every(isNumber) || area[0] >= area[2] || area[1] >= area[3]) {
+        problems.push('channel.mobility.area: must be [xmin, ymin, xmax, ymax] (m)');
+    }
+    if (!isNumber(spec.speed) || spec.speed < 0) {
+        problems.push('channel.mobility.speed: must be a non-negative number (m/s)');
+    }
+    const normalized = { model: spec.model, speed: spec.speed, area };
+    if (spec.model === 'random-walk') {
+        normalized.turnInterval = spec.turnInterval === undefined ? 1 : spec.turnInterval;
+        if (!isNumber(normalized.turnInterval) || normalized.turnInterval <= 0) {
+            problems.push('channel.mobility.turnInterval: must be a positive number (s)');
+        }
+    } else {
+        normalized.pauseTime = spec.pauseTime === undefined ? 0 : spec.pauseTime;
+        if (!isNumber(normalized.pauseTime) || normalized.pauseTime < 0) {
+            problems.push('channel.mobility.pauseTime: must be a non-negative number (s)');
+        }
+    }
+    return normalized;
+}
+
+/**
+ * Validate the "channel" section of a scenario, collecting problems
+ * @param {Object|string} raw - Channel spec (default: independent Rayleigh fading around the snr matrix)
+ * @param {Object} rawScenario - Parsed scenario, for participant positions
+ * @param {number} intervalMs - Scheduling interval (ms)
+ * @param {string[]} problems - Problem list
+ * @returns {Object} Normalized channel { model, ...parameters }
+ */
+function validateChannel(raw, rawScenario, intervalMs, problems) {
+    const spec = typeof raw === 'string' ? { model: raw } : (raw || { model: 'rayleigh' });
+    if (!CHANNEL_MODELS.includes(spec.model)) {
+        problems.push(`channel.model: "${spec.model}" is not one of ${CHANNEL_MODELS.join(', ')}`);
+        return null;
+    }
+    if (spec.model === 'rayleigh') {
+        return { model: 'rayleigh' };
+    }
+    if (spec.model === 'correlated-rayleigh') {
+        return validateFading(spec, 'channel', intervalMs, problems);
+    }
+
+    // Path loss: every operator and user needs a position
+    for (const key of ['operators', 'users']) {
+        (Array.isArray(rawScenario[key]) ? rawScenario[key] : []).forEach((entry, i) => {
+            if (!entry || !isPosition(entry.position)) {
+                problems.push(`${key}[${i}].position: the path-loss model needs [x, y] (m)`);
+            }
+        });
+    }
+    const normalized = { model: 'path-loss' };
+    for (const [key, fallback] of Object.entries(PATH_LOSS_DEFAULTS)) {
+        normalized[key] = spec[key] === undefined ? fallback : spec[key];
+        if (!isNumber(normalized[key])) {
+            problems.push(`channel.${key}: must be a number`);
+        }
+    }
+    if (normalized.referenceDistance <= 0 || normalized.shadowingDecorrelation <= 0) {
+        problems.push('channel.referenceDistance and channel.shadowingDecorrelation: must be positive (m)');
+    }
+    if (normalized.shadowingDb < 0) {
+        problems.push('channel.shadowingDb: must not be negative');
+    }
+    normalized.fading = validateFading(spec.fading, 'channel.fading', intervalMs, problems);
+    normalized.mobility = validateMobility(spec.mobility, problems);
+    return normalized;
+}
+
+/**
+ * Mean SNR matrix of a path-loss scenario at the initial positions, without shadowing
+ */
+function initialPathLossSNR(channel, operators, users) {
+    return operators.map(o => users.map(u => pathLossSNR(channel, o.position, u.position)));
+}
+
+module.exports = {
+    ChannelModel,
+    validateChannel,
+    initialPathLossSNR,
+    besselJ0,
+    CHANNEL_MODELS,
+    FADING_MODELS,
+    MOBILITY_MODELS
+};
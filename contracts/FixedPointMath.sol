@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @title FixedPointMath
+ * @dev Fixed point logarithm, shared by the alpha-fair priority and the Shannon rate estimation
+ */
+library FixedPointMath {
+    // Fixed point unit of log2 values
+    uint internal constant LOG_ONE = 1e18;
+
+    /**
+     * @dev Binary logarithm in fixed point (scaled by 1e18)
+     * @param x Positive integer
+     * @return result log2(x) * 1e18
+     */
+    function log2(uint x) internal pure returns (uint result) {
+        // Integer part: position of the most significant bit
+        uint msb = 0;
+        for (uint shift = 128; shift > 0; shift >>= 1) {
+            if (x >= (uint(1) << (msb + shift))) {
+                msb += shift;
+            }
+        }
+        result = msb * LOG_ONE;
+
+        // Fractional part: repeated squaring of x / 2^msb in 64-bit binary fixed point
+        uint z = msb >= 64 ? x >> (msb - 64) : x << (64 - msb);
+        for (uint delta = LOG_ONE / 2; delta > LOG_ONE >> 40; delta >>= 1) {
+            z = (z * z) >> 64;
+            if (z >= (uint(1) << 65)) {
+                z >>= 1;
+                result += delta;
+            }
+        }
+    }
+}
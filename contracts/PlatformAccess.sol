@@ -0,0 +1,86 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @title PlatformAccess
+ * @dev Admin and role management shared by the platform contracts
+ */
+contract PlatformAccess {
+    // Roles
+    bytes32 public constant SCHEDULER_ROLE = keccak256("SCHEDULER_ROLE"); // May run user scheduling
+    bytes32 public constant SETTLER_ROLE = keccak256("SETTLER_ROLE");     // May run settlement
+
+    address public admin;
+    mapping(bytes32 => mapping(address => bool)) private roles;
+
+    event AdminTransferred(address previousAdmin, address newAdmin);
+    event RoleGranted(bytes32 role, address account);
+    event RoleRevoked(bytes32 role, address account);
+
+    /**
+     * @dev The deployer becomes the admin
+     */
+    constructor() {
+        admin = msg.sender;
+        emit AdminTransferred(address(0), msg.sender);
+    }
+
+    modifier onlyAdmin() {
+        require(msg.sender == admin, "Caller is not the admin");
+        _;
+    }
+
+    modifier onlyRole(bytes32 role) {
+        require(roles[role][msg.sender], string(abi.encodePacked("Caller does not have the ", roleName(role))));
+        _;
+    }
+
+    /**
+     * @dev Transfer the admin
+     * @param newAdmin New admin address
+     */
+    function transferAdmin(address newAdmin) public onlyAdmin {
+        require(newAdmin != address(0), "New admin is the zero address");
+        emit AdminTransferred(admin, newAdmin);
+        admin = newAdmin;
+    }
+
+    /**
+     * @dev Grant a role
+     * @param role Role identifier
+     * @param account Account address
+     */
+    function grantRole(bytes32 role, address account) public onlyAdmin {
+        roles[role][account] = true;
+        emit RoleGranted(role, account);
+    }
+
+    /**
+     * @dev Revoke a role
+     * @param role Role identifier
+     * @param account Account address
+     */
+    function revokeRole(bytes32 role, address account) public onlyAdmin {
+        roles[role][account] = false;
+        emit RoleRevoked(role, account);
+    }
+
+    /**
+     * @dev Check if an account has a role
+     * @param role Role identifier
+     * @param account Account address
+     * @return Whether the account has the role
+     */
+    function hasRole(bytes32 role, address account) public view returns (bool) {
+        return roles[role][account];
+    }
+
+    /**
+     * @dev Readable role name for revert reasons
+     */
+    function roleName(bytes32 role) internal pure returns (string memory) {
+        if (role == SCHEDULER_ROLE) return "scheduler role";
+        if (role == SETTLER_ROLE) return "settler role";
+        return "required role";
+    }
+}
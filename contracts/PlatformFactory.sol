@@ -0,0 +1,124 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import { RegistrationContract } from "./RegistrationContract.sol";
+import { StatusReportingContract } from "./StatusReportingContract.sol";
+import { SchedulingContract } from "./SchedulingContract.sol";
+import { SchedulingLogic } from "./SchedulingLogic.sol";
+import { SettlementContract } from "./SettlementContract.sol";
+
+/**
+ * @dev Creation code of the platform contracts, one library per contract: together they exceed the
+ *      24 KB contract size limit. Called by delegatecall, so the factory deploys the contracts and is their admin.
+ */
+library RegistrationDeployer {
+    function deploy() external returns (address) {
+        return address(new RegistrationContract());
+    }
+}
+
+library StatusReportingDeployer {
+    function deploy() external returns (address) {
+        return address(new StatusReportingContract());
+    }
+}
+
+// The scheduling contract comes with its first scheduling logic
+library SchedulingDeployer {
+    function deploy() external returns (address) {
+        SchedulingContract scheduling = new SchedulingContract();
+        scheduling.upgradeSchedulingLogic(address(new SchedulingLogic()));
+        return address(scheduling);
+    }
+}
+
+library SettlementDeployer {
+    function deploy() external returns (address) {
+        return address(new SettlementContract());
+    }
+}
+
+/**
+ * @title PlatformFactory
+ * @dev Deploys and wires the four platform contracts in one transaction, and keeps the list of the
+ *      platforms it created so that independent experiments can share a chain
+ */
+contract PlatformFactory {
+    struct Platform {
+        address registrationContract;
+        address statusReportingContract;
+        address schedulingContract;
+        address settlementContract;
+        address admin;
+        uint createdAt; // Block number
+    }
+
+    Platform[] private platforms;
+
+    event PlatformCreated(
+        uint indexed id,
+        address indexed admin,
+        address registrationContract,
+        address statusReportingContract,
+        address schedulingContract,
+        address settlementContract
+    );
+
+    /**
+     * @dev Deploy a platform, wire its contracts and hand it over to the caller, who becomes the admin
+     *      of the four contracts
+     * @param scheduler Account granted the scheduler role (the caller if zero)
+     * @param settler Account granted the settler role (the caller if zero)
+     * @return id Platform id, its index in the list of platforms
+     */
+    function createPlatform(address scheduler, address settler) external returns (uint id) {
+        RegistrationContract registration = RegistrationContract(RegistrationDeployer.deploy());
+        StatusReportingContract statusReporting = StatusReportingContract(StatusReportingDeployer.deploy());
+        SchedulingContract scheduling = SchedulingContract(SchedulingDeployer.deploy());
+        SettlementContract settlement = SettlementContract(SettlementDeployer.deploy());
+
+        // Same links as a deployment by bcpfs-init.js
+        scheduling.setStatusReportingContract(address(statusReporting));
+        scheduling.setRegistrationContract(address(registration));
+        settlement.setSchedulingContract(address(scheduling));
+        settlement.setRegistrationContract(address(registration));
+        scheduling.setSettlementContract(address(settlement));
+        statusReporting.setSchedulingContract(address(scheduling));
+
+        scheduling.grantRole(scheduling.SCHEDULER_ROLE(), scheduler == address(0) ? msg.sender : scheduler);
+        settlement.grantRole(settlement.SETTLER_ROLE(), settler == address(0) ? msg.sender : settler);
+
+        registration.transferAdmin(msg.sender);
+        statusReporting.transferAdmin(msg.sender);
+        scheduling.transferAdmin(msg.sender);
+        settlement.transferAdmin(msg.sender);
+
+        id = platforms.length;
+        platforms.push(Platform({
+            registrationContract: address(registration),
+            statusReportingContract: address(statusReporting),
+            schedulingContract: address(scheduling),
+            settlementContract: address(settlement),
+            admin: msg.sender,
+            createdAt: block.number
+        }));
+        emit PlatformCreated(id, msg.sender, address(registration), address(statusReporting), address(scheduling), address(settlement));
+    }
+
+    /**
+     * @dev Number of platforms created
+     */
+    function platformCount() external view returns (uint) {
+        return platforms.length;
+    }
+
+    /**
+     * @dev Get a platform
+     * @param id Platform id
+     * @return Contracts, admin and creation block of the platform
+     */
+    function getPlatform(uint id) external view returns (Platform memory) {
+        require(id < platforms.length, "Unknown platform");
+        return platforms[id];
+    }
+}
@@ -1,22 +1,69 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.0;
 
+import "./PlatformAccess.sol";
+import "./SignatureRecovery.sol";
+
 /**
  * @title RegistrationContract
  * @dev Smart contract for handling user and operator registration
  */
-contract RegistrationContract {
+contract RegistrationContract is PlatformAccess {
     struct Info {
         uint id;
         bool isOperator;
     }
     
+    // Registered accounts are active until suspended; suspended accounts stay registered
+    // but are skipped by scheduling and settlement until they are reactivated
+    enum Status { Active, Suspended }
+    
+    // How the identity proof of a registration is verified:
+    // ProofLength - any proof of at least 5 bytes (users) or 10 bytes (operators), for demonstrations
+    // Attestation - abi.encode(uint256 expiry, bytes signature), an EIP-712 Registration signed by the registrar
+    // Allowlist - abi.encode(bytes32[] merkleProof) of the (account, isOperator) leaf under allowlistRoot
+    // SelfRegistration - no proof, the account must register itself (msg.sender)
+    enum VerificationMode { ProofLength, Attestation, Allowlist, SelfRegistration }
+    VerificationMode public verificationMode = VerificationMode.ProofLength;
+    address public registrar;
+    bytes32 public allowlistRoot;
+    
+    // EIP-712 typed data of registrar attestations
+    bytes32 public constant REGISTRATION_TYPEHASH = keccak256("Registration(address account,bool isOperator,uint256 expiry)");
+    bytes32 private constant DOMAIN_TYPEHASH = keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    string public constant DOMAIN_NAME = "BC-PFS Registration";
+    string public constant DOMAIN_VERSION = "1";
+    
     uint private nextOpId = 1;
     uint private nextUserId = 1;
     
     mapping(address => Info) public registry;
+    mapping(address => Status) public status;
+    mapping(address => bytes32) public proofHash;
+    // Position of an account in allUsers or allOperators, plus one
+    mapping(address => uint) private listPosition;
+    // Suspended accounts in each list, so that the active lists can be returned as is when there are none
+    uint public suspendedUsers;
+    uint public suspendedOperators;
     
     event RegistrationSuccess(address user, uint id, bool isOperator);
+    event Deregistered(address account, uint id, bool isOperator);
+    event ParticipantSuspended(address account, bool isOperator);
+    event ParticipantReactivated(address account, bool isOperator);
+    event ProofUpdated(address account, bytes32 proofHash);
+    event VerificationModeChanged(VerificationMode mode);
+    event RegistrarChanged(address registrar);
+    event AllowlistRootChanged(bytes32 root);
+    
+    modifier onlySelfOrAdmin(address account) {
+        require(msg.sender == account || msg.sender == admin, "Only the account itself or the admin can do this");
+        _;
+    }
+    
+    modifier onlyRegistered(address account) {
+        require(registry[account].id != 0, "Account is not registered");
+        _;
+    }
     
     /**
      * @dev Register user or operator
@@ -25,8 +72,8 @@ contract RegistrationContract {
      * @param isOperator Whether it is an operator
      */
     function register(address user, bytes memory proof, bool isOperator) public {
-        // Identity verification
-        require(validProof(proof, isOperator), "Invalid credentials");
+        // Identity verification, reverts with the check that failed
+        verifyProof(user, proof, isOperator);
         
         // Check if already registered
         require(registry[user].id == 0, "User already registered");
@@ -35,30 +82,195 @@ contract RegistrationContract {
         if (isOperator) {
             registry[user] = Info(nextOpId++, true);
             allOperators.push(user);
+            listPosition[user] = allOperators.length;
         } else {
             registry[user] = Info(nextUserId++, false);
             allUsers.push(user);
+            listPosition[user] = allUsers.length;
         }
+        proofHash[user] = keccak256(proof);
         
         emit RegistrationSuccess(user, registry[user].id, isOperator);
     }
     
     /**
-     * @dev Verify identity proof
+     * @dev Deregister a user or operator (the account itself or the admin). The account leaves
+     *      allUsers or allOperators, the others keep their registration order; it may register again
+     *      later and then gets a new id.
+     * @param account Account address
+     */
+    function deregister(address account) public onlySelfOrAdmin(account) onlyRegistered(account) {
+        Info memory info = registry[account];
+        if (status[account] == Status.Suspended) {
+            if (info.isOperator) {
+                suspendedOperators--;
+            } else {
+                suspendedUsers--;
+            }
+        }
+        removeFromList(info.isOperator ? allOperators : allUsers, account);
+        delete registry[account];
+        delete status[account];
+        delete proofHash[account];
+        emit Deregistered(account, info.id, info.isOperator);
+    }
+    
+    /**
+     * @dev Suspend a user or operator (admin only); it stays registered but is not scheduled or settled
+     * @param account Account address
+     */
+    function suspend(address account) public onlyAdmin onlyRegistered(account) {
+        require(status[account] == Status.Active, "Account is already suspended");
+        status[account] = Status.Suspended;
+        bool isOperator = registry[account].isOperator;
+        if (isOperator) {
+            suspendedOperators++;
+        } else {
+            suspendedUsers++;
+        }
+        emit ParticipantSuspended(account, isOperator);
+    }
+    
+    /**
+     * @dev Reactivate a suspended user or operator (admin only)
+     * @param account Account address
+     */
+    function reactivate(address account) public onlyAdmin onlyRegistered(account) {
+        require(status[account] == Status.Suspended, "Account is not suspended");
+        status[account] = Status.Active;
+        bool isOperator = registry[account].isOperator;
+        if (isOperator) {
+            suspendedOperators--;
+        } else {
+            suspendedUsers--;
+        }
+        emit ParticipantReactivated(account, isOperator);
+    }
+    
+    /**
+     * @dev Replace the identity proof of a registered account (the account itself or the admin)
+     * @param account Account address
+     * @param proof New identity verification proof
+     */
+    function updateProof(address account, bytes memory proof) public onlySelfOrAdmin(account) onlyRegistered(account) {
+        verifyProof(account, proof, registry[account].isOperator);
+        proofHash[account] = keccak256(proof);
+        emit ProofUpdated(account, proofHash[account]);
+    }
+    
+    /**
+     * @dev Remove an account from a list, keeping the order of the others
+     */
+    function removeFromList(address[] storage list, address account) internal {
+        for (uint i = listPosition[account]; i < list.length; i++) {
+            list[i - 1] = list[i];
+            listPosition[list[i]] = i;
+        }
+        list.pop();
+        delete listPosition[account];
+    }
+    
+    /**
+     * @dev Select how identity proofs are verified (admin only)
+     * @param mode Verification mode
+     */
+    function setVerificationMode(VerificationMode mode) public onlyAdmin {
+        verificationMode = mode;
+        emit VerificationModeChanged(mode);
+    }
+    
+    /**
+     * @dev Set the registrar whose attestations are accepted (admin only)
+     * @param _registrar Registrar address
+     */
+    function setRegistrar(address _registrar) public onlyAdmin {
+        registrar = _registrar;
+        emit RegistrarChanged(_registrar);
+    }
+    
+    /**
+     * @dev Set the Merkle root of the allowlist (admin only)
+     * @param root Root of the sorted-pair Merkle tree of keccak256(keccak256(abi.encode(account, isOperator))) leaves
+     */
+    function setAllowlistRoot(bytes32 root) public onlyAdmin {
+        allowlistRoot = root;
+        emit AllowlistRootChanged(root);
+    }
+    
+    /**
+     * @dev Verify the identity proof of an account under the active mode, reverting with the failed check
+     * @param account Account being registered
      * @param proof Proof data
      * @param isOperator Whether it is an operator
-     * @return Whether verification passes
      */
-    function validProof(bytes memory proof, bool isOperator) internal pure returns (bool) {
-        // For demonstration, we simplify processing: judge proof validity based on proof length
-        // Users need at least 5 bytes proof, operators need longer proof (at least 10 bytes),
-        if (isOperator) {
-            return proof.length >= 10;
+    function verifyProof(address account, bytes memory proof, bool isOperator) internal view {
+        if (verificationMode == VerificationMode.ProofLength) {
+            // For demonstration: users need at least a 5-byte proof, operators at least 10 bytes
+            require(proof.length >= (isOperator ? 10 : 5), "Invalid credentials: proof is too short");
+        } else if (verificationMode == VerificationMode.Attestation) {
+            require(registrar != address(0), "Invalid attestation: no registrar set");
+            require(proof.length >= 96, "Invalid attestation: proof is not abi.encode(expiry, signature)");
+            (uint expiry, bytes memory signature) = abi.decode(proof, (uint, bytes));
+            require(block.timestamp <= expiry, "Invalid attestation: expired");
+            require(SignatureRecovery.recover(registrationDigest(account, isOperator, expiry), signature) == registrar,
+                "Invalid attestation: not signed by the registrar for this account and role");
+        } else if (verificationMode == VerificationMode.Allowlist) {
+            require(allowlistRoot != bytes32(0), "Invalid allowlist proof: no allowlist root set");
+            require(proof.length >= 64, "Invalid allowlist proof: proof is not abi.encode(bytes32[])");
+            bytes32[] memory merkleProof = abi.decode(proof, (bytes32[]));
+            require(verifyMerkleProof(merkleProof, allowlistLeaf(account, isOperator)),
+                "Invalid allowlist proof: account and role are not in the allowlist");
         } else {
-            return proof.length >= 5;
+            require(msg.sender == account, "Self-registration: caller is not the registering account");
         }
     }
     
+    /**
+     * @dev EIP-712 domain separator of this contract
+     */
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(abi.encode(
+            DOMAIN_TYPEHASH,
+            keccak256(bytes(DOMAIN_NAME)),
+            keccak256(bytes(DOMAIN_VERSION)),
+            block.chainid,
+            address(this)
+        ));
+    }
+    
+    /**
+     * @dev EIP-712 digest of a registrar attestation
+     * @param account Attested account
+     * @param isOperator Attested role
+     * @param expiry Last valid timestamp
+     * @return Digest to be signed by the registrar
+     */
+    function registrationDigest(address account, bool isOperator, uint expiry) public view returns (bytes32) {
+        bytes32 structHash = keccak256(abi.encode(REGISTRATION_TYPEHASH, account, isOperator, expiry));
+        return keccak256(abi.encodePacked("\x19\x01", domainSeparator(), structHash));
+    }
+    
+    /**
+     * @dev Allowlist leaf of an account and role (double hashed, so that it cannot be an inner node)
+     */
+    function allowlistLeaf(address account, bool isOperator) public pure returns (bytes32) {
+        return keccak256(bytes.concat(keccak256(abi.encode(account, isOperator))));
+    }
+    
+    /**
+     * @dev Check a sorted-pair Merkle proof against the allowlist root
+     */
+    function verifyMerkleProof(bytes32[] memory merkleProof, bytes32 leaf) internal view returns (bool) {
+        bytes32 hash = leaf;
+        for (uint i = 0; i < merkleProof.length; i++) {
+            bytes32 sibling = merkleProof[i];
+            hash = hash < sibling
+                ? keccak256(abi.encodePacked(hash, sibling))
+                : keccak256(abi.encodePacked(sibling, hash));
+        }
+        return hash == allowlistRoot;
+    }
+    
     /**
      * @dev Get user information
      * @param user User address
@@ -77,6 +289,15 @@ contract RegistrationContract {
         return registry[user].id != 0;
     }
     
+    /**
+     * @dev Check if an account is registered and not suspended
+     * @param account Account address
+     * @return Whether active
+     */
+    function isActive(address account) public view returns (bool) {
+        return registry[account].id != 0 && status[account] == Status.Active;
+    }
+    
     
     // Store all user and operator addresses
     address[] public allUsers;
@@ -97,4 +318,30 @@ contract RegistrationContract {
     function getAllOperators() public view returns (address[] memory) {
         return allOperators;
     }
+    
+    /**
+     * @dev Get the active user addresses, in registration order
+     * @return User address array
+     */
+    function getActiveUsers() public view returns (address[] memory) {
+        return suspendedUsers == 0 ? allUsers : activeAccounts(allUsers, suspendedUsers);
+    }
+    
+    /**
+     * @dev Get the active operator addresses, in registration order
+     * @return Operator address array
+     */
+    function getActiveOperators() public view returns (address[] memory) {
+        return suspendedOperators == 0 ? allOperators : activeAccounts(allOperators, suspendedOperators);
+    }
+    
+    function activeAccounts(address[] storage list, uint suspended) internal view returns (address[] memory active) {
+        active = new address[](list.length - suspended);
+        uint count = 0;
+        for (uint i = 0; i < list.length; i++) {
+            if (status[list[i]] == Status.Active) {
+                active[count++] = list[i];
+            }
+        }
+    }
 }
@@ -1,47 +1,26 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.0;
 
+import "./SchedulingStorage.sol";
+
 /**
  * @title SchedulingContract
- * @dev Smart contract implementing user selection and scheduling algorithms
+ * @dev Smart contract implementing user selection and scheduling algorithms. It holds the scheduling
+ *      state and the round state machine; the algorithm itself is an upgradeable SchedulingLogic.
  */
-
-// Status reporting contract interface
-interface IStatusReportingContract {
-    function getLatestRate(address user, address operator) external view returns (uint);
-}
-
-// Registration contract interface
-interface IRegistrationContract {
-    function getAllUsers() external view returns (address[] memory);
-    function getAllOperators() external view returns (address[] memory);
-}
-contract SchedulingContract {
-    mapping(address => address) public selectedUser;
-    mapping(address => uint) public throughput; // Actually stores values scaled by 100000000 (8 decimal places)
-    mapping(address => uint) public throughputRemainder; // Accumulated remainder for precise calculation
-    uint public constant alpha = 10000; // Control throughput update speed, larger values change slower
-    uint public constant PRECISION = 100000000; // Precision factor for simulating floating point operations (8 decimal places)
-    mapping(address => mapping(address => bool)) public schedulingMatrix;
-    mapping(address => mapping(address => uint)) public allocatedRate;
-    // Service parameters provided for settlement
-    mapping(address => mapping(address => uint)) public serviceDuration;
-    
-    address public statusReportingContract;
-    address public registrationContract;
-    
-    // Store user and operator lists
-    address[] public users;
-    address[] public operators;
-    
-    event Scheduled(address[] operators, address[] selectedUsers);
-    
+contract SchedulingContract is SchedulingStorage {
+    /**
+     * @dev Round 1 is open for reports after deployment
+     */
+    constructor() {
+        emit RoundPhaseChanged(currentRound, RoundPhase.ReportingOpen);
+    }
 
     /**
      * @dev Set status reporting contract address
      * @param _statusReportingContract Status reporting contract address
      */
-    function setStatusReportingContract(address _statusReportingContract) public {
+    function setStatusReportingContract(address _statusReportingContract) public onlyAdmin {
         statusReportingContract = _statusReportingContract;
     }
     
@@ -49,91 +28,178 @@ contract SchedulingContract {
      * @dev Set registration contract address
      * @param _registrationContract Registration contract address
      */
-    function setRegistrationContract(address _registrationContract) public {
+    function setRegistrationContract(address _registrationContract) public onlyAdmin {
         registrationContract = _registrationContract;
     }
     
     /**
-     * @dev Update scheduling
-     */
-    function updateScheduling() public {
-        // Get users and operators from registration contract
-        address[] memory currentUsers;
-        address[] memory currentOperators;
-        
-        IRegistrationContract regContract = IRegistrationContract(registrationContract);
-        currentUsers = regContract.getAllUsers();
-        currentOperators = regContract.getAllOperators();
-        
-        // User selection
-        for (uint k = 0; k < currentOperators.length; k++) {
-            address op = currentOperators[k];
-            address prev = selectedUser[op];
-            
-            // Clear previous scheduling
-            if (prev != address(0)) {
-                schedulingMatrix[prev][op] = false;
-                allocatedRate[prev][op] = 0;
-            }
-            
-            selectedUser[op] = address(0);
-            uint bestLatestRate = 0;
-            uint maxPriority = 0;
-            
-            // Select best user for each operator
-            for (uint n = 0; n < currentUsers.length; n++) {
-                uint latestRate = getLatestRate(currentUsers[n], op);
-                
-                // Calculate priority
-                uint priority;
-                if (throughput[currentUsers[n]] > 0) {
-                    // Note: throughput stores values scaled by 100000000
-                    priority = (latestRate * 1000000000) / throughput[currentUsers[n]];
-                } else {
-                    // When throughput is 0, use rate directly as priority
-                    priority = latestRate * 100000000;
-                }
-                
-                if (priority > maxPriority) {
-                    maxPriority = priority;
-                    selectedUser[op] = currentUsers[n];
-                    bestLatestRate = latestRate;
-                }
-            }
-            
-            // Update scheduling matrix and allocated rate
-            if (selectedUser[op] != address(0)) {
-                schedulingMatrix[selectedUser[op]][op] = true;
-                allocatedRate[selectedUser[op]][op] = bestLatestRate;
-                // Set service duration
-                serviceDuration[selectedUser[op]][op] = 35 + (uint(keccak256(abi.encodePacked(block.timestamp, op))) % 16);
-            }
+     * @dev Set settlement contract address
+     * @param _settlementContract Settlement contract address
+     */
+    function setSettlementContract(address _settlementContract) public onlyAdmin {
+        settlementContract = _settlementContract;
+    }
+    
+    /**
+     * @dev Select the scheduling policy
+     * @param _policy Scheduling policy
+     * @param _beta Alpha-fair exponent scaled by 100, only used by AlphaFair
+     */
+    function setPolicy(Policy _policy, uint _beta) public onlyAdmin {
+        require(_policy != Policy.AlphaFair || _beta <= 1000, "Beta out of range (max 1000)");
+        policy = _policy;
+        beta = _beta;
+        emit PolicyChanged(_policy, _beta);
+    }
+    
+    /**
+     * @dev Set weighted PF weight of a user
+     * @param user User address
+     * @param weight Weight scaled by WEIGHT_SCALE (0 restores the default 1.00)
+     */
+    function setUserWeight(address user, uint weight) public onlyAdmin {
+        userWeight[user] = weight;
+        emit UserWeightChanged(user, weight);
+    }
+    
+    /**
+     * @dev Set the number of resource blocks of an operator (the operator itself or the admin).
+     *      Reports must then carry one CSI value per block; the change applies from the next report on.
+     * @param operator Operator address
+     * @param blocks Number of resource blocks (1 to MAX_RESOURCE_BLOCKS)
+     */
+    function setResourceBlocks(address operator, uint blocks) public {
+        require(msg.sender == operator || msg.sender == admin, "Only the operator or the admin can set its resource blocks");
+        require(blocks > 0 && blocks <= MAX_RESOURCE_BLOCKS, "Resource blocks out of range (1 to 16)");
+        require(registrationContract != address(0), "RegistrationContract not set");
+        (uint id, bool isOperator) = IRegistrationContract(registrationContract).registry(operator);
+        require(id != 0 && isOperator, "Address is not a registered operator");
+        resourceBlocks[operator] = blocks == 1 ? 0 : blocks;
+        emit ResourceBlocksChanged(operator, blocks);
+    }
+    
+    /**
+     * @dev Set the bandwidth of an operator (the operator itself or the admin).
+     *      Rates are estimated with it from the next report on, and settlement bills it.
+     * @param operator Operator address
+     * @param kHz Bandwidth in kHz (1 to MAX_BANDWIDTH)
+     */
+    function setOperatorBandwidth(address operator, uint kHz) public {
+        require(msg.sender == operator || msg.sender == admin, "Only the operator or the admin can set its bandwidth");
+        require(kHz > 0 && kHz <= MAX_BANDWIDTH, "Bandwidth out of range (1 to 100000 kHz)");
+        require(registrationContract != address(0), "RegistrationContract not set");
+        (uint id, bool isOperator) = IRegistrationContract(registrationContract).registry(operator);
+        require(id != 0 && isOperator, "Address is not a registered operator");
+        bandwidth[operator] = kHz == DEFAULT_BANDWIDTH ? 0 : kHz;
+        emit BandwidthChanged(operator, kHz);
+    }
+    
+    /**
+     * @dev Bandwidth of an operator
+     * @param operator Operator address
+     * @return Bandwidth in kHz
+     */
+    function getOperatorBandwidth(address operator) public view returns (uint) {
+        uint kHz = bandwidth[operator];
+        return kHz == 0 ? DEFAULT_BANDWIDTH : kHz;
+    }
+    
+    /**
+     * @dev Set the traffic model of a user; switching to full buffer drops its backlog
+     * @param user User address
+     * @param model Traffic model
+     */
+    function setTrafficModel(address user, TrafficModel model) public onlyAdmin {
+        trafficModel[user] = model;
+        if (model == TrafficModel.FullBuffer) {
+            backlog[user] = 0;
         }
-        
-        // Throughput update
-        for (uint n = 0; n < currentUsers.length; n++) {
-            uint totalAllocated = 0;
-            for (uint k = 0; k < currentOperators.length; k++) {
-                if (schedulingMatrix[currentUsers[n]][currentOperators[k]]) {
-                    totalAllocated += allocatedRate[currentUsers[n]][currentOperators[k]];
-                }
+        emit TrafficModelChanged(user, model);
+    }
+    
+    /**
+     * @dev Set the length of a round
+     * @param duration Round length in ms
+     */
+    function setSlotDuration(uint duration) public onlyAdmin {
+        require(duration > 0, "Slot duration must be positive");
+        slotDuration = duration;
+        emit SlotDurationChanged(duration);
+    }
+    
+    /**
+     * @dev Record the downlink traffic that arrived for users with a queue during the current round
+     *      (scheduler role only, the platform sees the traffic before the users do)
+     * @param arrivingUsers Users with new traffic
+     * @param bits Bits that arrived for each of them
+     */
+    function addDemand(address[] calldata arrivingUsers, uint[] calldata bits) public onlyRole(SCHEDULER_ROLE) {
+        require(arrivingUsers.length == bits.length, "Users and bits differ in length");
+        require(currentPhase == RoundPhase.ReportingOpen, "Current round is already scheduled");
+        for (uint n = 0; n < arrivingUsers.length; n++) {
+            require(trafficModel[arrivingUsers[n]] != TrafficModel.FullBuffer, "User has a full buffer");
+            backlog[arrivingUsers[n]] += bits[n];
+        }
+        emit DemandAdded(currentRound, arrivingUsers, bits);
+    }
+    
+    /**
+     * @dev Replace the scheduling logic (admin only). The throughput state stays in this contract,
+     *      the new logic schedules from the next round that is not scheduled yet.
+     * @param logic Address of the new logic contract (a SchedulingLogic or a contract deriving from it)
+     */
+    function upgradeSchedulingLogic(address logic) public onlyAdmin {
+        require(logic.code.length > 0, "Scheduling logic is not a contract");
+        string memory name = ISchedulingLogic(logic).logicName();
+        schedulingLogic = logic;
+        logicVersion++;
+        emit SchedulingLogicUpgraded(currentPhase == RoundPhase.ReportingOpen ? currentRound : currentRound + 1, logicVersion, logic, name);
+    }
+    
+    /**
+     * @dev Update scheduling of the current round (scheduler role only). Only reports submitted
+     *      in this round are used; a user without a report is not scheduled at that operator.
+     *      Suspended users and operators are skipped, their throughput is kept as is.
+     *      Users with an empty queue are skipped too, and so is a user whose queue was emptied by
+     *      an operator scheduled before in the same round.
+     *      The selection runs in the scheduling logic, by delegatecall on the state of this contract.
+     */
+    function updateScheduling() public onlyRole(SCHEDULER_ROLE) {
+        require(currentPhase == RoundPhase.ReportingOpen, "Current round is already scheduled");
+        require(schedulingLogic != address(0), "Scheduling logic not set");
+        (bool success, bytes memory result) = schedulingLogic.delegatecall(abi.encodeCall(ISchedulingLogic.schedule, ()));
+        if (!success) {
+            // Bubble up the revert reason of the logic
+            assembly {
+                revert(add(result, 32), mload(result))
             }
-            // Use remainder accumulation precise algorithm, store values scaled by 100000000 to support 8 decimal places
-            uint oldThroughput = throughput[currentUsers[n]];
-            uint remainder = throughputRemainder[currentUsers[n]];
-            
-            // Calculate: 9999 * oldThroughput + totalAllocated * 100000000 + previously accumulated remainder
-            uint numerator = (alpha - 1) * oldThroughput + totalAllocated * 100000000 + remainder;
-            uint newThroughput = numerator / alpha;
-            uint newRemainder = numerator % alpha;
-            
-            throughput[currentUsers[n]] = newThroughput;
-            throughputRemainder[currentUsers[n]] = newRemainder;
         }
-        
-        emit Scheduled(currentOperators, getSelectedUsers(currentOperators));
+        currentPhase = RoundPhase.Scheduled;
+        emit RoundPhaseChanged(currentRound, RoundPhase.Scheduled);
     }
-
+    /**
+     * @dev Mark the scheduled round as settled and open the next round (settlement contract only)
+     * @param round Round number, must be the current scheduled round
+     */
+    function markRoundSettled(uint round) external {
+        require(msg.sender == settlementContract, "Caller is not the settlement contract");
+        require(round == currentRound && currentPhase == RoundPhase.Scheduled, "Round is not scheduled");
+        emit RoundPhaseChanged(round, RoundPhase.Settled);
+        currentRound = round + 1;
+        currentPhase = RoundPhase.ReportingOpen;
+        emit RoundPhaseChanged(round + 1, RoundPhase.ReportingOpen);
+    }
+    
+    /**
+     * @dev Phase of a round (earlier rounds are settled)
+     * @param round Round number
+     * @return Phase of the round
+     */
+    function getRoundStatus(uint round) public view returns (RoundPhase) {
+        require(round > 0 && round <= currentRound, "Round has not started");
+        return round < currentRound ? RoundPhase.Settled : currentPhase;
+    }
+    
     /**
      * @dev Service parameters provided for settlement contract to read
      */
@@ -143,36 +209,43 @@ contract SchedulingContract {
     
     
     /**
-     * @dev Get latest rate from configured status reporting contract
+     * @dev User selected on the first resource block of an operator
+     * @param operator Operator address
+     * @return Selected user (zero address if the block idles)
      */
-    function getLatestRate(address user, address operator) internal view returns (uint) {
-        require(statusReportingContract != address(0), "StatusReportingContract not set");
-        IStatusReportingContract statusContract = IStatusReportingContract(statusReportingContract);
-        return statusContract.getLatestRate(user, operator);
+    function selectedUser(address operator) public view returns (address) {
+        return blockUser[operator][0];
     }
     
     
     /**
-     * @dev Get selected users
-     * @param operatorList Operator array
-     * @return Selected user array
+     * @dev Get scheduling matrix
+     * @param user User address
+     * @param operator Operator address
+     * @return Whether scheduled on at least one resource block
      */
-    function getSelectedUsers(address[] memory operatorList) internal view returns (address[] memory) {
-        address[] memory selectedUsers = new address[](operatorList.length);
-        for (uint i = 0; i < operatorList.length; i++) {
-            selectedUsers[i] = selectedUser[operatorList[i]];
-        }
-        return selectedUsers;
+    function getSchedulingMatrix(address user, address operator) public view returns (bool) {
+        return allocatedBlocks[user][operator] > 0;
     }
     
+    /**
+     * @dev Scheduling matrix per resource block
+     * @param user User address
+     * @param operator Operator address
+     * @param blockIndex Resource block index
+     * @return Whether the user is scheduled on this block
+     */
+    function getBlockSchedulingMatrix(address user, address operator, uint blockIndex) public view returns (bool) {
+        return user != address(0) && blockIndex < scheduledBlocks[operator] && blockUser[operator][blockIndex] == user;
+    }
     
     /**
-     * @dev Get scheduling matrix
+     * @dev Resource blocks allocated to a user at an operator in the last round
      * @param user User address
      * @param operator Operator address
-     * @return Whether scheduled
+     * @return Number of blocks
      */
-    function getSchedulingMatrix(address user, address operator) public view returns (bool) {
-        return schedulingMatrix[user][operator];
-    }    
+    function getAllocatedBlocks(address user, address operator) external view returns (uint) {
+        return allocatedBlocks[user][operator];
+    }
 }
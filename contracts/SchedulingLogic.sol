@@ -0,0 +1,365 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./SchedulingStorage.sol";
+import "./FixedPointMath.sol";
+
+/**
+ * @title SchedulingLogic
+ * @dev User selection and throughput update of SchedulingContract, run by delegatecall on its storage.
+ *      The admin swaps it with SchedulingContract.upgradeSchedulingLogic without losing the throughput
+ *      state; another algorithm derives from this contract and overrides selectBlockUsers or calculatePriority.
+ */
+contract SchedulingLogic is SchedulingStorage, ISchedulingLogic {
+    uint private constant SCORE_OFFSET = 2**128; // Keeps alpha-fair log-domain scores positive
+    // Address of the logic contract itself, to refuse direct calls that would schedule on its own storage
+    address private immutable self = address(this);
+
+    /**
+     * @dev Name of the logic, recorded with every upgrade
+     */
+    function logicName() external pure virtual returns (string memory) {
+        return "SchedulingLogic";
+    }
+
+    /**
+     * @dev Schedule the current round: select the users of every resource block and update the
+     *      throughputs (delegatecall from SchedulingContract.updateScheduling only, which checks the
+     *      caller and the round phase)
+     */
+    function schedule() external {
+        require(address(this) != self, "Scheduling logic must be called by the scheduling contract");
+        uint round = currentRound;
+        
+        // Get active users and operators from registration contract
+        address[] memory currentUsers;
+        address[] memory currentOperators;
+        
+        IRegistrationContract regContract = IRegistrationContract(registrationContract);
+        currentUsers = regContract.getActiveUsers();
+        currentOperators = regContract.getActiveOperators();
+        initializeThroughputs(currentUsers);
+        address[] memory candidates = getSchedulableUsers(currentUsers);
+        
+        // User selection, independently on each resource block of each operator
+        (uint[] memory blocks, address[] memory selectedUsers) = scheduleOperators(currentOperators, candidates, round);
+        
+        // Throughput update with the served rate: bits served / slot duration (Kbps), the allocated rate
+        // for full-buffer users
+        for (uint n = 0; n < currentUsers.length; n++) {
+            uint totalServed = 0;
+            for (uint k = 0; k < currentOperators.length; k++) {
+                if (allocatedBlocks[currentUsers[n]][currentOperators[k]] > 0) {
+                    totalServed += servedBits[currentUsers[n]][currentOperators[k]];
+                }
+            }
+            // Use remainder accumulation precise algorithm, store values scaled by 100000000 to support 8 decimal places
+            uint oldThroughput = throughput[currentUsers[n]];
+            uint remainder = throughputRemainder[currentUsers[n]];
+            
+            // Calculate: 9999 * oldThroughput + served rate * 100000000 + previously accumulated remainder
+            uint numerator = (alpha - 1) * oldThroughput + totalServed * 100000000 / slotDuration + remainder;
+            uint newThroughput = numerator / alpha;
+            uint newRemainder = numerator % alpha;
+            
+            throughput[currentUsers[n]] = newThroughput;
+            throughputRemainder[currentUsers[n]] = newRemainder;
+        }
+        
+        if (policy == Policy.RoundRobin) {
+            roundRobinCursor++;
+        }
+        
+        emit Scheduled(round, currentOperators, blocks, selectedUsers, policy);
+    }
+    
+    /**
+     * @dev Clear the previous allocations and select the users of the current round at every operator
+     * @param currentOperators Active operators
+     * @param candidates Schedulable users
+     * @param round Current round
+     * @return blocks Resource blocks of every operator
+     * @return selectedUsers Selected user of every block (flattened, operator by operator)
+     */
+    function scheduleOperators(
+        address[] memory currentOperators,
+        address[] memory candidates,
+        uint round
+    ) internal returns (uint[] memory blocks, address[] memory selectedUsers) {
+        clearInactiveOperators(currentOperators);
+        blocks = new uint[](currentOperators.length);
+        uint totalBlocks = 0;
+        for (uint k = 0; k < currentOperators.length; k++) {
+            blocks[k] = getResourceBlocks(currentOperators[k]);
+            totalBlocks += blocks[k];
+        }
+        selectedUsers = new address[](totalBlocks);
+        
+        uint offset = 0;
+        for (uint k = 0; k < currentOperators.length; k++) {
+            clearScheduling(currentOperators[k], blocks[k]);
+            uint[] memory bestRates = selectBlockUsers(currentOperators[k], round, candidates, selectedUsers, offset, blocks[k]);
+            allocateBlocks(currentOperators[k], selectedUsers, offset, bestRates);
+            offset += blocks[k];
+        }
+    }
+    
+    /**
+     * @dev Select the user of every resource block of an operator
+     * @param op Operator address
+     * @param round Current round
+     * @param candidates Schedulable users
+     * @param selectedUsers Selected users of all blocks, written from offset on
+     * @param offset Position of the operator's first block in selectedUsers
+     * @param blocks Resource blocks of the operator
+     * @return bestRates Rate of the selected user on each block
+     */
+    function selectBlockUsers(
+        address op,
+        uint round,
+        address[] memory candidates,
+        address[] memory selectedUsers,
+        uint offset,
+        uint blocks
+    ) internal view virtual returns (uint[] memory bestRates) {
+        bestRates = new uint[](blocks);
+        if (policy == Policy.RoundRobin) {
+            // Blocks serve consecutive users, the starting user advances every round
+            // (a block stays idle if that user did not report to the operator or has nothing left to receive)
+            for (uint b = 0; b < blocks && candidates.length > 0; b++) {
+                address rrUser = candidates[(roundRobinCursor + offset + b) % candidates.length];
+                if (!hasDemand(rrUser)) {
+                    continue;
+                }
+                (uint[] memory rrRates, bool rrReported) = getRoundBlockRates(rrUser, op, round);
+                if (rrReported && b < rrRates.length) {
+                    selectedUsers[offset + b] = rrUser;
+                    bestRates[b] = rrRates[b];
+                }
+            }
+            return bestRates;
+        }
+        
+        uint[] memory maxPriority = new uint[](blocks);
+        // Select best user for each block of the operator
+        for (uint n = 0; n < candidates.length; n++) {
+            if (!hasDemand(candidates[n])) {
+                continue;
+            }
+            (uint[] memory rates, bool reported) = getRoundBlockRates(candidates[n], op, round);
+            if (!reported) {
+                continue;
+            }
+            for (uint b = 0; b < blocks && b < rates.length; b++) {
+                uint priority = calculatePriority(candidates[n], rates[b]);
+                if (priority > maxPriority[b]) {
+                    maxPriority[b] = priority;
+                    selectedUsers[offset + b] = candidates[n];
+                    bestRates[b] = rates[b];
+                }
+            }
+        }
+    }
+    
+    /**
+     * @dev Update scheduling matrix and allocated rates of an operator, then serve its users
+     * @param op Operator address
+     * @param selectedUsers Selected users of all blocks
+     * @param offset Position of the operator's first block in selectedUsers
+     * @param bestRates Rate of the selected user on each block
+     */
+    function allocateBlocks(address op, address[] memory selectedUsers, uint offset, uint[] memory bestRates) internal {
+        for (uint b = 0; b < bestRates.length; b++) {
+            address user = selectedUsers[offset + b];
+            blockUser[op][b] = user;
+            if (user == address(0)) {
+                continue;
+            }
+            allocatedBlocks[user][op] += 1;
+            allocatedRate[user][op] += bestRates[b];
+        }
+        // Serve every selected user once, at the first of its blocks
+        for (uint b = 0; b < bestRates.length; b++) {
+            address user = selectedUsers[offset + b];
+            bool first = user != address(0);
+            for (uint c = 0; c < b && first; c++) {
+                first = selectedUsers[offset + c] != user;
+            }
+            if (first) {
+                serve(user, op);
+            }
+        }
+    }
+    
+    /**
+     * @dev Service of a user at an operator: a full buffer keeps the blocks for the whole slot, a queue
+     *      only until it is empty (ceil(backlog / rate) ms, at most the slot)
+     * @param user User address
+     * @param op Operator address
+     */
+    function serve(address user, address op) internal {
+        uint rate = allocatedRate[user][op]; // Kbps = bits per ms
+        uint duration = slotDuration;
+        uint served = rate * duration;
+        if (trafficModel[user] != TrafficModel.FullBuffer) {
+            uint queued = backlog[user];
+            if (rate > 0 && (queued + rate - 1) / rate < duration) {
+                duration = (queued + rate - 1) / rate;
+            }
+            if (served > queued) {
+                served = queued;
+            }
+            backlog[user] = queued - served;
+        }
+        serviceDuration[user][op] = duration;
+        servedBits[user][op] = served;
+    }
+    
+    /**
+     * @dev Clear the whole allocation of the operators scheduled in the last round that are no longer
+     *      active (suspended or deregistered), then record the operators of this round
+     * @param currentOperators Active operators
+     */
+    function clearInactiveOperators(address[] memory currentOperators) internal {
+        address[] memory previous = scheduledOperators;
+        bool changed = previous.length != currentOperators.length;
+        for (uint i = 0; i < previous.length; i++) {
+            bool active = false;
+            for (uint k = 0; k < currentOperators.length && !active; k++) {
+                active = previous[i] == currentOperators[k];
+            }
+            if (!active) {
+                clearScheduling(previous[i], 0);
+            }
+            changed = changed || previous[i] != currentOperators[i];
+        }
+        if (changed) {
+            scheduledOperators = currentOperators;
+        }
+    }
+    
+    /**
+     * @dev Clear the allocations of the previous round at an operator
+     * @param op Operator address
+     * @param blocks Resource blocks scheduled this round
+     */
+    function clearScheduling(address op, uint blocks) internal {
+        uint previousBlocks = scheduledBlocks[op];
+        for (uint b = 0; b < previousBlocks; b++) {
+            address prev = blockUser[op][b];
+            if (prev != address(0)) {
+                allocatedBlocks[prev][op] = 0;
+                allocatedRate[prev][op] = 0;
+                servedBits[prev][op] = 0;
+                if (b >= blocks) {
+                    blockUser[op][b] = address(0);
+                }
+            }
+        }
+        if (previousBlocks != blocks) {
+            scheduledBlocks[op] = blocks;
+        }
+    }
+    
+    /**
+     * @dev Give users scheduled for the first time since their registration the mean throughput of the
+     *      other active users, so that a user joining mid-run does not win every block with a zero
+     *      throughput and a user registering again does not resume its old throughput
+     *      (users present from the first round all start from 0)
+     * @param currentUsers Active users
+     */
+    function initializeThroughputs(address[] memory currentUsers) internal {
+        IRegistrationContract regContract = IRegistrationContract(registrationContract);
+        uint total = 0;
+        uint count = 0;
+        uint newcomers = 0;
+        uint[] memory ids = new uint[](currentUsers.length);
+        bool[] memory isNew = new bool[](currentUsers.length);
+        for (uint n = 0; n < currentUsers.length; n++) {
+            (ids[n], ) = regContract.registry(currentUsers[n]);
+            if (!throughputInitialized[currentUsers[n]] || throughputRegistrationId[currentUsers[n]] != ids[n]) {
+                isNew[n] = true;
+                newcomers++;
+            } else {
+                total += throughput[currentUsers[n]];
+                count++;
+            }
+        }
+        if (newcomers == 0) {
+            return;
+        }
+        uint initial = count > 0 ? total / count : 0;
+        for (uint n = 0; n < currentUsers.length; n++) {
+            if (isNew[n]) {
+                throughput[currentUsers[n]] = initial;
+                throughputRemainder[currentUsers[n]] = 0;
+                throughputInitialized[currentUsers[n]] = true;
+                throughputRegistrationId[currentUsers[n]] = ids[n];
+                emit ThroughputInitialized(currentUsers[n], initial);
+            }
+        }
+    }
+    
+    /**
+     * @dev Users that may be scheduled this round: users with traffic to receive that are not
+     *      suspended by the settlement contract (if one is set)
+     * @param currentUsers Active users
+     * @return candidates Schedulable users, in registration order
+     */
+    function getSchedulableUsers(address[] memory currentUsers) internal view returns (address[] memory candidates) {
+        candidates = new address[](currentUsers.length);
+        uint count = 0;
+        for (uint n = 0; n < currentUsers.length; n++) {
+            if (hasDemand(currentUsers[n])
+                && (settlementContract == address(0) || ISettlementContract(settlementContract).isSchedulable(currentUsers[n]))) {
+                candidates[count++] = currentUsers[n];
+            }
+        }
+        // Shrink the array to the number of schedulable users
+        assembly {
+            mstore(candidates, count)
+        }
+    }
+    
+    /**
+     * @dev Calculate the priority of a user under the active policy (0 means never selected)
+     * @param user User address
+     * @param latestRate Latest rate of the user at the operator
+     * @return priority Priority value, comparable among users of the same round
+     */
+    function calculatePriority(address user, uint latestRate) internal view virtual returns (uint priority) {
+        uint userThroughput = throughput[user];
+        if (policy == Policy.MaxRate) {
+            priority = latestRate;
+        } else if (policy == Policy.AlphaFair) {
+            // Compare rate / throughput^beta in the log domain:
+            // log2(rate) - beta * log2(throughput), zero throughput counts as the smallest unit
+            if (latestRate == 0) {
+                return 0;
+            }
+            uint penalty = userThroughput > 1 ? (beta * FixedPointMath.log2(userThroughput)) / 100 : 0;
+            priority = SCORE_OFFSET + FixedPointMath.log2(latestRate) - penalty;
+        } else {
+            uint weight = WEIGHT_SCALE;
+            if (policy == Policy.WeightedPF && userWeight[user] != 0) {
+                weight = userWeight[user];
+            }
+            if (userThroughput > 0) {
+                // Note: throughput stores values scaled by 100000000
+                priority = (latestRate * 1000000000 * weight) / (userThroughput * WEIGHT_SCALE);
+            } else {
+                // When throughput is 0, use rate directly as priority
+                priority = (latestRate * 100000000 * weight) / WEIGHT_SCALE;
+            }
+        }
+    }
+    
+    /**
+     * @dev Get the per-block rates reported in a round from configured status reporting contract
+     */
+    function getRoundBlockRates(address user, address operator, uint round) internal view returns (uint[] memory rates, bool reported) {
+        require(statusReportingContract != address(0), "StatusReportingContract not set");
+        IStatusReportingContract statusContract = IStatusReportingContract(statusReportingContract);
+        return statusContract.getRoundBlockRates(user, operator, round);
+    }
+}
@@ -0,0 +1,133 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "./PlatformAccess.sol";
+
+// Status reporting contract interface
+interface IStatusReportingContract {
+    function getRoundBlockRates(address user, address operator, uint round) external view returns (uint[] memory rates, bool reported);
+}
+
+// Registration contract interface
+interface IRegistrationContract {
+    function getAllUsers() external view returns (address[] memory);
+    function getAllOperators() external view returns (address[] memory);
+    function getActiveUsers() external view returns (address[] memory);
+    function getActiveOperators() external view returns (address[] memory);
+    function registry(address account) external view returns (uint id, bool isOperator);
+}
+
+// Settlement contract interface
+interface ISettlementContract {
+    function isSchedulable(address user) external view returns (bool);
+}
+
+// Scheduling logic interface, called by SchedulingContract with delegatecall
+interface ISchedulingLogic {
+    function logicName() external pure returns (string memory);
+    function schedule() external;
+}
+
+/**
+ * @title SchedulingStorage
+ * @dev State of the scheduling contract, shared by SchedulingContract and its scheduling logic:
+ *      the logic runs by delegatecall on the storage of SchedulingContract, so both must have this
+ *      exact layout. Contracts deriving from it must not declare state variables of their own;
+ *      new state goes at the end of this contract.
+ */
+abstract contract SchedulingStorage is PlatformAccess {
+    // Resource blocks of each operator (0 = a single block); PF runs independently on every block
+    uint public constant MAX_RESOURCE_BLOCKS = 16;
+    mapping(address => uint) internal resourceBlocks;
+    // Bandwidth of each operator in kHz (0 = DEFAULT_BANDWIDTH), shared equally by its resource blocks;
+    // MAX_BANDWIDTH keeps every rate within the 8 bytes of a packed batch entry
+    uint public constant DEFAULT_BANDWIDTH = 1000;
+    uint public constant MAX_BANDWIDTH = 100000;
+    mapping(address => uint) internal bandwidth;
+    // User selected on each resource block of an operator (zero address if the block idles)
+    mapping(address => mapping(uint => address)) public blockUser;
+    // Number of blocks scheduled per operator in the last round, cleared when the next round is scheduled
+    mapping(address => uint) internal scheduledBlocks;
+    mapping(address => uint) public throughput; // Actually stores values scaled by 100000000 (8 decimal places)
+    mapping(address => uint) public throughputRemainder; // Accumulated remainder for precise calculation
+    // Set when a user is first scheduled; users joining mid-run start from the mean throughput of the others
+    mapping(address => bool) public throughputInitialized;
+    uint public constant alpha = 10000; // Control throughput update speed, larger values change slower
+    uint public constant PRECISION = 100000000; // Precision factor for simulating floating point operations (8 decimal places)
+    // Blocks allocated to a user at an operator in the last round, and the sum of their rates
+    mapping(address => mapping(address => uint)) public allocatedBlocks;
+    mapping(address => mapping(address => uint)) public allocatedRate;
+    // Service parameters provided for settlement: duration (ms) and bits served in the last round
+    mapping(address => mapping(address => uint)) public serviceDuration;
+    mapping(address => mapping(address => uint)) public servedBits;
+
+    // Traffic demand of each user: full buffer (always backlogged, the default) or a queue of downlink
+    // arrivals recorded by the scheduler; the arrival process itself is generated off-chain
+    enum TrafficModel { FullBuffer, Poisson, Bursty, FileDownload }
+    mapping(address => TrafficModel) public trafficModel;
+    // Bits waiting for each user with a queue, drained by the service of every round
+    mapping(address => uint) public backlog;
+    // Length of a round in ms: the service duration of a full-buffer user and the longest of any user
+    uint public slotDuration = 50;
+
+    // Scheduling policies
+    enum Policy { ProportionalFair, MaxRate, RoundRobin, AlphaFair, WeightedPF }
+    Policy public policy = Policy.ProportionalFair;
+    uint public beta = 100; // Alpha-fair exponent scaled by 100 (100 = proportional fair)
+    uint public constant WEIGHT_SCALE = 100; // Weighted PF weights scaled by 100 (unset weight = 1.00)
+    mapping(address => uint) public userWeight;
+    uint public roundRobinCursor; // Advances by one every round under round-robin
+
+    address public statusReportingContract;
+    address public registrationContract;
+    address public settlementContract; // Optional, excludes users suspended for insufficient funds
+
+    // Round state machine: reports are accepted while the round is open, scheduling closes it,
+    // settlement marks it settled and opens the next round
+    enum RoundPhase { ReportingOpen, Scheduled, Settled }
+    uint public currentRound = 1;
+    RoundPhase public currentPhase = RoundPhase.ReportingOpen;
+
+    address[] public users; // Unused, kept for the storage layout
+    // Operators scheduled in the last round, cleared by the next round once they are no longer active
+    address[] public scheduledOperators;
+
+    // Scheduling logic run by updateScheduling, and the number of logic upgrades (the first logic is version 1)
+    address public schedulingLogic;
+    uint public logicVersion;
+
+    // Registration id of each user when its throughput was initialized: a user that deregisters and
+    // registers again gets a new id, and starts again like a newcomer
+    mapping(address => uint) public throughputRegistrationId;
+
+    // selectedUsers lists, operator by operator, the user selected on each of its blocks[k] resource blocks
+    event Scheduled(uint round, address[] operators, uint[] blocks, address[] selectedUsers, Policy policy);
+    event RoundPhaseChanged(uint round, RoundPhase phase);
+    event PolicyChanged(Policy policy, uint beta);
+    event UserWeightChanged(address user, uint weight);
+    event ResourceBlocksChanged(address operator, uint blocks);
+    event BandwidthChanged(address operator, uint bandwidth);
+    event ThroughputInitialized(address user, uint throughput);
+    event TrafficModelChanged(address user, TrafficModel model);
+    event SlotDurationChanged(uint duration);
+    event DemandAdded(uint round, address[] users, uint[] bits);
+    // round is the first round scheduled by the new logic
+    event SchedulingLogicUpgraded(uint round, uint version, address logic, string name);
+
+    /**
+     * @dev Number of resource blocks of an operator
+     * @param operator Operator address
+     * @return Resource blocks (at least 1)
+     */
+    function getResourceBlocks(address operator) public view returns (uint) {
+        uint blocks = resourceBlocks[operator];
+        return blocks == 0 ? 1 : blocks;
+    }
+
+    /**
+     * @dev Whether a user has traffic to receive
+     */
+    function hasDemand(address user) public view returns (bool) {
+        return trafficModel[user] == TrafficModel.FullBuffer || backlog[user] > 0;
+    }
+}
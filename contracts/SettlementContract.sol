@@ -1,6 +1,8 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.0;
 
+import "./PlatformAccess.sol";
+
 /**
  * @title SettlementContract
  * @dev Smart contract for handling payments and transaction settlements
@@ -8,31 +10,108 @@ pragma solidity ^0.8.0;
 
 // Scheduling contract interface
 interface ISchedulingContract {
-    function getSchedulingMatrix(address user, address operator) external view returns (bool);
+    function getAllocatedBlocks(address user, address operator) external view returns (uint);
+    function getResourceBlocks(address operator) external view returns (uint);
+    function getOperatorBandwidth(address operator) external view returns (uint);
     function getServiceDuration(address user, address operator) external view returns (uint duration);
+    function servedBits(address user, address operator) external view returns (uint);
+    function statusReportingContract() external view returns (address);
+    function currentRound() external view returns (uint);
+    function currentPhase() external view returns (uint8);
+    function markRoundSettled(uint round) external;
+}
+
+// Status reporting contract interface (requests of a round, for surge pricing)
+interface IStatusReportingContract {
+    function getRoundRate(address user, address operator, uint round) external view returns (uint rate, bool reported);
 }
 
 // Registration contract interface
 interface IRegistrationContract {
     function getAllUsers() external view returns (address[] memory);
     function getAllOperators() external view returns (address[] memory);
+    function getActiveUsers() external view returns (address[] memory);
+    function getActiveOperators() external view returns (address[] memory);
+    function registry(address account) external view returns (uint id, bool isOperator);
 }
-contract SettlementContract {
-    event PaymentProcessed(address user, address operator, uint cost);
-    event ServiceNotified(address user, address operator, uint duration, uint bandwidth);
+contract SettlementContract is PlatformAccess {
+    // How an operator prices a round of service:
+    // Flat - price per unit of duration per kHz of billed bandwidth
+    // PerBit - price per delivered bit (allocated rate in Kbps times duration in ms)
+    // Tiered - price per delivered bit, changing at each volume tier the user reaches at the operator
+    // Surge - Flat, plus surgeStep percent for every user above surgeThreshold requesting the operator in the round
+    enum TariffModel { Flat, PerBit, Tiered, Surge }
+    
+    struct Tariff {
+        TariffModel model;
+        uint price;          // wei per duration unit and kHz (Flat, Surge) or per bit (PerBit, first tier of Tiered)
+        uint[] tierVolumes;  // Tiered: delivered volume (bits) at which each further tier starts, increasing
+        uint[] tierPrices;   // Tiered: wei per bit of each further tier
+        uint surgeThreshold; // Surge: requesting users served at the base price
+        uint surgeStep;      // Surge: surcharge per requesting user above the threshold (percent of the base cost)
+        uint maxSurge;       // Surge: surcharge cap (percent of the base cost, 0 = no cap)
+    }
+    
+    // How the cost of a payment was obtained (cost = baseCost + surcharge)
+    struct CostBreakdown {
+        uint duration;   // Service duration
+        uint bandwidth;  // Billed bandwidth (kHz)
+        uint volume;     // Delivered bits
+        uint requests;   // Users that requested the operator in the round (counted for Surge tariffs only)
+        uint baseCost;   // Cost at the tariff price
+        uint surcharge;  // Surge pricing surcharge
+    }
+    
+    event PaymentProcessed(uint round, address user, address operator, uint cost, uint tariffId, CostBreakdown breakdown);
+    event PaymentFailed(uint round, address user, address operator, uint cost, uint balance);
+    event ServiceNotified(uint round, address user, address operator, uint duration, uint bandwidth);
+    event Deposited(address user, address from, uint amount);
+    event Withdrawn(address account, uint amount);
+    event UserSuspended(address user);
+    event UserReinstated(address user);
+    event TariffPublished(address operator, uint tariffId, TariffModel model);
+    event TariffActivated(address operator, uint tariffId, uint round);
     
     address public schedulingContract;
     address public registrationContract;
     
     // Rate configuration
     mapping(address => uint) public operatorRates; // Operator rates (wei per second per bandwidth unit)
+    // Price of the default tariff (id 0, Flat at operatorRates) for operators without a rate
+    uint public constant DEFAULT_RATE = 87;
+    
+    // Published tariffs by id (from 1), the active tariff of each operator (0 = default tariff)
+    mapping(uint => Tariff) private tariffs;
+    uint public tariffCount;
+    mapping(address => uint) public operatorTariff;
+    // Tariff published while a round was scheduled, active from the next round (0 = none pending)
+    mapping(address => uint) public pendingTariff;
+    uint public constant MAX_TARIFF_TIERS = 8;
+    // Bits delivered to each user by each operator under Tiered tariffs
+    mapping(address => mapping(address => uint)) public deliveredVolume;
+    
+    // Escrow
+    mapping(address => uint) public userBalances;     // User deposits available for payments (wei)
+    mapping(address => uint) public operatorBalances; // Operator earnings available for withdrawal (wei)
+    
+    // Behavior when a scheduled user cannot pay:
+    // Skip - the payment is skipped (PaymentFailed), the user stays schedulable
+    // Suspend - the payment is skipped and the user is unschedulable until the next deposit
+    enum InsufficientFundsPolicy { Skip, Suspend }
+    InsufficientFundsPolicy public insufficientFundsPolicy = InsufficientFundsPolicy.Skip;
+    mapping(address => bool) public unschedulable;
+    
+    // Rounds already settled (settlement is idempotent per round)
+    mapping(uint => bool) public roundSettled;
+    // SchedulingContract.RoundPhase.Scheduled
+    uint8 private constant PHASE_SCHEDULED = 1;
     
     
     /**
      * @dev Set scheduling contract address
      * @param _schedulingContract Scheduling contract address
      */
-    function setSchedulingContract(address _schedulingContract) public {
+    function setSchedulingContract(address _schedulingContract) public onlyAdmin {
         schedulingContract = _schedulingContract;
     }
     
@@ -40,127 +119,389 @@ contract SettlementContract {
      * @dev Set registration contract address
      * @param _registrationContract Registration contract address
      */
-    function setRegistrationContract(address _registrationContract) public {
+    function setRegistrationContract(address _registrationContract) public onlyAdmin {
         registrationContract = _registrationContract;
     }
      
     
     /**
-     * @dev Process scheduled transactions
+     * @dev Process scheduled transactions of the latest scheduled round (settler role only).
+     *      Calling it again before the next round is scheduled has no effect.
+     */
+    function processScheduledTransactions() public onlyRole(SETTLER_ROLE) {
+        require(schedulingContract != address(0), "SchedulingContract not set");
+        ISchedulingContract sc = ISchedulingContract(schedulingContract);
+        uint round = sc.currentRound();
+        if (sc.currentPhase() != PHASE_SCHEDULED) {
+            round -= 1; // The current round is still open, the previous one is the latest scheduled
+        }
+        require(round > 0, "No round has been scheduled");
+        settleRound(round);
+    }
+    
+    /**
+     * @dev Settle a scheduled round once (settler role only); settled rounds are skipped.
+     *      Only active users and operators are settled.
+     * @param round Round number
      */
-    function processScheduledTransactions() public {
-        // Get users and operators from registration contract
+    function settleRound(uint round) public onlyRole(SETTLER_ROLE) {
+        if (roundSettled[round]) {
+            return;
+        }
+        ISchedulingContract sc = ISchedulingContract(schedulingContract);
+        require(round == sc.currentRound() && sc.currentPhase() == PHASE_SCHEDULED, "Round is not scheduled");
+        roundSettled[round] = true;
+        
+        // Get active users and operators from registration contract
         address[] memory currentUsers;
         address[] memory currentOperators;
         
         IRegistrationContract regContract = IRegistrationContract(registrationContract);
-        currentUsers = regContract.getAllUsers();
-        currentOperators = regContract.getAllOperators();
+        currentUsers = regContract.getActiveUsers();
+        currentOperators = regContract.getActiveOperators();
+        // Requests per operator plus one, counted when a surge tariff needs them (0 = not counted yet)
+        uint[] memory requestCounts = new uint[](currentOperators.length);
         
         for (uint n = 0; n < currentUsers.length; n++) {
             for (uint k = 0; k < currentOperators.length; k++) {
-                bool scheduled = getSchedulingMatrix(currentUsers[n], currentOperators[k]);
+                bool scheduled = getAllocatedBlocks(currentUsers[n], currentOperators[k]) > 0;
                 
                 if (scheduled) {
+                    if (requestCounts[k] == 0 && tariffs[operatorTariff[currentOperators[k]]].model == TariffModel.Surge) {
+                        requestCounts[k] = countRequests(round, currentOperators[k], currentUsers) + 1;
+                    }
                     (uint duration, uint bandwidth) = getServiceParameters(currentUsers[n], currentOperators[k]);
-                    notify(currentUsers[n], currentOperators[k], duration, bandwidth);
-                    settleService(currentUsers[n], currentOperators[k], duration, bandwidth);
+                    notify(round, currentUsers[n], currentOperators[k], duration, bandwidth);
+                    settleService(round, currentUsers[n], currentOperators[k], duration, bandwidth, requestCounts[k] == 0 ? 0 : requestCounts[k] - 1);
                 }
             }
         }
+        
+        // The next round opens: tariffs published while this one was scheduled take effect
+        address[] memory allOperators = regContract.getAllOperators();
+        for (uint k = 0; k < allOperators.length; k++) {
+            uint tariffId = pendingTariff[allOperators[k]];
+            if (tariffId != 0) {
+                operatorTariff[allOperators[k]] = tariffId;
+                delete pendingTariff[allOperators[k]];
+                emit TariffActivated(allOperators[k], tariffId, round + 1);
+            }
+        }
+        
+        sc.markRoundSettled(round);
     }
     
     /**
-     * @dev Get scheduling matrix from configured scheduling contract
+     * @dev Get the resource blocks allocated to a user from configured scheduling contract
      */
-    function getSchedulingMatrix(address user, address operator) internal view returns (bool) {
+    function getAllocatedBlocks(address user, address operator) internal view returns (uint) {
         require(schedulingContract != address(0), "SchedulingContract not set");
         ISchedulingContract schedulingInterface = ISchedulingContract(schedulingContract);
-        return schedulingInterface.getSchedulingMatrix(user, operator);
+        return schedulingInterface.getAllocatedBlocks(user, operator);
+    }
+    
+    /**
+     * @dev Number of users that reported to an operator in a round, i.e. requested its service
+     */
+    function countRequests(uint round, address operator, address[] memory currentUsers) internal view returns (uint requests) {
+        IStatusReportingContract statusContract = IStatusReportingContract(ISchedulingContract(schedulingContract).statusReportingContract());
+        for (uint n = 0; n < currentUsers.length; n++) {
+            (, bool reported) = statusContract.getRoundRate(currentUsers[n], operator, round);
+            if (reported) {
+                requests++;
+            }
+        }
     }
     
     /**
-     * @dev Service settlement
+     * @dev Service settlement under the operator's active tariff
+     * @param round Round number
      * @param user User address
      * @param operator Operator address
      * @param duration Service duration
      * @param bandwidth Bandwidth
+     * @param requests Users that requested the operator in the round (only used by surge tariffs)
      */
-    function settleService(address user, address operator, uint duration, uint bandwidth) public {
-        uint cost = calculateCost(operator, duration, bandwidth);
-        processPayment(user, operator, cost);
-        emit PaymentProcessed(user, operator, cost);
+    function settleService(uint round, address user, address operator, uint duration, uint bandwidth, uint requests) internal {
+        (uint cost, CostBreakdown memory breakdown) = calculateCost(user, operator, duration, bandwidth, requests);
+        if (processPayment(round, user, operator, cost)) {
+            uint tariffId = operatorTariff[operator];
+            if (tariffs[tariffId].model == TariffModel.Tiered) {
+                deliveredVolume[user][operator] += breakdown.volume;
+            }
+            emit PaymentProcessed(round, user, operator, cost, tariffId, breakdown);
+        }
     }
     
     /**
      * @dev Notify service parameters
+     * @param round Round number
      * @param user User address
      * @param operator Operator address
      * @param duration Service duration
      * @param bandwidth Bandwidth
      */
-    function notify(address user, address operator, uint duration, uint bandwidth) internal {
-        emit ServiceNotified(user, operator, duration, bandwidth);
+    function notify(uint round, address user, address operator, uint duration, uint bandwidth) internal {
+        emit ServiceNotified(round, user, operator, duration, bandwidth);
     }
     
     /**
-     * @dev Get service parameters
+     * @dev Get service parameters. The service is billed per allocated resource block:
+     *      the bandwidth is the share of the operator's bandwidth held by the blocks allocated to the user.
      * @param user User address
      * @param operator Operator address
      * @return duration Service duration
      * @return bandwidth Bandwidth
      */
     function getServiceParameters(address user, address operator) public view returns (uint duration, uint bandwidth) {
+        bandwidth = 1000; // Default bandwidth
+        
         // First try to read service parameters from scheduling contract
         if (schedulingContract != address(0)) {
             ISchedulingContract sc = ISchedulingContract(schedulingContract);
             duration = sc.getServiceDuration(user, operator);
+            bandwidth = sc.getOperatorBandwidth(operator);
+            uint blocks = sc.getAllocatedBlocks(user, operator);
+            if (blocks > 0) {
+                bandwidth = bandwidth * blocks / sc.getResourceBlocks(operator);
+            }
         }
 
         // If scheduling contract does not provide or returns 0, use default value
         if (duration == 0) {
             duration = 50;
         }
-        bandwidth = 1000; // Default bandwidth
     }
     
     /**
-     * @dev Calculate service cost
+     * @dev Calculate the cost of a round of service under the operator's active tariff
+     * @param user User address
      * @param operator Operator address
      * @param duration Service duration
      * @param bandwidth Bandwidth (kHz)
-     * @return Total cost
+     * @param requests Users that requested the operator in the round (only used by surge tariffs)
+     * @return cost Total cost
+     * @return breakdown Billed quantities and cost components
+     */
+    function calculateCost(
+        address user,
+        address operator,
+        uint duration,
+        uint bandwidth,
+        uint requests
+    ) public view returns (uint cost, CostBreakdown memory breakdown) {
+        uint tariffId = operatorTariff[operator];
+        Tariff storage tariff = tariffs[tariffId];
+        breakdown.duration = duration;
+        breakdown.bandwidth = bandwidth;
+        // Bits delivered in the round: allocated rate (Kbps) times duration (ms), at most the user's backlog
+        breakdown.volume = ISchedulingContract(schedulingContract).servedBits(user, operator);
+        
+        if (tariffId == 0) {
+            uint rate = operatorRates[operator];
+            if (rate == 0) {
+                rate = DEFAULT_RATE;
+            }
+            breakdown.baseCost = rate * duration * bandwidth;
+        } else if (tariff.model == TariffModel.PerBit) {
+            breakdown.baseCost = tariff.price * breakdown.volume;
+        } else if (tariff.model == TariffModel.Tiered) {
+            breakdown.baseCost = tieredCost(tariff, deliveredVolume[user][operator], breakdown.volume);
+        } else {
+            breakdown.baseCost = tariff.price * duration * bandwidth;
+        }
+        
+        if (tariff.model == TariffModel.Surge) {
+            breakdown.requests = requests;
+            if (requests > tariff.surgeThreshold) {
+                uint surge = (requests - tariff.surgeThreshold) * tariff.surgeStep;
+                if (tariff.maxSurge != 0 && surge > tariff.maxSurge) {
+                    surge = tariff.maxSurge;
+                }
+                breakdown.surcharge = breakdown.baseCost * surge / 100;
+            }
+        }
+        cost = breakdown.baseCost + breakdown.surcharge;
+    }
+    
+    /**
+     * @dev Cost of delivering volume bits to a user who already received delivered bits, tier by tier
      */
-    function calculateCost(address operator, uint duration, uint bandwidth) public view returns (uint) {
-        uint rate = operatorRates[operator];
-        if (rate == 0) {
-            rate = 87; // Default rate
+    function tieredCost(Tariff storage tariff, uint delivered, uint volume) internal view returns (uint cost) {
+        uint end = delivered + volume;
+        uint tierStart = 0;
+        uint price = tariff.price;
+        for (uint i = 0; i <= tariff.tierVolumes.length; i++) {
+            uint tierEnd = i < tariff.tierVolumes.length ? tariff.tierVolumes[i] : type(uint).max;
+            uint from = delivered > tierStart ? delivered : tierStart;
+            uint to = end < tierEnd ? end : tierEnd;
+            if (to > from) {
+                cost += (to - from) * price;
+            }
+            if (i < tariff.tierVolumes.length) {
+                tierStart = tierEnd;
+                price = tariff.tierPrices[i];
+            }
         }
-        return rate * duration * bandwidth;
     }
     
     /**
-     * @dev Process payment
+     * @dev Publish a tariff (the operator itself or the admin). It becomes the operator's active tariff
+     *      at once while the current round is open, so the round is billed under it; once the round is
+     *      scheduled its allocation keeps the old price, and the tariff stays pending until the round is
+     *      settled and the next one opens. Earlier tariffs stay readable by id.
+     * @param operator Operator address
+     * @param tariff Tariff model and prices
+     * @return tariffId Id of the published tariff, carried by its PaymentProcessed events
+     */
+    function publishTariff(address operator, Tariff calldata tariff) public returns (uint tariffId) {
+        require(msg.sender == operator || msg.sender == admin, "Only the operator or the admin can publish its tariff");
+        require(registrationContract != address(0), "RegistrationContract not set");
+        (uint id, bool isOperator) = IRegistrationContract(registrationContract).registry(operator);
+        require(id != 0 && isOperator, "Address is not a registered operator");
+        require(tariff.tierVolumes.length == tariff.tierPrices.length, "Tier volumes and prices differ in length");
+        if (tariff.model == TariffModel.Tiered) {
+            require(tariff.tierVolumes.length <= MAX_TARIFF_TIERS, "Too many tariff tiers (max 8)");
+            for (uint i = 0; i < tariff.tierVolumes.length; i++) {
+                require(tariff.tierVolumes[i] > (i == 0 ? 0 : tariff.tierVolumes[i - 1]), "Tier volumes must be positive and increasing");
+            }
+        } else {
+            require(tariff.tierVolumes.length == 0, "Only tiered tariffs have tiers");
+        }
+        
+        tariffId = ++tariffCount;
+        tariffs[tariffId] = tariff;
+        if (schedulingContract != address(0) && ISchedulingContract(schedulingContract).currentPhase() == PHASE_SCHEDULED) {
+            pendingTariff[operator] = tariffId;
+        } else {
+            operatorTariff[operator] = tariffId;
+            delete pendingTariff[operator];
+        }
+        emit TariffPublished(operator, tariffId, tariff.model);
+    }
+    
+    /**
+     * @dev Published tariff
+     * @param tariffId Tariff id (0 is the default tariff, Flat at operatorRates)
+     * @return Tariff model and prices
+     */
+    function getTariff(uint tariffId) public view returns (Tariff memory) {
+        require(tariffId <= tariffCount, "Unknown tariff");
+        return tariffs[tariffId];
+    }
+    
+    /**
+     * @dev Process payment: move the cost from the user's deposit to the operator's balance
+     * @param round Round number
      * @param user User address
      * @param operator Operator address
      * @param cost Payment amount
+     * @return paid Whether the user could pay
+     */
+    function processPayment(uint round, address user, address operator, uint cost) internal returns (bool paid) {
+        uint balance = userBalances[user];
+        if (balance < cost) {
+            emit PaymentFailed(round, user, operator, cost, balance);
+            if (insufficientFundsPolicy == InsufficientFundsPolicy.Suspend && !unschedulable[user]) {
+                unschedulable[user] = true;
+                emit UserSuspended(user);
+            }
+            return false;
+        }
+        userBalances[user] = balance - cost;
+        operatorBalances[operator] += cost;
+        return true;
+    }
+    
+    /**
+     * @dev Deposit funds for the sender
+     */
+    function deposit() external payable {
+        depositFor(msg.sender);
+    }
+    
+    /**
+     * @dev Deposit funds for a user, reinstating the user if suspended
+     * @param user User address
+     */
+    function depositFor(address user) public payable {
+        require(msg.value > 0, "Deposit must be greater than zero");
+        userBalances[user] += msg.value;
+        emit Deposited(user, msg.sender, msg.value);
+        if (unschedulable[user]) {
+            unschedulable[user] = false;
+            emit UserReinstated(user);
+        }
+    }
+    
+    /**
+     * @dev Withdraw operator earnings
+     * @param amount Amount to withdraw (wei)
+     */
+    function withdraw(uint amount) external {
+        require(operatorBalances[msg.sender] >= amount, "Insufficient operator balance");
+        operatorBalances[msg.sender] -= amount;
+        emit Withdrawn(msg.sender, amount);
+        (bool sent, ) = payable(msg.sender).call{value: amount}("");
+        require(sent, "Transfer failed");
+    }
+    
+    /**
+     * @dev Withdraw unused user deposit
+     * @param amount Amount to withdraw (wei)
+     */
+    function withdrawDeposit(uint amount) external {
+        require(userBalances[msg.sender] >= amount, "Insufficient user balance");
+        userBalances[msg.sender] -= amount;
+        emit Withdrawn(msg.sender, amount);
+        (bool sent, ) = payable(msg.sender).call{value: amount}("");
+        require(sent, "Transfer failed");
+    }
+    
+    /**
+     * @dev Get user balance
+     * @param user User address
+     * @return Deposit available for payments (wei)
+     */
+    function getUserBalance(address user) public view returns (uint) {
+        return userBalances[user];
+    }
+    
+    /**
+     * @dev Get operator balance
+     * @param operator Operator address
+     * @return Earnings available for withdrawal (wei)
+     */
+    function getOperatorBalance(address operator) public view returns (uint) {
+        return operatorBalances[operator];
+    }
+    
+    /**
+     * @dev Whether a user may be scheduled (false while suspended for insufficient funds)
+     * @param user User address
+     */
+    function isSchedulable(address user) external view returns (bool) {
+        return !unschedulable[user];
+    }
+    
+    /**
+     * @dev Set the behavior for users with insufficient funds
+     * @param _policy Skip or Suspend
      */
-    function processPayment(address user, address operator, uint cost) internal {
-        // Here should implement actual payment logic
-        // For demonstration, we only emit events
-        // In actual implementation, may need:
-        // 1. Check user balance
-        // 2. Deduct fees from user account
-        // 3. Transfer to operator account
-        // 4. Record transaction history
+    function setInsufficientFundsPolicy(InsufficientFundsPolicy _policy) public onlyAdmin {
+        insufficientFundsPolicy = _policy;
     }
     
     /**
-     * @dev Set operator rate
+     * @dev Set operator rate (the operator itself or the admin)
      * @param operator Operator address
      * @param rate Rate
      */
     function setOperatorRate(address operator, uint rate) public {
+        require(msg.sender == operator || msg.sender == admin, "Only the operator or the admin can set this rate");
+        require(registrationContract != address(0), "RegistrationContract not set");
+        (uint id, bool isOperator) = IRegistrationContract(registrationContract).registry(operator);
+        require(id != 0 && isOperator, "Address is not a registered operator");
         operatorRates[operator] = rate;
     }
 }
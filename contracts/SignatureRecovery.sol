@@ -0,0 +1,35 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @title SignatureRecovery
+ * @dev Signer recovery of EIP-712 digests, shared by the contracts that verify signatures
+ */
+library SignatureRecovery {
+    // secp256k1n / 2, upper bound of non-malleable signature s values
+    uint private constant MAX_S = 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0;
+
+    /**
+     * @dev Recover the signer of a digest from a 65-byte (r, s, v) signature
+     * @param digest Signed digest
+     * @param signature Signature bytes
+     * @return Signer address (zero address if the signature is malformed)
+     */
+    function recover(bytes32 digest, bytes memory signature) internal pure returns (address) {
+        if (signature.length != 65) {
+            return address(0);
+        }
+        bytes32 r;
+        bytes32 s;
+        uint8 v;
+        assembly {
+            r := mload(add(signature, 32))
+            s := mload(add(signature, 64))
+            v := byte(0, mload(add(signature, 96)))
+        }
+        if (uint(s) > MAX_S || (v != 27 && v != 28)) {
+            return address(0);
+        }
+        return ecrecover(digest, v, r, s);
+    }
+}
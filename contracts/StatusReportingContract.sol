@@ -1,60 +1,411 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.0;
 
+import "./PlatformAccess.sol";
+import "./SignatureRecovery.sol";
+import "./FixedPointMath.sol";
+
+// Scheduling contract interface (round state machine and resource blocks)
+interface ISchedulingRounds {
+    function currentRound() external view returns (uint);
+    function currentPhase() external view returns (uint8);
+    function getResourceBlocks(address operator) external view returns (uint);
+    function getOperatorBandwidth(address operator) external view returns (uint);
+}
 
 /**
  * @title StatusReportingContract
  * @dev Smart contract for handling CSI data submission and rate reporting
  */
-contract StatusReportingContract {
-    mapping(address => mapping(address => uint[])) public operatorUserRates;
-    // For other contracts to quickly read latest rate values
+contract StatusReportingContract is PlatformAccess {
+    // One entry of the rate history of a user-operator pair
+    struct RateRecord {
+        uint128 rate;
+        uint64 round;
+        uint64 timestamp;
+    }
+    
+    // Rate history of each user-operator pair, kept as evidence: a ring buffer of the last
+    // historyWindow reports (slot = report index % historyWindow), or every report if the window is 0
+    mapping(address => mapping(address => mapping(uint => RateRecord))) private rateHistory;
+    // Number of reports accepted from each user-operator pair (index of the next history entry)
+    mapping(address => mapping(address => uint)) public reportCount;
+    // Number of history entries retained per pair (0 = unbounded)
+    uint public historyWindow;
+    // For other contracts to quickly read latest rate values (sum over the resource blocks)
     mapping(address => mapping(address => uint)) public latestOperatorUserRate;
+    // Latest rate on each resource block, only kept for operators with several blocks
+    mapping(address => mapping(address => mapping(uint => uint))) private latestBlockRate;
+    // Resource blocks covered by the latest report of each pair (0 = a single block)
+    mapping(address => mapping(address => uint)) private reportBlocks;
+    // Round in which each user-operator pair last reported
+    mapping(address => mapping(address => uint)) public reportRound;
+    // Next accepted report nonce of each user-operator pair (replay protection)
+    mapping(address => mapping(address => uint)) public nonces;
+    // Whether reports must also carry the operator's countersignature
+    bool public requireOperatorSignature;
+    // Set by the first accepted report, the history window is fixed from then on
+    bool public historyStarted;
+    
+    // EIP-712 typed data
+    bytes32 public constant REPORT_TYPEHASH = keccak256("Report(address user,address operator,uint256 round,uint256 nonce,bytes csi)");
+    bytes32 private constant DOMAIN_TYPEHASH = keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    string public constant DOMAIN_NAME = "BC-PFS StatusReporting";
+    string public constant DOMAIN_VERSION = "1";
+    // SchedulingContract.RoundPhase.ReportingOpen
+    uint8 private constant PHASE_REPORTING_OPEN = 0;
+    // Bytes per entry of a packed batch event: user (20), operator (20), status (1), rate (8)
+    uint private constant PACKED_ENTRY_BYTES = 49;
+    // Bytes of CSI per resource block (SNR*1000000)
+    uint private constant CSI_BLOCK_BYTES = 8;
+    uint private constant SNR_SCALE = 1000000;
     
-    event ReportSubmitted(address user, address operator, uint timestamp, uint rate);
+    // How the rate of a resource block is estimated from its SNR (B = bandwidth of the block in kHz):
+    // Linear - B * SNR / ln2, the low-SNR approximation of the Shannon capacity
+    // Shannon - B * log2(1 + SNR), in fixed point
+    // Mcs - B * spectral efficiency of the highest MCS level whose SNR threshold is reached (0 below the lowest level)
+    enum RateMode { Linear, Shannon, Mcs }
+    RateMode public rateMode = RateMode.Linear;
+    
+    // One level of the MCS table: minimum SNR (SNR*1000000) and spectral efficiency (bit/s/Hz * 1000)
+    struct McsLevel {
+        uint64 minSnr;
+        uint64 efficiency;
+    }
+    // MCS levels by increasing SNR threshold
+    McsLevel[] private mcsTable;
+    uint public constant MAX_MCS_LEVELS = 32;
+    uint private constant EFFICIENCY_SCALE = 1000;
+    // 100 bit/s/Hz, far above any real MCS
+    uint private constant MAX_EFFICIENCY = 100 * EFFICIENCY_SCALE;
+    
+    // Validation result of a report
+    // (WrongRound is last so that the status codes of earlier batch events keep their meaning)
+    enum ReportStatus { Accepted, ZeroUser, StaleNonce, InvalidUserSignature, InvalidOperatorSignature, InvalidCSI, WrongRound }
+    
+    // Signed report, as relayed in a batch
+    struct Report {
+        address user;
+        address operator;
+        uint round;
+        uint nonce;
+        bytes csi;
+        bytes userSignature;
+        bytes operatorSignature;
+    }
+    
+    address public schedulingContract;
+    
+    // mode: rate estimation mode the rate was computed with
+    event ReportSubmitted(uint round, address user, address operator, uint timestamp, uint rate, RateMode mode);
+    // reports: PACKED_ENTRY_BYTES per report, in batch order (rate is 0 for rejected reports)
+    event ReportBatchSubmitted(uint round, uint timestamp, uint accepted, bytes reports, RateMode mode);
+    event OperatorSignatureRequirementChanged(bool required);
+    event HistoryWindowChanged(uint window);
+    event RateModeChanged(RateMode mode);
+    event McsTableChanged(uint levels);
     
     /**
-     * @dev Submit status report
+     * @dev Submit a status report signed by the user (EIP-712), optionally countersigned by the operator.
+     *      Anyone may relay a signed report. Reports are only accepted while the current round is open,
+     *      and only in the round they were signed for.
      * @param user User address
      * @param operator Operator address
+     * @param reportedRound Round the report was signed for, must be the current round
+     * @param nonce Report nonce, must equal nonces[user][operator]
      * @param csi CSI data
+     * @param userSignature User signature over (user, operator, round, nonce, csi)
+     * @param operatorSignature Operator signature over the same data (empty if not required)
+     */
+    function submitReport(
+        address user,
+        address operator,
+        uint reportedRound,
+        uint nonce,
+        bytes memory csi,
+        bytes memory userSignature,
+        bytes memory operatorSignature
+    ) public {
+        uint round = openRound();
+        (ReportStatus status, uint rate) = acceptReport(round, user, operator, reportedRound, nonce, csi, userSignature, operatorSignature);
+        if (status != ReportStatus.Accepted) {
+            revert(statusMessage(status));
+        }
+        emit ReportSubmitted(round, user, operator, block.timestamp, rate, rateMode);
+    }
+    
+    /**
+     * @dev Submit a batch of signed reports in one transaction. An invalid entry does not revert
+     *      the batch: it is skipped and its status recorded. All entries are packed into one
+     *      ReportBatchSubmitted event.
+     * @param reports Signed reports
+     * @return statuses Validation result of each entry
+     */
+    function submitReports(Report[] calldata reports) public returns (ReportStatus[] memory statuses) {
+        uint round = openRound();
+        statuses = new ReportStatus[](reports.length);
+        uint packedLength = reports.length * PACKED_ENTRY_BYTES;
+        // One spare word, entries are written with 32-byte stores
+        bytes memory entries = new bytes(packedLength + 32);
+        uint accepted = 0;
+        for (uint i = 0; i < reports.length; i++) {
+            Report calldata report = reports[i];
+            (ReportStatus status, uint rate) = acceptReport(
+                round, report.user, report.operator, report.round, report.nonce, report.csi, report.userSignature, report.operatorSignature
+            );
+            if (status == ReportStatus.Accepted) {
+                accepted++;
+            }
+            statuses[i] = status;
+            packEntry(entries, i, report.user, report.operator, status, rate);
+        }
+        assembly {
+            mstore(entries, packedLength)
+        }
+        emit ReportBatchSubmitted(round, block.timestamp, accepted, entries, rateMode);
+    }
+    
+    /**
+     * @dev Current round, which must be open for reporting
+     */
+    function openRound() internal view returns (uint) {
+        require(schedulingContract != address(0), "SchedulingContract not set");
+        ISchedulingRounds rounds = ISchedulingRounds(schedulingContract);
+        require(rounds.currentPhase() == PHASE_REPORTING_OPEN, "Reporting is closed for the current round");
+        return rounds.currentRound();
+    }
+    
+    /**
+     * @dev Validate a report and store its rate if it is valid (state is unchanged otherwise)
+     * @return status Validation result
+     * @return rate Estimated rate (0 if rejected)
      */
-    function submitReport(address user, address operator, bytes memory csi) public {
-        // CSI verification
-        require(validCSI(csi), "Invalid CSI data");
+    function acceptReport(
+        uint round,
+        address user,
+        address operator,
+        uint reportedRound,
+        uint nonce,
+        bytes memory csi,
+        bytes memory userSignature,
+        bytes memory operatorSignature
+    ) internal returns (ReportStatus status, uint rate) {
+        // Signature, round and nonce verification
+        if (user == address(0)) {
+            return (ReportStatus.ZeroUser, 0);
+        }
+        if (reportedRound != round) {
+            return (ReportStatus.WrongRound, 0);
+        }
+        if (nonce != nonces[user][operator]) {
+            return (ReportStatus.StaleNonce, 0);
+        }
+        bytes32 digest = reportDigest(user, operator, round, nonce, csi);
+        if (SignatureRecovery.recover(digest, userSignature) != user) {
+            return (ReportStatus.InvalidUserSignature, 0);
+        }
+        if (requireOperatorSignature && SignatureRecovery.recover(digest, operatorSignature) != operator) {
+            return (ReportStatus.InvalidOperatorSignature, 0);
+        }
+        
+        // CSI verification: one SNR value per resource block of the operator
+        uint blocks = ISchedulingRounds(schedulingContract).getResourceBlocks(operator);
+        if (!validCSI(csi, blocks)) {
+            return (ReportStatus.InvalidCSI, 0);
+        }
+        nonces[user][operator] = nonce + 1;
         
-        // Rate estimation
-        uint rate = rateEstimation(csi);
+        // Rate estimation, per resource block
+        rate = recordBlockRates(user, operator, csi, blocks);
         
         // Update rate (keep historical data for evidence, maintain latest value for high-frequency reading)
-        operatorUserRates[user][operator].push(rate);
+        recordRate(user, operator, rate, round);
         latestOperatorUserRate[user][operator] = rate;
-        
-        emit ReportSubmitted(user, operator, block.timestamp, rate);
+        reportRound[user][operator] = round;
+        return (ReportStatus.Accepted, rate);
+    }
+    
+    /**
+     * @dev Estimate and store the rate of every resource block of a report
+     * @return total Sum of the block rates
+     */
+    function recordBlockRates(address user, address operator, bytes memory csi, uint blocks) internal returns (uint total) {
+        uint bandwidth = ISchedulingRounds(schedulingContract).getOperatorBandwidth(operator);
+        if (blocks == 1) {
+            total = rateEstimation(csi, 0, bandwidth);
+        } else {
+            for (uint b = 0; b < blocks; b++) {
+                uint blockRate = rateEstimation(csi, b, bandwidth / blocks);
+                latestBlockRate[user][operator][b] = blockRate;
+                total += blockRate;
+            }
+        }
+        // Single-block reports leave reportBlocks at 0 and need no extra storage
+        uint stored = blocks == 1 ? 0 : blocks;
+        if (reportBlocks[user][operator] != stored) {
+            reportBlocks[user][operator] = stored;
+        }
+    }
+    
+    /**
+     * @dev Append a rate to the history of a pair, overwriting the oldest entry once the window is full
+     */
+    function recordRate(address user, address operator, uint rate, uint round) internal {
+        uint index = reportCount[user][operator]++;
+        rateHistory[user][operator][historySlot(index)] = RateRecord(uint128(rate), uint64(round), uint64(block.timestamp));
+        if (!historyStarted) {
+            historyStarted = true;
+        }
+    }
+    
+    /**
+     * @dev Storage slot of a history entry
+     */
+    function historySlot(uint index) internal view returns (uint) {
+        return historyWindow == 0 ? index : index % historyWindow;
+    }
+    
+    /**
+     * @dev Revert reason of a rejected report
+     */
+    function statusMessage(ReportStatus status) internal pure returns (string memory) {
+        if (status == ReportStatus.ZeroUser) return "User is the zero address";
+        if (status == ReportStatus.StaleNonce) return "Stale or replayed report nonce";
+        if (status == ReportStatus.InvalidUserSignature) return "Invalid user signature";
+        if (status == ReportStatus.InvalidOperatorSignature) return "Invalid operator signature";
+        if (status == ReportStatus.WrongRound) return "Report is not for the current round";
+        return "Invalid CSI data";
+    }
+    
+    /**
+     * @dev Write one entry of a packed batch event (the rate fits in 8 bytes, see rateEstimation)
+     */
+    function packEntry(bytes memory entries, uint index, address user, address operator, ReportStatus status, uint rate) internal pure {
+        assembly {
+            let ptr := add(add(entries, 32), mul(index, PACKED_ENTRY_BYTES))
+            mstore(ptr, shl(96, user))
+            mstore(add(ptr, 20), shl(96, operator))
+            mstore8(add(ptr, 40), status)
+            mstore(add(ptr, 41), shl(192, rate))
+        }
+    }
+    
+    /**
+     * @dev Set scheduling contract address (source of the current round)
+     * @param _schedulingContract Scheduling contract address
+     */
+    function setSchedulingContract(address _schedulingContract) public onlyAdmin {
+        schedulingContract = _schedulingContract;
+    }
+    
+    /**
+     * @dev Set the number of history entries retained per user-operator pair (0 = unbounded).
+     *      Only possible before the first report, since the window determines the storage slots.
+     * @param window Retained entries per pair
+     */
+    function setHistoryWindow(uint window) public onlyAdmin {
+        require(!historyStarted, "Rate history has already started");
+        historyWindow = window;
+        emit HistoryWindowChanged(window);
+    }
+    
+    /**
+     * @dev Select how rates are estimated from the reported SNR, from the next report on
+     * @param mode Rate estimation mode (Mcs needs an MCS table)
+     */
+    function setRateMode(RateMode mode) public onlyAdmin {
+        require(mode != RateMode.Mcs || mcsTable.length > 0, "MCS table is not set");
+        rateMode = mode;
+        emit RateModeChanged(mode);
+    }
+    
+    /**
+     * @dev Replace the MCS table used by the Mcs rate mode
+     * @param minSnr SNR threshold of each level (SNR*1000000), strictly increasing
+     * @param efficiency Spectral efficiency of each level (bit/s/Hz * 1000)
+     */
+    function setMcsTable(uint[] calldata minSnr, uint[] calldata efficiency) public onlyAdmin {
+        require(minSnr.length == efficiency.length, "MCS thresholds and efficiencies differ in length");
+        require(minSnr.length > 0 && minSnr.length <= MAX_MCS_LEVELS, "MCS table must have 1 to 32 levels");
+        delete mcsTable;
+        for (uint i = 0; i < minSnr.length; i++) {
+            require(i == 0 || minSnr[i] > minSnr[i - 1], "MCS thresholds must be strictly increasing");
+            require(minSnr[i] <= type(uint64).max && efficiency[i] <= MAX_EFFICIENCY, "MCS level out of range");
+            mcsTable.push(McsLevel(uint64(minSnr[i]), uint64(efficiency[i])));
+        }
+        emit McsTableChanged(minSnr.length);
+    }
+    
+    /**
+     * @dev MCS table used by the Mcs rate mode
+     * @return Levels by increasing SNR threshold
+     */
+    function getMcsTable() public view returns (McsLevel[] memory) {
+        return mcsTable;
+    }
+    
+    /**
+     * @dev Require or stop requiring the operator countersignature
+     * @param required Whether the operator signature is required
+     */
+    function setRequireOperatorSignature(bool required) public onlyAdmin {
+        requireOperatorSignature = required;
+        emit OperatorSignatureRequirementChanged(required);
+    }
+    
+    /**
+     * @dev EIP-712 domain separator of this contract
+     */
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(abi.encode(
+            DOMAIN_TYPEHASH,
+            keccak256(bytes(DOMAIN_NAME)),
+            keccak256(bytes(DOMAIN_VERSION)),
+            block.chainid,
+            address(this)
+        ));
+    }
+    
+    /**
+     * @dev EIP-712 digest of a report
+     * @param user User address
+     * @param operator Operator address
+     * @param round Round the report is for
+     * @param nonce Report nonce
+     * @param csi CSI data
+     * @return Digest to be signed
+     */
+    function reportDigest(address user, address operator, uint round, uint nonce, bytes memory csi) public view returns (bytes32) {
+        bytes32 structHash = keccak256(abi.encode(REPORT_TYPEHASH, user, operator, round, nonce, keccak256(csi)));
+        return keccak256(abi.encodePacked("\x19\x01", domainSeparator(), structHash));
     }
     
     /**
      * @dev Verify CSI data
      * @param csi CSI data
+     * @param blocks Resource blocks of the operator
      * @return Whether verification passes
      */
-    function validCSI(bytes memory csi) internal pure returns (bool) {
-        // For demonstration, we simplify processing: CSI length greater than 0 is considered valid
-        return csi.length > 0;
+    function validCSI(bytes memory csi, uint blocks) internal pure returns (bool) {
+        // For demonstration, we simplify processing: an 8-byte SNR value per resource block is considered valid
+        return csi.length >= CSI_BLOCK_BYTES * blocks;
     }
     
     /**
-     * @dev Rate estimation (based on SNR calculation)
+     * @dev Rate estimation of one resource block (based on SNR calculation), under the active rate mode
      * @param csi CSI data
+     * @param blockIndex Resource block index
+     * @param bandwidth Bandwidth of the block (kHz)
      * @return Estimated rate
      */
-    function rateEstimation(bytes memory csi) internal pure returns (uint) {
-        // CSI data is 8-byte value of SNR*1000000
-        require(csi.length >= 8, "Invalid CSI data");
+    function rateEstimation(bytes memory csi, uint blockIndex, uint bandwidth) internal view returns (uint) {
+        // CSI data is one 8-byte value of SNR*1000000 per resource block
+        uint start = blockIndex * CSI_BLOCK_BYTES;
+        require(csi.length >= start + CSI_BLOCK_BYTES, "Invalid CSI data");
         
         // Convert bytes to uint (8-byte SNR*1000000 value)
         uint snrScaled = 0;
-        for (uint i = 0; i < 8; i++) {
+        for (uint i = start; i < start + CSI_BLOCK_BYTES; i++) {
             snrScaled = snrScaled * 256 + uint8(csi[i]);
         }
         
@@ -62,13 +413,27 @@ contract StatusReportingContract {
             snrScaled = 1000000; // Minimum value
         }
         
+        if (rateMode == RateMode.Shannon) {
+            // B * log2(1 + SNR) = B * (log2(SNR_SCALE + snrScaled) - log2(SNR_SCALE))
+            uint capacity = FixedPointMath.log2(SNR_SCALE + snrScaled) - FixedPointMath.log2(SNR_SCALE);
+            return (bandwidth * capacity + FixedPointMath.LOG_ONE / 2) / FixedPointMath.LOG_ONE;
+        }
+        if (rateMode == RateMode.Mcs) {
+            // Highest level whose threshold is reached, no transmission below the lowest one
+            for (uint i = mcsTable.length; i > 0; i--) {
+                if (snrScaled >= mcsTable[i - 1].minSnr) {
+                    return (bandwidth * mcsTable[i - 1].efficiency + EFFICIENCY_SCALE / 2) / EFFICIENCY_SCALE;
+                }
+            }
+            return 0;
+        }
+        
         // Calculate rate: B * SNR / log(2)
-        // B = 1000, log(2) ≈ 0.693
-        uint bandwidth = 1000; // Bandwidth
+        // B = the operator bandwidth shared by its blocks, log(2) ≈ 0.693
         uint log2 = 693; // log(2) * 1000
 
         uint denom = log2 * 1000;                // = 693000
-        uint numer = bandwidth * snrScaled;      // = 1000 * snrScaled
+        uint numer = bandwidth * snrScaled;      // = B * snrScaled
         uint rate = (numer + denom / 2) / denom; // Round to nearest
         
         return rate;
@@ -83,4 +448,141 @@ contract StatusReportingContract {
     function getLatestRate(address user, address operator) public view returns (uint) {
         return latestOperatorUserRate[user][operator];
     }
+    
+    /**
+     * @dev Retained part of the rate history of user to operator
+     * @param user User address
+     * @param operator Operator address
+     * @return first Index of the oldest retained entry
+     * @return count Number of reports accepted so far (entries are indexed from 0 to count - 1)
+     */
+    function getRateHistoryRange(address user, address operator) public view returns (uint first, uint count) {
+        count = reportCount[user][operator];
+        first = historyWindow != 0 && count > historyWindow ? count - historyWindow : 0;
+    }
+    
+    /**
+     * @dev Rate of a history entry (same signature as the former public history array)
+     * @param user User address
+     * @param operator Operator address
+     * @param index Entry index
+     * @return Reported rate
+     */
+    function operatorUserRates(address user, address operator, uint index) public view returns (uint) {
+        (uint first, uint count) = getRateHistoryRange(user, operator);
+        require(index >= first && index < count, "Rate history entry is not retained");
+        return rateHistory[user][operator][historySlot(index)].rate;
+    }
+    
+    /**
+     * @dev Page of the rate history of user to operator, by entry index
+     * @param user User address
+     * @param operator Operator address
+     * @param start Index of the first entry (entries older than the window are skipped)
+     * @param limit Maximum number of entries
+     * @return records Entries in report order (rate, round, timestamp)
+     * @return next Start of the next page; the history is exhausted once next reaches reportCount
+     */
+    function getRateHistory(address user, address operator, uint start, uint limit) public view returns (RateRecord[] memory records, uint next) {
+        (uint first, uint count) = getRateHistoryRange(user, operator);
+        if (start < first) {
+            start = first;
+        }
+        return readHistory(user, operator, start, start < count ? count : start, limit);
+    }
+    
+    /**
+     * @dev Page of the rate history of user to operator, reported from round fromRound to round toRound
+     * @param user User address
+     * @param operator Operator address
+     * @param fromRound First round (inclusive)
+     * @param toRound Last round (inclusive)
+     * @param cursor 0 for the first page, then the next value returned by the previous page
+     * @param limit Maximum number of entries
+     * @return records Entries in report order (rate, round, timestamp)
+     * @return next Cursor of the next page; the range is exhausted when fewer than limit entries are returned
+     */
+    function getRateHistoryByRounds(
+        address user,
+        address operator,
+        uint fromRound,
+        uint toRound,
+        uint cursor,
+        uint limit
+    ) public view returns (RateRecord[] memory records, uint next) {
+        uint start = firstIndexFromRound(user, operator, fromRound);
+        uint end = toRound == type(uint).max ? reportCount[user][operator] : firstIndexFromRound(user, operator, toRound + 1);
+        if (cursor > start) {
+            start = cursor;
+        }
+        return readHistory(user, operator, start, end > start ? end : start, limit);
+    }
+    
+    /**
+     * @dev Index of the first retained entry reported in round `round` or later (binary search, rounds never decrease)
+     */
+    function firstIndexFromRound(address user, address operator, uint round) internal view returns (uint) {
+        (uint low, uint high) = getRateHistoryRange(user, operator);
+        while (low < high) {
+            uint mid = (low + high) / 2;
+            if (rateHistory[user][operator][historySlot(mid)].round < round) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+    
+    /**
+     * @dev Copy at most limit entries of [start, end) to memory
+     */
+    function readHistory(address user, address operator, uint start, uint end, uint limit) internal view returns (RateRecord[] memory records, uint next) {
+        uint size = end - start < limit ? end - start : limit;
+        records = new RateRecord[](size);
+        for (uint i = 0; i < size; i++) {
+            records[i] = rateHistory[user][operator][historySlot(start + i)];
+        }
+        next = start + size;
+    }
+    
+    /**
+     * @dev Get the rate of user to operator reported in a given round
+     * @param user User address
+     * @param operator Operator address
+     * @param round Round number
+     * @return rate Reported rate (0 if not reported)
+     * @return reported Whether the user reported to the operator in that round
+     */
+    function getRoundRate(address user, address operator, uint round) public view returns (uint rate, bool reported) {
+        reported = round != 0 && reportRound[user][operator] == round;
+        if (reported) {
+            rate = latestOperatorUserRate[user][operator];
+        }
+    }
+    
+    /**
+     * @dev Get the per-block rates of user to operator reported in a given round
+     * @param user User address
+     * @param operator Operator address
+     * @param round Round number
+     * @return rates Rate on each resource block covered by the report (empty if not reported)
+     * @return reported Whether the user reported to the operator in that round
+     */
+    function getRoundBlockRates(address user, address operator, uint round) public view returns (uint[] memory rates, bool reported) {
+        reported = round != 0 && reportRound[user][operator] == round;
+        if (!reported) {
+            return (rates, false);
+        }
+        uint blocks = reportBlocks[user][operator];
+        if (blocks == 0) {
+            rates = new uint[](1);
+            rates[0] = latestOperatorUserRate[user][operator];
+        } else {
+            rates = new uint[](blocks);
+            for (uint b = 0; b < blocks; b++) {
+                rates[b] = latestBlockRate[user][operator][b];
+            }
+        }
+    }
 }
@@ -0,0 +1,62 @@
+// csi-generator.js - CSI Data Encoding
+
+// CSI carries the linear SNR scaled by 1e6 as an 8-byte big-endian integer,
+// one after the other for operators with several resource blocks
+const CSI_SCALE = 1000000;
+const CSI_BYTES = 8;
+
+/**
+ * Encode a linear SNR value as CSI bytes
+ * @param {number} snr - Linear SNR
+ * @returns {Uint8Array} 8-byte CSI
+ */
+function encodeCSI(snr) {
+    let snrScaled = BigInt(Math.round(snr * CSI_SCALE));
+    const bytes = new Uint8Array(CSI_BYTES);
+    for (let i = CSI_BYTES - 1; i >= 0; i--) {
+        bytes[i] = Number(snrScaled & 0xFFn);
+        snrScaled >>= 8n;
+    }
+    return bytes;
+}
+
+/**
+ * Decode the scaled SNR integer (SNR * 1e6) from CSI bytes
+ * @param {Uint8Array|string} csi - CSI bytes or 0x-prefixed hex
+ * @returns {bigint} SNR * 1e6
+ */
+function decodeCSI(csi) {
+    const bytes = typeof csi === 'string' ? Buffer.from(csi.replace(/^0x/, ''), 'hex') : csi;
+    let snrScaled = 0n;
+    for (let i = 0; i < Math.min(CSI_BYTES, bytes.length); i++) {
+        snrScaled = snrScaled * 256n + BigInt(bytes[i]);
+    }
+    return snrScaled;
+}
+
+/**
+ * Encode the SNR of every resource block of an operator as CSI bytes
+ * @param {number[]} snrs - Linear SNR per resource block
+ * @returns {Uint8Array} CSI_BYTES per block
+ */
+function encodeBlockCSI(snrs) {
+    const bytes = new Uint8Array(snrs.length * CSI_BYTES);
+    snrs.forEach((snr, b) => bytes.set(encodeCSI(snr), b * CSI_BYTES));
+    return bytes;
+}
+
+/**
+ * Decode the scaled SNR integer of every resource block
+ * @param {Uint8Array|string} csi - CSI bytes or 0x-prefixed hex
+ * @returns {bigint[]} SNR * 1e6 per block
+ */
+function decodeBlockCSI(csi) {
+    const bytes = typeof csi === 'string' ? Buffer.from(csi.replace(/^0x/, ''), 'hex') : csi;
+    const blocks = [];
+    for (let offset = 0; offset + CSI_BYTES <= bytes.length; offset += CSI_BYTES) {
+        blocks.push(decodeCSI(bytes.subarray(offset, offset + CSI_BYTES)));
+    }
+    return blocks;
+}
+
+module.exports = { encodeCSI, decodeCSI, encodeBlockCSI, decodeBlockCSI, CSI_SCALE, CSI_BYTES };
@@ -0,0 +1,308 @@
+// csi-trace.js - CSI Trace Recording and Replay
+const fs = require('fs');
+const path = require('path');
+const { encodeCSI, encodeBlockCSI, decodeCSI, CSI_SCALE, CSI_BYTES } = require('./csi-generator');
+const { ChannelModel } = require('./channel-models');
+
+// Binary trace layout (little-endian header, then one entry of CSI_BYTES per resource block, round by round,
+// user by user, operator by operator); an all-0xFF block means "no report in this round" for the first
+// block and "not a block of this operator" for the others
+const TRACE_MAGIC = 'BCPFSCSI';
+const TRACE_VERSION = 1;
+const HEADER_BYTES = 24;
+const NO_REPORT = 0xFF;
+
+class TraceError extends Error {
+    constructor(file, message) {
+        super(`Invalid CSI trace ${file}: ${message}`);
+        this.name = 'TraceError';
+        this.file = file;
+    }
+}
+
+function isCSVFile(file) {
+    return /\.csv$/i.test(file);
+}
+
+function isMissing(csi) {
+    return csi.every(b => b === NO_REPORT);
+}
+
+/**
+ * CSI of the blocks present in a trace entry, null if the entry holds no report
+ */
+function entryCSI(entry) {
+    let length = 0;
+    while (length < entry.length && !isMissing(entry.subarray(length, length + CSI_BYTES))) {
+        length += CSI_BYTES;
+    }
+    return length === 0 ? null : new Uint8Array(entry.subarray(0, length));
+}
+
+/**
+ * Format the SNR carried by CSI bytes with the full CSI precision (1e-6)
+ */
+function formatSNR(csi) {
+    const scaled = decodeCSI(csi);
+    return `${scaled / BigInt(CSI_SCALE)}.${String(scaled % BigInt(CSI_SCALE)).padStart(6, '0')}`;
+}
+
+/**
+ * Streams the CSI of every round to a binary (.bin) or CSV (.csv) trace file
+ */
+class TraceWriter {
+    /**
+     * @param {string} file - Output file, the format follows the extension
+     * @param {number} operatorsCount - Number of operators
+     * @param {number} usersCount - Number of users
+     * @param {number} [blocks] - Resource blocks per entry (the largest block count of the operators)
+     */
+    constructor(file, operatorsCount, usersCount, blocks = 1) {
+        this.file = file;
+        this.csv = isCSVFile(file);
+        this.operatorsCount = operatorsCount;
+        this.usersCount = usersCount;
+        this.blocks = blocks;
+        this.entryBytes = blocks * CSI_BYTES;
+        this.rounds = 0;
+        if (!fs.existsSync(path.dirname(file))) {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+        }
+        this.fd = fs.openSync(file, 'w');
+        if (this.csv) {
+            fs.writeSync(this.fd, this.blocks > 1
+                ? '# BC-PFS CSI trace: linear SNR per round, user, operator and resource block (1-based)\nround,user,operator,block,snr\n'
+                : '# BC-PFS CSI trace: linear SNR per round, user and operator (1-based)\nround,user,operator,snr\n');
+        } else {
+            fs.writeSync(this.fd, this.header());
+        }
+    }
+
+    header() {
+        const header = Buffer.alloc(HEADER_BYTES);
+        header.write(TRACE_MAGIC, 0, 'ascii');
+        header.writeUInt16LE(TRACE_VERSION, 8);
+        header.writeUInt16LE(this.entryBytes, 10);
+        header.writeUInt32LE(this.operatorsCount, 12);
+        header.writeUInt32LE(this.usersCount, 16);
+        header.writeUInt32LE(this.rounds, 20);
+        return header;
+    }
+
+    /**
+     * Append one round
+     * @param {Array<Array<Uint8Array|null>>} csi - CSI [operator][user], null where no report was sent
+     */
+    writeRound(csi) {
+        this.rounds++;
+        if (this.csv) {
+            const lines = [];
+            for (let n = 0; n < this.usersCount; n++) {
+                for (let k = 0; k < this.operatorsCount; k++) {
+                    if (!csi[k][n]) {
+                        continue;
+                    }
+                    for (let offset = 0; offset < csi[k][n].length; offset += CSI_BYTES) {
+                        const snr = formatSNR(csi[k][n].subarray(offset, offset + CSI_BYTES));
+                        lines.push(this.blocks > 1
+                            ? `${this.rounds},${n + 1},${k + 1},${offset / CSI_BYTES + 1},${snr}`
+                            : `${this.rounds},${n + 1},${k + 1},${snr}`);
+                    }
+                }
+            }
+            fs.writeSync(this.fd, lines.join('\n') + '\n');
+            return;
+        }
+        const block = Buffer.alloc(this.usersCount * this.operatorsCount * this.entryBytes, NO_REPORT);
+        for (let n = 0; n < this.usersCount; n++) {
+            for (let k = 0; k < this.operatorsCount; k++) {
+                if (csi[k][n]) {
+                    block.set(csi[k][n], (n * this.operatorsCount + k) * this.entryBytes);
+                }
+            }
+        }
+        fs.writeSync(this.fd, block);
+    }
+
+    /**
+     * Finish the file (the binary header records the final round count)
+     */
+    close() {
+        if (!this.csv) {
+            fs.writeSync(this.fd, this.header(), 0, HEADER_BYTES, 0);
+        }
+        fs.closeSync(this.fd);
+    }
+}
+
+/**
+ * CSI trace loaded in memory
+ */
+class CSITrace {
+    constructor(file, operatorsCount, usersCount, rounds, data, blocks = 1) {
+        this.file = file;
+        this.operatorsCount = operatorsCount;
+        this.usersCount = usersCount;
+        this.rounds = rounds;
+        this.data = data;
+        this.blocks = blocks;
+        this.entryBytes = blocks * CSI_BYTES;
+    }
+
+    /**
+     * CSI of a user at an operator in a round
+     * @param {number} round - Round number (from 1)
+     * @returns {Uint8Array|null} CSI bytes of the operator's resource blocks, null if the user did not report
+     */
+    get(round, userIndex, operatorIndex) {
+        const offset = (((round - 1) * this.usersCount + userIndex) * this.operatorsCount + operatorIndex) * this.entryBytes;
+        return entryCSI(this.data.subarray(offset, offset + this.entryBytes));
+    }
+}
+
+function loadBinaryTrace(file) {
+    const buffer = fs.readFileSync(file);
+    if (buffer.length < HEADER_BYTES || buffer.toString('ascii', 0, 8) !== TRACE_MAGIC) {
+        throw new TraceError(file, `missing "${TRACE_MAGIC}" header`);
+    }
+    const version = buffer.readUInt16LE(8);
+    const entryBytes = buffer.readUInt16LE(10);
+    if (version !== TRACE_VERSION || entryBytes === 0 || entryBytes % CSI_BYTES !== 0) {
+        throw new TraceError(file, `unsupported version ${version} with ${entryBytes}-byte CSI entries`);
+    }
+    const operatorsCount = buffer.readUInt32LE(12);
+    const usersCount = buffer.readUInt32LE(16);
+    const rounds = buffer.readUInt32LE(20);
+    const expected = HEADER_BYTES + rounds * usersCount * operatorsCount * entryBytes;
+    if (buffer.length !== expected) {
+        throw new TraceError(file, `expected ${expected} bytes for ${rounds} rounds, found ${buffer.length}`);
+    }
+    return new CSITrace(file, operatorsCount, usersCount, rounds, buffer.subarray(HEADER_BYTES), entryBytes / CSI_BYTES);
+}
+
+/**
+ * CSV trace: a "round,user,operator,<value>" header where the value column is "snr" (linear),
+ * "snr_db" or "csi" (0x-prefixed hex), 1-based indices, "#" comment lines; missing rows mean no report.
+ * An optional "block" column (1-based, default 1) gives the resource block of each row.
+ */
+function loadCSVTrace(file) {
+    const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/).filter(line => line.trim() !== '' && !line.startsWith('#'));
+    const header = (lines.shift() || '').split(',').map(h => h.trim().toLowerCase());
+    const column = name => header.indexOf(name);
+    const valueName = ['snr', 'snr_db', 'csi'].find(name => column(name) >= 0);
+    if (column('round') < 0 || column('user') < 0 || column('operator') < 0 || !valueName) {
+        throw new TraceError(file, 'header must contain round, user, operator and one of snr, snr_db, csi');
+    }
+
+    const rows = lines.map((line, i) => {
+        const fields = line.split(',').map(f => f.trim());
+        const [round, user, operator] = ['round', 'user', 'operator'].map(name => Number(fields[column(name)]));
+        const block = column('block') >= 0 ? Number(fields[column('block')]) : 1;
+        if (![round, user, operator, block].every(v => Number.isInteger(v) && v > 0)) {
+            throw new TraceError(file, `data row ${i + 1}: round, user, operator and block must be positive integers`);
+        }
+        const value = fields[column(valueName)];
+        let csi;
+        if (valueName === 'csi') {
+            csi = Uint8Array.from(Buffer.from(value.replace(/^0x/, '').padStart(CSI_BYTES * 2, '0'), 'hex'));
+        } else {
+            const number = Number(value);
+            if (!Number.isFinite(number) || (valueName === 'snr' && number < 0)) {
+                throw new TraceError(file, `data row ${i + 1}: invalid ${valueName} "${value}"`);
+            }
+            csi = encodeCSI(valueName === 'snr_db' ? 10 ** (number / 10) : number);
+        }
+        if (csi.length !== CSI_BYTES) {
+            throw new TraceError(file, `data row ${i + 1}: CSI must be ${CSI_BYTES} bytes`);
+        }
+        return { round, user, operator, block, csi };
+    });
+
+    let rounds = 0, usersCount = 0, operatorsCount = 0, blocks = 1;
+    for (const row of rows) {
+        rounds = Math.max(rounds, row.round);
+        usersCount = Math.max(usersCount, row.user);
+        operatorsCount = Math.max(operatorsCount, row.operator);
+        blocks = Math.max(blocks, row.block);
+    }
+    const entryBytes = blocks * CSI_BYTES;
+    const data = Buffer.alloc(rounds * usersCount * operatorsCount * entryBytes, NO_REPORT);
+    for (const row of rows) {
+        data.set(row.csi, (((row.round - 1) * usersCount + row.user - 1) * operatorsCount + row.operator - 1) * entryBytes + (row.block - 1) * CSI_BYTES);
+    }
+    return new CSITrace(file, operatorsCount, usersCount, rounds, data, blocks);
+}
+
+/**
+ * Load a binary (.bin or any other extension) or CSV (.csv) trace
+ * @param {string} file - Trace file
+ * @returns {CSITrace} Trace
+ */
+function loadTrace(file) {
+    if (!fs.existsSync(file)) {
+        throw new TraceError(file, 'file does not exist');
+    }
+    return isCSVFile(file) ? loadCSVTrace(file) : loadBinaryTrace(file);
+}
+
+/**
+ * Source of the CSI reported each round: the scenario's channel model, or a replayed trace
+ */
+class CSISource {
+    /**
+     * @param {Object} scenario - Normalized scenario
+     * @param {Object} [options] - { rng: uniform random source, replay: trace file, record: trace file }
+     */
+    constructor(scenario, options = {}) {
+        this.operatorsCount = scenario.operators.length;
+        this.usersCount = scenario.users.length;
+        this.blocks = Math.max(...scenario.operators.map(o => o.resourceBlocks || 1));
+        this.round = 0;
+        if (options.replay) {
+            this.trace = loadTrace(options.replay);
+            if (this.trace.operatorsCount !== this.operatorsCount || this.trace.usersCount !== this.usersCount) {
+                throw new TraceError(options.replay, `has ${this.trace.operatorsCount} operators × ${this.trace.usersCount} users, the scenario has ${this.operatorsCount} × ${this.usersCount}`);
+            }
+            if (this.trace.blocks < this.blocks) {
+                throw new TraceError(options.replay, `has ${this.trace.blocks} resource blocks per entry, the scenario has operators with ${this.blocks}`);
+            }
+            if (this.trace.rounds < scenario.rounds) {
+                throw new TraceError(options.replay, `has ${this.trace.rounds} rounds, the scenario runs ${scenario.rounds}`);
+            }
+        } else {
+            this.channel = new ChannelModel(scenario, options.rng);
+        }
+        this.writer = options.record ? new TraceWriter(options.record, this.operatorsCount, this.usersCount, this.blocks) : null;
+    }
+
+    /**
+     * CSI of the next round
+     * @returns {Array<Array<Uint8Array|null>>} CSI [operator][user] covering the operator's resource blocks, null where no report is sent
+     */
+    nextRound() {
+        this.round++;
+        let csi;
+        if (this.trace) {
+            csi = Array.from({ length: this.operatorsCount }, (_, k) =>
+                Array.from({ length: this.usersCount }, (_, n) => this.trace.get(this.round, n, k)));
+        } else {
+            csi = this.channel.nextRound().map(row => row.map(snrs => encodeBlockCSI(snrs)));
+        }
+        if (this.writer) {
+            this.writer.writeRound(csi);
+        }
+        return csi;
+    }
+
+    /**
+     * Close the recorded trace, if any
+     */
+    close() {
+        if (this.writer) {
+            this.writer.close();
+            this.writer = null;
+        }
+    }
+}
+
+module.exports = { CSISource, TraceWriter, CSITrace, TraceError, loadTrace, TRACE_MAGIC, TRACE_VERSION };
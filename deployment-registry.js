@@ -0,0 +1,172 @@
+// deployment-registry.js - Deployment Records of the Platform (deployments/<network>.json)
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const DEPLOYMENTS_DIR = path.join(__dirname, 'deployments');
+// Platform contracts, by their name in the result of initPlatform
+const PLATFORM_CONTRACTS = {
+    registrationContract: 'RegistrationContract',
+    statusReportingContract: 'StatusReportingContract',
+    schedulingContract: 'SchedulingContract',
+    settlementContract: 'SettlementContract'
+};
+// Links between the contracts set by initPlatform: the getter of a contract and the contract it points to
+const PLATFORM_WIRING = [
+    { contract: 'schedulingContract', getter: 'statusReportingContract' },
+    { contract: 'schedulingContract', getter: 'registrationContract' },
+    { contract: 'schedulingContract', getter: 'settlementContract' },
+    { contract: 'settlementContract', getter: 'schedulingContract' },
+    { contract: 'settlementContract', getter: 'registrationContract' },
+    { contract: 'statusReportingContract', getter: 'schedulingContract' }
+];
+// Networks whose chain ends with the process, so that a record could never be attached to
+const EPHEMERAL_NETWORKS = ['hardhat'];
+
+class DeploymentError extends Error {
+    constructor(file, problems) {
+        super(`Invalid deployment ${file}:\n` + problems.map(p => `  - ${p}`).join('\n'));
+        this.name = 'DeploymentError';
+        this.file = file;
+        this.problems = problems;
+    }
+}
+
+function deploymentFile(network) {
+    return path.join(DEPLOYMENTS_DIR, `${network}.json`);
+}
+
+/**
+ * Hash of a contract ABI, to detect artifacts recompiled with another interface since the deployment
+ */
+function abiHash(contractInterface) {
+    return ethers.utils.id(contractInterface.format(ethers.utils.FormatTypes.json));
+}
+
+/**
+ * Current links between the contracts, keyed "<contract>.<getter>"
+ */
+async function readWiring(contracts) {
+    const wiring = {};
+    for (const link of PLATFORM_WIRING) {
+        wiring[`${link.contract}.${link.getter}`] = await contracts[link.contract][link.getter]();
+    }
+    return wiring;
+}
+
+/**
+ * Record a wired platform in deployments/<network>.json
+ * @param {Object} hreEthers - ethers of the hardhat runtime
+ * @param {string} network - Network name
+ * @param {Object} contracts - Contract instances, as returned by initPlatform
+ * @param {Object} deployTransactions - Deployment transaction of every contract, by the same names
+ * @param {Object} [factory] - { address, platformId } of a platform created by PlatformFactory
+ * @returns {Promise<string>} Path of the record
+ */
+async function saveDeployment(hreEthers, network, contracts, deployTransactions, factory) {
+    const { chainId } = await hreEthers.provider.getNetwork();
+    const [deployer] = await hreEthers.getSigners();
+    const record = { network, chainId, deployer: deployer.address, deployBlock: null, contracts: {}, wiring: await readWiring(contracts) };
+    if (factory) {
+        record.factory = factory;
+    }
+    for (const [key, name] of Object.entries(PLATFORM_CONTRACTS)) {
+        const receipt = await deployTransactions[key].wait();
+        record.contracts[key] = {
+            name,
+            address: contracts[key].address,
+            abiHash: abiHash(contracts[key].interface),
+            codeHash: ethers.utils.keccak256(await hreEthers.provider.getCode(contracts[key].address)),
+            block: receipt.blockNumber,
+            tx: receipt.transactionHash
+        };
+    }
+    record.deployBlock = Math.min(...Object.values(record.contracts).map(c => c.block));
+    const file = deploymentFile(network);
+    fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(record, null, 2) + '\n');
+    return file;
+}
+
+/**
+ * Read the deployment record of a network
+ * @throws {DeploymentError} If the network has no record
+ */
+function loadDeployment(network) {
+    const file = deploymentFile(network);
+    if (!fs.existsSync(file)) {
+        throw new DeploymentError(file, [`no deployment on ${network}, deploy first (npx hardhat bcpfs deploy --network ${network})`]);
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Address of the PlatformFactory that created the recorded platform of a network
+ * @returns {string|null} Factory address, null without a record or for a platform deployed contract by contract
+ */
+function recordedFactory(network) {
+    const file = deploymentFile(network);
+    if (!fs.existsSync(file)) {
+        return null;
+    }
+    const record = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return record.factory ? record.factory.address : null;
+}
+
+/**
+ * Attach to the recorded platform of a network and check it against the chain and the artifacts:
+ * chain id, code of every contract, ABI of the compiled artifacts, wiring between the contracts and
+ * the scheduling logic
+ * @returns {Promise<Object>} { contracts: instances as returned by initPlatform, record }
+ * @throws {DeploymentError} With every mismatch found
+ */
+async function attachDeployment(hreEthers, network) {
+    const record = loadDeployment(network);
+    const file = deploymentFile(network);
+    const problems = [];
+    const { chainId } = await hreEthers.provider.getNetwork();
+    if (chainId !== record.chainId) {
+        problems.push(`chain id is ${chainId}, the platform was deployed on chain ${record.chainId}`);
+    }
+    const contracts = {};
+    for (const [key, name] of Object.entries(PLATFORM_CONTRACTS)) {
+        const entry = record.contracts && record.contracts[key];
+        if (!entry) {
+            problems.push(`${name}: not in the record`);
+            continue;
+        }
+        const factory = await hreEthers.getContractFactory(name);
+        contracts[key] = factory.attach(entry.address);
+        const code = await hreEthers.provider.getCode(entry.address);
+        if (code === '0x') {
+            problems.push(`${name}: no contract at ${entry.address} (was the node restarted?)`);
+        } else if (ethers.utils.keccak256(code) !== entry.codeHash) {
+            problems.push(`${name}: the code at ${entry.address} is not the deployed one`);
+        }
+        if (abiHash(factory.interface) !== entry.abiHash) {
+            problems.push(`${name}: the compiled ABI changed since the deployment, redeploy the platform`);
+        }
+    }
+    if (problems.length > 0) {
+        throw new DeploymentError(file, problems);
+    }
+    const wiring = await readWiring(contracts);
+    for (const link of PLATFORM_WIRING) {
+        const key = `${link.contract}.${link.getter}`;
+        const expected = contracts[link.getter].address;
+        if (wiring[key].toLowerCase() !== expected.toLowerCase()) {
+            problems.push(`${key} is ${wiring[key]}, expected ${expected}`);
+        }
+    }
+    // The scheduling logic may have been upgraded since the deployment, it only has to be on chain
+    const logic = await contracts.schedulingContract.schedulingLogic();
+    if ((await hreEthers.provider.getCode(logic)) === '0x') {
+        problems.push(`SchedulingLogic: no contract at ${logic}`);
+    }
+    if (problems.length > 0) {
+        throw new DeploymentError(file, problems);
+    }
+    return { contracts, record };
+}
+
+module.exports = { saveDeployment, loadDeployment, attachDeployment, recordedFactory, deploymentFile, DeploymentError, PLATFORM_CONTRACTS, EPHEMERAL_NETWORKS };
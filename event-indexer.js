@@ -0,0 +1,191 @@
+// event-indexer.js - Platform Event Indexer (JSON-lines)
+const fs = require('fs');
+const path = require('path');
+const { decodeReportBatch } = require('./report-signer');
+const { RATE_MODES } = require('./scenario-loader');
+
+// Indexed events, by contract
+const INDEXED_EVENTS = {
+    RegistrationContract: ['RegistrationSuccess', 'Deregistered', 'ParticipantSuspended', 'ParticipantReactivated'],
+    StatusReportingContract: ['ReportSubmitted', 'ReportBatchSubmitted'],
+    SchedulingContract: ['Scheduled', 'SchedulingLogicUpgraded'],
+    SettlementContract: ['ServiceNotified', 'PaymentProcessed']
+};
+const DEFAULT_EVENTS_FILE = path.join(__dirname, 'reports', 'events.jsonl');
+
+/**
+ * Convert a decoded log into the records stored in the index (a batch gives one record per accepted report)
+ */
+function toRecords(event, log, block) {
+    const base = { event: event.name, block: log.blockNumber, logIndex: log.logIndex, tx: log.transactionHash, contract: log.address };
+    const args = event.args;
+    switch (event.name) {
+        case 'RegistrationSuccess':
+            return [{ ...base, account: args.user, id: args.id.toNumber(), isOperator: args.isOperator, timestamp: block.timestamp }];
+        case 'Deregistered':
+            return [{ ...base, account: args.account, id: args.id.toNumber(), isOperator: args.isOperator, timestamp: block.timestamp }];
+        case 'ParticipantSuspended':
+        case 'ParticipantReactivated':
+            return [{ ...base, account: args.account, isOperator: args.isOperator, timestamp: block.timestamp }];
+        case 'ReportSubmitted':
+            return [{ ...base, round: args.round.toNumber(), user: args.user, operator: args.operator, rate: args.rate.toNumber(), rateMode: RATE_MODES[args.mode], timestamp: args.timestamp.toNumber() }];
+        case 'ReportBatchSubmitted':
+            return decodeReportBatch(args.reports)
+                .filter(report => report.status === 'accepted')
+                .map(report => ({ ...base, event: 'ReportSubmitted', batched: true, round: args.round.toNumber(), user: report.user, operator: report.operator, rate: report.rate, rateMode: RATE_MODES[args.mode], timestamp: args.timestamp.toNumber() }));
+        case 'Scheduled':
+            return [{ ...base, round: args.round.toNumber(), operators: args.operators, blocks: args.blocks.map(b => b.toNumber()), selectedUsers: args.selectedUsers, policy: args.policy, timestamp: block.timestamp }];
+        case 'SchedulingLogicUpgraded':
+            return [{ ...base, round: args.round.toNumber(), version: args.version.toNumber(), logic: args.logic, name: args.name, timestamp: block.timestamp }];
+        case 'ServiceNotified':
+            return [{ ...base, round: args.round.toNumber(), user: args.user, operator: args.operator, duration: args.duration.toNumber(), bandwidth: args.bandwidth.toNumber(), timestamp: block.timestamp }];
+        case 'PaymentProcessed':
+            return [{
+                ...base, round: args.round.toNumber(), user: args.user, operator: args.operator, cost: args.cost.toString(),
+                tariffId: args.tariffId.toNumber(), volume: args.breakdown.volume.toString(), surcharge: args.breakdown.surcharge.toString(),
+                timestamp: block.timestamp
+            }];
+        default:
+            return [];
+    }
+}
+
+/**
+ * Follows the chain and appends the platform events to a JSON-lines file, one record per line
+ */
+class EventIndexer {
+    /**
+     * @param {Object} provider - ethers provider of the chain
+     * @param {Object} interfaces - Contract interfaces by contract name (see INDEXED_EVENTS)
+     * @param {Object} [options] - { file: JSON-lines file, addresses: only index these contracts,
+     *                              reset: start a new file instead of resuming the existing one }
+     */
+    constructor(provider, interfaces, options = {}) {
+        this.provider = provider;
+        this.file = options.file || DEFAULT_EVENTS_FILE;
+        this.addresses = options.addresses ? options.addresses.map(a => a.toLowerCase()) : null;
+        this.decoders = new Map();
+        for (const [name, events] of Object.entries(INDEXED_EVENTS)) {
+            for (const eventName of events) {
+                const iface = interfaces[name];
+                this.decoders.set(iface.getEventTopic(eventName), iface);
+            }
+        }
+        if (!fs.existsSync(path.dirname(this.file))) {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        }
+        if (options.reset || !fs.existsSync(this.file)) {
+            fs.writeFileSync(this.file, '');
+        }
+        // Resume after the last indexed block (a whole block is always indexed at once)
+        const records = loadEvents(this.file);
+        this.nextBlock = records.length > 0 ? records[records.length - 1].block + 1 : 0;
+        this.count = records.length;
+    }
+
+    /**
+     * Index all blocks up to a block
+     * @param {number} [toBlock] - Last block to index (default: the latest block)
+     * @returns {Promise<number>} Number of records added
+     */
+    async sync(toBlock) {
+        const latest = toBlock === undefined ? await this.provider.getBlockNumber() : toBlock;
+        if (latest < this.nextBlock) {
+            return 0;
+        }
+        const logs = await this.provider.getLogs({
+            fromBlock: this.nextBlock,
+            toBlock: latest,
+            topics: [[...this.decoders.keys()]]
+        });
+        const lines = [];
+        const blocks = new Map();
+        for (const log of logs) {
+            if (this.addresses && !this.addresses.includes(log.address.toLowerCase())) {
+                continue;
+            }
+            if (!blocks.has(log.blockNumber)) {
+                blocks.set(log.blockNumber, await this.provider.getBlock(log.blockNumber));
+            }
+            const event = this.decoders.get(log.topics[0]).parseLog(log);
+            for (const record of toRecords(event, log, blocks.get(log.blockNumber))) {
+                lines.push(JSON.stringify(record));
+            }
+        }
+        if (lines.length > 0) {
+            fs.appendFileSync(this.file, lines.join('\n') + '\n');
+        }
+        this.nextBlock = latest + 1;
+        this.count += lines.length;
+        return lines.length;
+    }
+
+    /**
+     * Keep indexing new blocks until stopped
+     * @param {number} intervalMs - Polling interval
+     * @param {Function} shouldStop - Returns true to stop following
+     */
+    async follow(intervalMs, shouldStop) {
+        while (!shouldStop()) {
+            const added = await this.sync();
+            if (added > 0) {
+                console.log(`📥 Indexed ${added} events up to block ${this.nextBlock - 1} (${this.count} in total)`);
+            }
+            await new Promise(resolve => setTimeout(resolve, intervalMs));
+        }
+    }
+}
+
+/**
+ * Read the records of a JSON-lines event file
+ * @param {string} [file] - Event file
+ * @returns {Array<Object>} Records in chain order
+ */
+function loadEvents(file = DEFAULT_EVENTS_FILE) {
+    return fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .filter(line => line.trim() !== '')
+        .map((line, i) => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                throw new Error(`${file}:${i + 1}: ${error.message}`);
+            }
+        });
+}
+
+/**
+ * Contract interfaces of the indexed events, from the compiled artifacts
+ */
+async function loadInterfaces(ethers) {
+    const interfaces = {};
+    for (const name of Object.keys(INDEXED_EVENTS)) {
+        interfaces[name] = (await ethers.getContractFactory(name)).interface;
+    }
+    return interfaces;
+}
+
+// Standalone: index a running node, e.g. npx hardhat run event-indexer.js --network localhost
+// (BCPFS_INDEX_EVENTS: output file, BCPFS_INDEX_FOLLOW=1: keep following new blocks until Ctrl+C)
+if (require.main === module) {
+    (async () => {
+        const { ethers } = require("hardhat");
+        const indexer = new EventIndexer(ethers.provider, await loadInterfaces(ethers), {
+            file: process.env.BCPFS_INDEX_EVENTS || DEFAULT_EVENTS_FILE
+        });
+        console.log(`📚 Indexing platform events into ${indexer.file} from block ${indexer.nextBlock}`);
+        const added = await indexer.sync();
+        console.log(`✅ Indexed ${added} events up to block ${indexer.nextBlock - 1} (${indexer.count} in total)`);
+        if (process.env.BCPFS_INDEX_FOLLOW === '1') {
+            let stopped = false;
+            process.on('SIGINT', () => { stopped = true; });
+            console.log(`👀 Following new blocks, press Ctrl+C to stop`);
+            await indexer.follow(1000, () => stopped);
+        }
+    })().catch(error => {
+        console.error(`❌ Indexing failed: ${error.message}`);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { EventIndexer, loadEvents, loadInterfaces, INDEXED_EVENTS, DEFAULT_EVENTS_FILE };
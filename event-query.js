@@ -0,0 +1,468 @@
+// event-query.js - Query CLI for Indexed Platform Events
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { loadEvents, DEFAULT_EVENTS_FILE } = require('./event-indexer');
+
+const USAGE = `Usage: node event-query.js <command> [options]
+
+Commands:
+  summary                                       Indexed events, rounds and participants
+  served   --operator <id> [--from R] [--to R]  Users served by an operator, per user (rounds and resource blocks)
+  rates    --user <id> [--operator <id>] [--from R] [--to R]
+                                                Rates reported by a user
+  payments [--user <id>] [--from R] [--to R]    Total paid per user (and received per operator)
+  user     --user <id> [--from R] [--to R]      Registration, reports, service and payments of a user, per operator
+  round    --round <n>                          Reports, scheduled users and payments of a round
+  export   --out <dir> [--format csv|json]      Write the indexed events to one file per event
+
+Options:
+  --file <events.jsonl>   Event file (default reports/events.jsonl, or BCPFS_INDEX_EVENTS)
+  --json                  Print JSON instead of tables
+
+Users and operators are given by their registration id (1, 2, ...) or their address.`;
+
+class QueryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'QueryError';
+    }
+}
+
+/**
+ * Parse "<command> --name value --flag" arguments
+ */
+function parseArgs(argv) {
+    const options = { _: [] };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            const name = argv[i].slice(2);
+            if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+                options[name] = argv[++i];
+            } else {
+                options[name] = true;
+            }
+        } else {
+            options._.push(argv[i]);
+        }
+    }
+    return options;
+}
+
+/**
+ * Indexed events with lookups between addresses and registration ids
+ */
+class EventStore {
+    constructor(records) {
+        this.records = records;
+        this.ids = new Map();
+        this.participants = { users: new Map(), operators: new Map() };
+        for (const r of records.filter(r => r.event === 'RegistrationSuccess')) {
+            this.ids.set(r.account.toLowerCase(), { id: r.id, isOperator: r.isOperator });
+            (r.isOperator ? this.participants.operators : this.participants.users).set(r.id, r.account);
+        }
+    }
+
+    events(name, from, to) {
+        return this.records.filter(r => r.event === name
+            && (from === undefined || r.round >= from)
+            && (to === undefined || r.round <= to));
+    }
+
+    /**
+     * Resolve "--user 3" / "--operator 0x..." to an address
+     */
+    resolve(value, isOperator) {
+        const kind = isOperator ? 'operator' : 'user';
+        if (ethers.utils.isAddress(value)) {
+            return ethers.utils.getAddress(value);
+        }
+        const address = (isOperator ? this.participants.operators : this.participants.users).get(Number(value));
+        if (!address) {
+            throw new QueryError(`unknown ${kind} "${value}" (no RegistrationSuccess event for this id)`);
+        }
+        return address;
+    }
+
+    /**
+     * Order of an address in tables: users and operators by registration id, unknown addresses last
+     */
+    order(address) {
+        const info = this.ids.get(address.toLowerCase());
+        return info ? info.id : Infinity;
+    }
+
+    label(address) {
+        const info = this.ids.get(address.toLowerCase());
+        return info ? `${info.isOperator ? 'Operator' : 'User'} ${info.id}` : address;
+    }
+}
+
+function sameAddress(a, b) {
+    return a.toLowerCase() === b.toLowerCase();
+}
+
+function roundRange(options) {
+    const bound = name => {
+        if (options[name] === undefined) {
+            return undefined;
+        }
+        const value = Number(options[name]);
+        if (!Number.isInteger(value) || value < 0) {
+            throw new QueryError(`--${name} must be a round number`);
+        }
+        return value;
+    };
+    return [bound('from'), bound('to')];
+}
+
+function describeRange(from, to) {
+    if (from === undefined && to === undefined) return 'all rounds';
+    return `rounds ${from === undefined ? 'start' : from} to ${to === undefined ? 'end' : to}`;
+}
+
+function summary(store) {
+    const counts = {};
+    for (const r of store.records) {
+        counts[r.event] = (counts[r.event] || 0) + 1;
+    }
+    let firstRound = Infinity, lastRound = -Infinity;
+    for (const r of store.records) {
+        if (r.round !== undefined) {
+            firstRound = Math.min(firstRound, r.round);
+            lastRound = Math.max(lastRound, r.round);
+        }
+    }
+    return {
+        events: counts,
+        blocks: store.records.length > 0 ? [store.records[0].block, store.records[store.records.length - 1].block] : [],
+        rounds: firstRound <= lastRound ? [firstRound, lastRound] : [],
+        users: store.participants.users.size,
+        operators: store.participants.operators.size
+    };
+}
+
+/**
+ * Users selected on each resource block of each operator of a Scheduled record
+ * (selectedUsers is flattened operator by operator; records without blocks have one block per operator)
+ */
+function scheduledBlocks(record) {
+    const blocks = record.blocks || record.operators.map(() => 1);
+    let offset = 0;
+    return blocks.map(count => {
+        const users = record.selectedUsers.slice(offset, offset + count);
+        offset += count;
+        return users;
+    });
+}
+
+function served(store, options) {
+    if (options.operator === undefined) {
+        throw new QueryError('served needs --operator');
+    }
+    const operator = store.resolve(options.operator, true);
+    const [from, to] = roundRange(options);
+    const byUser = new Map();
+    let idle = 0, idleBlocks = 0;
+    for (const r of store.events('Scheduled', from, to)) {
+        const k = r.operators.findIndex(o => sameAddress(o, operator));
+        if (k < 0) continue;
+        const users = scheduledBlocks(r)[k];
+        const servedUsers = users.filter(user => user !== ethers.constants.AddressZero);
+        idleBlocks += users.length - servedUsers.length;
+        if (servedUsers.length === 0) {
+            idle++;
+        }
+        for (const user of servedUsers) {
+            const entry = byUser.get(user) || { user, label: store.label(user), rounds: 0, blocks: 0, firstRound: r.round, lastRound: r.round };
+            if (entry.lastRound !== r.round || entry.blocks === 0) {
+                entry.rounds++;
+            }
+            entry.blocks++;
+            entry.lastRound = r.round;
+            byUser.set(user, entry);
+        }
+    }
+    return { operator, label: store.label(operator), range: describeRange(from, to), idleRounds: idle, idleBlocks, users: [...byUser.values()].sort((a, b) => store.order(a.user) - store.order(b.user)) };
+}
+
+function rates(store, options) {
+    if (options.user === undefined) {
+        throw new QueryError('rates needs --user');
+    }
+    const user = store.resolve(options.user, false);
+    const operator = options.operator === undefined ? null : store.resolve(options.operator, true);
+    const [from, to] = roundRange(options);
+    const reports = store.events('ReportSubmitted', from, to)
+        .filter(r => sameAddress(r.user, user) && (!operator || sameAddress(r.operator, operator)))
+        .map(r => ({ round: r.round, operator: r.operator, label: store.label(r.operator), rate: r.rate, rateMode: r.rateMode || null, timestamp: r.timestamp }));
+    const mean = reports.length > 0 ? reports.reduce((sum, r) => sum + r.rate, 0) / reports.length : 0;
+    return { user, label: store.label(user), range: describeRange(from, to), mean, reports };
+}
+
+function payments(store, options) {
+    const user = options.user === undefined ? null : store.resolve(options.user, false);
+    const [from, to] = roundRange(options);
+    const paid = new Map();
+    const received = new Map();
+    const add = (map, address, r) => {
+        const entry = map.get(address) || { address, label: store.label(address), payments: 0, total: ethers.BigNumber.from(0), surcharge: ethers.BigNumber.from(0) };
+        entry.payments++;
+        entry.total = entry.total.add(r.cost);
+        // Records indexed before tariffs have no surcharge
+        entry.surcharge = entry.surcharge.add(r.surcharge || 0);
+        map.set(address, entry);
+    };
+    for (const r of store.events('PaymentProcessed', from, to)) {
+        if (user && !sameAddress(r.user, user)) continue;
+        add(paid, r.user, r);
+        add(received, r.operator, r);
+    }
+    const format = entries => [...entries.values()].sort((a, b) => store.order(a.address) - store.order(b.address)).map(e => ({
+        ...e, total: e.total.toString(), totalEth: ethers.utils.formatEther(e.total),
+        surcharge: e.surcharge.toString(), surchargeEth: ethers.utils.formatEther(e.surcharge)
+    }));
+    return { range: describeRange(from, to), users: format(paid), operators: format(received) };
+}
+
+// Registration events of an account, in chain order
+const MEMBERSHIP_EVENTS = ['RegistrationSuccess', 'Deregistered', 'ParticipantSuspended', 'ParticipantReactivated'];
+
+function user(store, options) {
+    if (options.user === undefined) {
+        throw new QueryError('user needs --user');
+    }
+    const address = store.resolve(options.user, false);
+    const [from, to] = roundRange(options);
+    const membership = store.records
+        .filter(r => MEMBERSHIP_EVENTS.includes(r.event) && !r.isOperator && sameAddress(r.account, address))
+        .map(r => ({ event: r.event, block: r.block, id: r.id === undefined ? null : r.id }));
+    const byOperator = new Map();
+    const entry = operator => {
+        if (!byOperator.has(operator)) {
+            byOperator.set(operator, { operator, label: store.label(operator), reports: 0, rateSum: 0, rounds: 0, blocks: 0, volume: ethers.BigNumber.from(0), paid: ethers.BigNumber.from(0) });
+        }
+        return byOperator.get(operator);
+    };
+    for (const r of store.events('ReportSubmitted', from, to)) {
+        if (!sameAddress(r.user, address)) continue;
+        const e = entry(r.operator);
+        e.reports++;
+        e.rateSum += r.rate;
+    }
+    for (const r of store.events('Scheduled', from, to)) {
+        scheduledBlocks(r).forEach((users, k) => {
+            const blocks = users.filter(u => sameAddress(u, address)).length;
+            if (blocks > 0) {
+                const e = entry(r.operators[k]);
+                e.rounds++;
+                e.blocks += blocks;
+            }
+        });
+    }
+    for (const r of store.events('PaymentProcessed', from, to)) {
+        if (!sameAddress(r.user, address)) continue;
+        const e = entry(r.operator);
+        // Records indexed before tariffs have no volume
+        e.volume = e.volume.add(r.volume || 0);
+        e.paid = e.paid.add(r.cost);
+    }
+    const operators = [...byOperator.values()].sort((a, b) => store.order(a.operator) - store.order(b.operator)).map(({ rateSum, ...e }) => ({
+        ...e, meanRate: e.reports > 0 ? rateSum / e.reports : 0, volume: e.volume.toString(), paid: e.paid.toString(), paidEth: ethers.utils.formatEther(e.paid)
+    }));
+    const totalPaid = operators.reduce((sum, e) => sum.add(e.paid), ethers.BigNumber.from(0));
+    return { user: address, label: store.label(address), range: describeRange(from, to), membership, operators, totalPaid: totalPaid.toString(), totalPaidEth: ethers.utils.formatEther(totalPaid) };
+}
+
+function round(store, options) {
+    const n = Number(options.round);
+    if (options.round === undefined || !Number.isInteger(n) || n < 1) {
+        throw new QueryError('round needs --round <n>, a round number');
+    }
+    const scheduled = store.events('Scheduled', n, n)[0] || null;
+    const reports = store.events('ReportSubmitted', n, n).map(r => ({
+        user: r.user, label: store.label(r.user), operator: r.operator, operatorLabel: store.label(r.operator), rate: r.rate, batched: Boolean(r.batched)
+    }));
+    const paid = store.events('PaymentProcessed', n, n).map(r => ({
+        user: r.user, label: store.label(r.user), operator: r.operator, operatorLabel: store.label(r.operator),
+        volume: r.volume || null, cost: r.cost, costEth: ethers.utils.formatEther(r.cost)
+    }));
+    if (!scheduled && reports.length === 0 && paid.length === 0) {
+        throw new QueryError(`no events indexed for round ${n}`);
+    }
+    const operators = scheduled ? scheduledBlocks(scheduled).map((users, k) => ({
+        operator: scheduled.operators[k],
+        label: store.label(scheduled.operators[k]),
+        blocks: users.map(u => (u === ethers.constants.AddressZero ? null : store.label(u)))
+    })) : [];
+    // Scheduling logic upgrades that took effect in the round
+    const upgrades = store.events('SchedulingLogicUpgraded', n, n).map(r => ({ version: r.version, logic: r.logic, name: r.name }));
+    return { round: n, block: scheduled ? scheduled.block : null, upgrades, reports, operators, payments: paid };
+}
+
+function csvValue(value) {
+    const text = Array.isArray(value) ? value.join(';') : String(value === undefined || value === null ? '' : value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write the records of every event to <out>/<Event>.csv (columns: fields of the records, arrays joined by ";")
+ * or <out>/<Event>.json
+ */
+function exportEvents(store, options) {
+    if (options.out === undefined || options.out === true) {
+        throw new QueryError('export needs --out <dir>');
+    }
+    const format = options.format === undefined ? 'csv' : options.format;
+    if (!['csv', 'json'].includes(format)) {
+        throw new QueryError(`--format must be csv or json, not "${format}"`);
+    }
+    fs.mkdirSync(options.out, { recursive: true });
+    const byEvent = new Map();
+    for (const r of store.records) {
+        if (!byEvent.has(r.event)) {
+            byEvent.set(r.event, []);
+        }
+        byEvent.get(r.event).push(r);
+    }
+    const files = [];
+    for (const [event, records] of byEvent) {
+        const file = path.join(options.out, `${event}.${format}`);
+        if (format === 'json') {
+            fs.writeFileSync(file, JSON.stringify(records, null, 2));
+        } else {
+            const columns = [...new Set(records.flatMap(r => Object.keys(r)))];
+            const lines = [columns.join(','), ...records.map(r => columns.map(c => csvValue(r[c])).join(','))];
+            fs.writeFileSync(file, lines.join('\n') + '\n');
+        }
+        files.push({ event, file, records: records.length });
+    }
+    return { format, out: options.out, files };
+}
+
+function printResult(command, result) {
+    switch (command) {
+        case 'summary':
+            console.log(`📚 Indexed events (blocks ${result.blocks.join('-') || '-'}, rounds ${result.rounds.join('-') || '-'}):\n`);
+            for (const [event, count] of Object.entries(result.events)) {
+                console.log(`    ${event.padEnd(23)} ${String(count).padStart(8)}`);
+            }
+            console.log(`\n    ${result.users} users, ${result.operators} operators registered`);
+            break;
+        case 'served':
+            console.log(`📡 Users served by ${result.label} (${result.range}), idle in ${result.idleRounds} rounds (${result.idleBlocks} idle blocks):\n`);
+            console.log(`    User        Rounds served   Blocks served   First round   Last round`);
+            console.log(`    ----------  -------------   -------------   -----------   ----------`);
+            for (const u of result.users) {
+                console.log(`    ${u.label.padEnd(10)}  ${String(u.rounds).padStart(13)}   ${String(u.blocks).padStart(13)}   ${String(u.firstRound).padStart(11)}   ${String(u.lastRound).padStart(10)}`);
+            }
+            break;
+        case 'rates':
+            console.log(`📈 Rates reported by ${result.label} (${result.range}), ${result.reports.length} reports, mean ${result.mean.toFixed(2)}:\n`);
+            console.log(`    Round       Operator        Rate   Estimation`);
+            console.log(`    ----------  ----------  ----------   ----------`);
+            for (const r of result.reports) {
+                console.log(`    ${String(r.round).padEnd(10)}  ${r.label.padEnd(10)}  ${String(r.rate).padStart(10)}   ${r.rateMode || '-'}`);
+            }
+            break;
+        case 'payments':
+            console.log(`💰 Payments (${result.range}):\n`);
+            console.log(`    Paid by     Payments   Total (ETH)              Surge surcharge (ETH)`);
+            console.log(`    ----------  --------   ----------------------   ---------------------`);
+            for (const u of result.users) {
+                console.log(`    ${u.label.padEnd(10)}  ${String(u.payments).padStart(8)}   ${u.totalEth.padEnd(22)}   ${u.surchargeEth}`);
+            }
+            console.log(`\n    Received by Payments   Total (ETH)              Surge surcharge (ETH)`);
+            console.log(`    ----------  --------   ----------------------   ---------------------`);
+            for (const o of result.operators) {
+                console.log(`    ${o.label.padEnd(10)}  ${String(o.payments).padStart(8)}   ${o.totalEth.padEnd(22)}   ${o.surchargeEth}`);
+            }
+            break;
+        case 'user':
+            console.log(`👤 ${result.label} (${result.user}), ${result.range}:\n`);
+            for (const m of result.membership) {
+                console.log(`    ${m.event.padEnd(22)} block ${m.block}${m.id === null ? '' : `, id ${m.id}`}`);
+            }
+            console.log(`\n    Operator    Reports   Mean rate   Rounds served   Blocks served   Volume (bits)   Paid (ETH)`);
+            console.log(`    ----------  -------   ---------   -------------   -------------   -------------   ----------`);
+            for (const o of result.operators) {
+                console.log(`    ${o.label.padEnd(10)}  ${String(o.reports).padStart(7)}   ${o.meanRate.toFixed(2).padStart(9)}   ${String(o.rounds).padStart(13)}   ${String(o.blocks).padStart(13)}   ${o.volume.padStart(13)}   ${o.paidEth}`);
+            }
+            console.log(`\n    Total paid: ${result.totalPaidEth} ETH`);
+            break;
+        case 'round':
+            console.log(`🔎 Round ${result.round}${result.block === null ? ' (not scheduled)' : ` (block ${result.block})`}:\n`);
+            for (const u of result.upgrades) {
+                console.log(`    Scheduling logic version ${u.version} (${u.name}) at ${u.logic}\n`);
+            }
+            console.log(`    Reports: ${result.reports.length}`);
+            console.log(`    User        Operator          Rate`);
+            console.log(`    ----------  ----------  ----------`);
+            for (const r of result.reports) {
+                console.log(`    ${r.label.padEnd(10)}  ${r.operatorLabel.padEnd(10)}  ${String(r.rate).padStart(10)}`);
+            }
+            console.log(`\n    Operator    Users per resource block`);
+            console.log(`    ----------  ------------------------`);
+            for (const o of result.operators) {
+                console.log(`    ${o.label.padEnd(10)}  ${o.blocks.map(label => label || 'idle').join(', ')}`);
+            }
+            console.log(`\n    User        Operator    Volume (bits)   Cost (ETH)`);
+            console.log(`    ----------  ----------  -------------   ----------`);
+            for (const p of result.payments) {
+                console.log(`    ${p.label.padEnd(10)}  ${p.operatorLabel.padEnd(10)}  ${(p.volume || '-').padStart(13)}   ${p.costEth}`);
+            }
+            break;
+        case 'export':
+            console.log(`💾 Indexed events exported to ${result.out} (${result.format}):\n`);
+            for (const f of result.files) {
+                console.log(`    ${f.event.padEnd(23)} ${String(f.records).padStart(8)}   ${f.file}`);
+            }
+            break;
+    }
+}
+
+const COMMANDS = { summary, served, rates, payments, user, round, export: exportEvents };
+
+/**
+ * Run a query against an event file
+ * @param {string} command - summary, served, rates, payments, user, round or export
+ * @param {Object} options - Parsed options
+ * @returns {Object} Query result
+ */
+function runQuery(command, options = {}) {
+    if (!COMMANDS[command]) {
+        throw new QueryError(`unknown command "${command}"`);
+    }
+    const file = options.file || process.env.BCPFS_INDEX_EVENTS || DEFAULT_EVENTS_FILE;
+    if (!fs.existsSync(file)) {
+        throw new QueryError(`event file ${file} does not exist, index a run first (BCPFS_INDEX_EVENTS)`);
+    }
+    const store = new EventStore(loadEvents(file));
+    return COMMANDS[command](store, options);
+}
+
+if (require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+    const command = options._[0];
+    if (!command || options.help) {
+        console.log(USAGE);
+        process.exitCode = command ? 0 : 1;
+    } else {
+        try {
+            const result = runQuery(command, options);
+            if (options.json) {
+                console.log(JSON.stringify(result, null, 2));
+            } else {
+                printResult(command, result);
+            }
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            if (error instanceof QueryError) {
+                console.error(`\n${USAGE}`);
+            }
+            process.exitCode = 1;
+        }
+    }
+}
+
+module.exports = { runQuery, printResult, EventStore, QueryError };
@@ -0,0 +1,146 @@
+// fairness-metrics.js - Fairness and Utility Metrics of a Scheduling Run
+
+// Throughputs are stored on-chain as Kbps × 1e8
+const THROUGHPUT_SCALE = 1e8;
+
+/**
+ * Jain's fairness index (Σx)² / (n·Σx²): 1 when all users get the same, 1/n when one user gets everything
+ * @param {number[]} values - Per-user throughputs
+ * @returns {number|null} Index, null while every value is 0
+ */
+function jainIndex(values) {
+    let sum = 0, squares = 0;
+    for (const x of values) {
+        sum += x;
+        squares += x * x;
+    }
+    return squares > 0 ? (sum * sum) / (values.length * squares) : null;
+}
+
+/**
+ * Proportional-fair utility Σ log(x), the objective PF scheduling maximizes
+ * @param {number[]} values - Per-user throughputs
+ * @returns {number|null} Utility, null while some user has a throughput of 0 (log 0 = -∞)
+ */
+function pfUtility(values) {
+    if (values.some(x => !(x > 0))) {
+        return null;
+    }
+    return values.reduce((sum, x) => sum + Math.log(x), 0);
+}
+
+function sum(values) {
+    return values.reduce((total, x) => total + x, 0);
+}
+
+/**
+ * Follows the scheduling decisions of a run: resource blocks won by each user at each operator and the rates allocated
+ */
+class FairnessTracker {
+    /**
+     * @param {number} usersCount - Number of users
+     * @param {number} operatorsCount - Number of operators
+     */
+    constructor(usersCount, operatorsCount) {
+        this.usersCount = usersCount;
+        this.operatorsCount = operatorsCount;
+        this.rounds = 0;
+        this.slots = Array.from({ length: operatorsCount }, () => new Array(usersCount).fill(0));
+        this.idleSlots = new Array(operatorsCount).fill(0);
+        // Resource blocks scheduled at each operator over the run (one per round for single-block operators)
+        this.totalSlots = new Array(operatorsCount).fill(0);
+        this.allocatedRate = new Array(usersCount).fill(0);
+    }
+
+    /**
+     * Record the scheduling decision of one round
+     * @param {number[][]} selectedUsers - Selected user index per operator and resource block (-1 if the block idled)
+     * @param {Array<Array<number|bigint>>} allocatedRates - Rate allocated on each block of each operator (Kbps)
+     */
+    recordRound(selectedUsers, allocatedRates) {
+        this.rounds++;
+        for (let k = 0; k < this.operatorsCount; k++) {
+            this.totalSlots[k] += selectedUsers[k].length;
+            selectedUsers[k].forEach((n, b) => {
+                if (n < 0) {
+                    this.idleSlots[k]++;
+                    return;
+                }
+                this.slots[k][n]++;
+                this.allocatedRate[n] += Number(allocatedRates[k][b]);
+            });
+        }
+    }
+
+    /**
+     * Metrics of the current EWMA throughputs, computed at every sample
+     * @param {number} round - Round number
+     * @param {Array<number|bigint>} throughputs - On-chain throughputs (Kbps × 1e8)
+     * @returns {Object} { round, jain, utility, sumThroughput }
+     */
+    sample(round, throughputs) {
+        const kbps = throughputs.map(t => Number(t) / THROUGHPUT_SCALE);
+        return { round, jain: jainIndex(kbps), utility: pfUtility(kbps), sumThroughput: sum(kbps) };
+    }
+
+    /**
+     * Final summary: metrics of the EWMA throughputs and of the time-average allocated rates,
+     * and each user's share of the resource blocks scheduled at every operator
+     * @param {Array<number|bigint>} throughputs - Final on-chain throughputs (Kbps × 1e8)
+     */
+    summary(throughputs) {
+        const rounds = Math.max(this.rounds, 1);
+        const ewmaThroughput = throughputs.map(t => Number(t) / THROUGHPUT_SCALE);
+        const averageAllocatedRate = this.allocatedRate.map(r => r / rounds);
+        return {
+            rounds: this.rounds,
+            ewma: { jain: jainIndex(ewmaThroughput), utility: pfUtility(ewmaThroughput), sumThroughput: sum(ewmaThroughput) },
+            allocated: { jain: jainIndex(averageAllocatedRate), utility: pfUtility(averageAllocatedRate), sumThroughput: sum(averageAllocatedRate) },
+            ewmaThroughput,
+            averageAllocatedRate,
+            slotShare: this.slots.map((row, k) => row.map(slots => slots / Math.max(this.totalSlots[k], 1))),
+            idleShare: this.idleSlots.map((slots, k) => slots / Math.max(this.totalSlots[k], 1))
+        };
+    }
+}
+
+function formatMetric(value, digits = 4) {
+    return value === null ? '-' : value.toFixed(digits);
+}
+
+/**
+ * Print a fairness summary as tables
+ * @param {Object} summary - FairnessTracker.summary()
+ * @param {string[]} userNames - User names
+ */
+function printFairnessSummary(summary, userNames) {
+    console.log(`\n⚖️  Fairness and utility over ${summary.rounds} rounds:\n`);
+    console.log(`                         Jain index    Σ log(throughput)    Sum (Kbps)`);
+    console.log(`    EWMA throughput       ${formatMetric(summary.ewma.jain).padStart(10)}    ${formatMetric(summary.ewma.utility).padStart(17)}    ${formatMetric(summary.ewma.sumThroughput, 2).padStart(10)}`);
+    console.log(`    Time-average rate     ${formatMetric(summary.allocated.jain).padStart(10)}    ${formatMetric(summary.allocated.utility).padStart(17)}    ${formatMetric(summary.allocated.sumThroughput, 2).padStart(10)}`);
+
+    let header = `\n    User        EWMA throughput    Time-average rate`;
+    let separator = `    ----------  ---------------    -----------------`;
+    summary.slotShare.forEach((_, k) => {
+        header += `    Slots at Op ${k + 1}`;
+        separator += `    ------------`;
+    });
+    console.log(header);
+    console.log(separator);
+    userNames.forEach((name, n) => {
+        let row = `    ${name.padEnd(10)}  ${summary.ewmaThroughput[n].toFixed(4).padStart(15)}    ${summary.averageAllocatedRate[n].toFixed(4).padStart(17)}`;
+        summary.slotShare.forEach(shares => {
+            row += `    ${(shares[n] * 100).toFixed(1).padStart(11)}%`;
+        });
+        console.log(row);
+    });
+    if (summary.idleShare.some(share => share > 0)) {
+        let row = `    ${'(idle)'.padEnd(10)}  ${''.padStart(15)}    ${''.padStart(17)}`;
+        summary.idleShare.forEach(share => {
+            row += `    ${(share * 100).toFixed(1).padStart(11)}%`;
+        });
+        console.log(row);
+    }
+}
+
+module.exports = { FairnessTracker, jainIndex, pfUtility, printFairnessSummary, THROUGHPUT_SCALE };
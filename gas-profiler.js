@@ -0,0 +1,291 @@
+// gas-profiler.js - Gas and Scalability Profiling across Users × Operators Sweeps
+const { ethers } = require("hardhat");
+const { initPlatform } = require('./bcpfs-init');
+const { validateScenario, readOption } = require('./scenario-loader');
+const { ReportSigner } = require('./report-signer');
+const { CSISource } = require('./csi-trace');
+const { createRandom } = require('./seeded-random');
+const fs = require('fs');
+const path = require('path');
+
+// Sweep settings (the hardhat CLI does not forward arguments, use the environment variables)
+const SWEEP_USERS = parseList(readOption('users', 'BCPFS_SWEEP_USERS') || '2,4,8,16,32');
+const SWEEP_OPERATORS = parseList(readOption('operators', 'BCPFS_SWEEP_OPERATORS') || '1,2,4');
+const ROUNDS = Number(readOption('rounds', 'BCPFS_PROFILE_ROUNDS') || 5);
+const POLICY = readOption('policy', 'BCPFS_POLICY') || 'proportional-fair';
+const SEED = readOption('seed', 'BCPFS_SEED') || 'gas-profile';
+// Report submission: one transaction per report ("single") or one batch per round ("batched")
+const REPORT_MODE = readOption('report-mode', 'BCPFS_REPORT_MODE') || 'single';
+const REPORT_METHOD = REPORT_MODE === 'batched' ? 'submitReports' : 'submitReport';
+// Realistic block gas limits: Ethereum mainnet target, former and current limits
+const BLOCK_GAS_LIMITS = parseList(readOption('block-gas-limits', 'BCPFS_BLOCK_GAS_LIMITS') || '15000000,30000000,36000000');
+// Rate history entries kept per user-operator pair (0 = all of them)
+const HISTORY_WINDOW = Number(readOption('history-window', 'BCPFS_HISTORY_WINDOW') || 0);
+// Mean SNR of every link; the channel does not change the gas of a round
+const MEAN_SNR = 0.01;
+
+const METHODS = [REPORT_METHOD, 'updateScheduling', 'processScheduledTransactions'];
+
+function parseList(value) {
+    return String(value).split(',').map(v => Number(v.trim())).filter(v => Number.isInteger(v) && v > 0);
+}
+
+// Run a noisy setup step without its console output
+async function quietly(fn) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.log = log;
+    }
+}
+
+/**
+ * Synthetic scenario with N users and K operators, using HD accounts after the deployer
+ */
+function sweepScenario(usersCount, operatorsCount) {
+    return validateScenario({
+        name: `sweep-${usersCount}x${operatorsCount}`,
+        operators: Array.from({ length: operatorsCount }, (_, k) => ({ account: 1 + k, proof: '0x1234567890abcdef1234' })),
+        users: Array.from({ length: usersCount }, (_, n) => ({ account: 1 + operatorsCount + n, proof: '0xabcde12345' })),
+        snr: Array.from({ length: operatorsCount }, () => new Array(usersCount).fill(MEAN_SNR)),
+        reports: { historyWindow: HISTORY_WINDOW },
+        rounds: ROUNDS,
+        policy: POLICY
+    }, '<sweep>');
+}
+
+/**
+ * Deploy a fresh platform for one sweep point and register and fund its participants
+ */
+async function setupPlatform(scenario) {
+    return quietly(async () => {
+        const contracts = await initPlatform({ policy: scenario.policy, users: scenario.users });
+        if (scenario.reports.historyWindow > 0) {
+            await contracts.statusReportingContract.setHistoryWindow(scenario.reports.historyWindow);
+        }
+        for (const operator of scenario.operators) {
+            await contracts.registrationContract.register(operator.address, operator.proof, true);
+        }
+        for (let n = 0; n < scenario.users.length; n++) {
+            await contracts.registrationContract.register(scenario.users[n].address, scenario.users[n].proof, false);
+            await contracts.settlementContract.depositFor(scenario.users[n].address, { value: scenario.funding.deposits[n] });
+        }
+        return contracts;
+    });
+}
+
+/**
+ * Run one round in one block and return the gas used per method
+ */
+async function profileRound(contracts, signer, csiSource, scenario) {
+    const { statusReportingContract, schedulingContract, settlementContract } = contracts;
+    await ethers.provider.send("evm_setAutomine", [false]);
+    const csi = csiSource.nextRound();
+    const round = (await schedulingContract.currentRound()).toNumber();
+    const txs = [];
+    const batch = [];
+    for (let n = 0; n < scenario.users.length; n++) {
+        for (let k = 0; k < scenario.operators.length; k++) {
+            const report = await signer.sign(n, k, round, csi[k][n]);
+            const args = [report.user, report.operator, report.round, report.nonce, report.csi, report.userSignature, report.operatorSignature];
+            if (REPORT_MODE === 'batched') {
+                batch.push(args);
+            } else {
+                txs.push({ method: REPORT_METHOD, tx: await statusReportingContract.submitReport(...args) });
+            }
+        }
+    }
+    if (REPORT_MODE === 'batched') {
+        txs.push({ method: REPORT_METHOD, tx: await statusReportingContract.submitReports(batch) });
+    }
+    txs.push({ method: 'updateScheduling', tx: await schedulingContract.updateScheduling() });
+    txs.push({ method: 'processScheduledTransactions', tx: await settlementContract.processScheduledTransactions() });
+    await ethers.provider.send("evm_mine", []);
+    await ethers.provider.send("evm_setAutomine", [true]);
+
+    const gas = Object.fromEntries(METHODS.map(m => [m, 0]));
+    let maxReport = 0;
+    for (const { method, tx } of txs) {
+        const receipt = await tx.wait();
+        const used = receipt.gasUsed.toNumber();
+        gas[method] += used;
+        if (method === REPORT_METHOD) {
+            maxReport = Math.max(maxReport, used);
+        }
+    }
+    const total = METHODS.reduce((sum, m) => sum + gas[m], 0);
+    return { ...gas, reports: scenario.users.length * scenario.operators.length, maxReport, total };
+}
+
+/**
+ * Least-squares fit of the round gas: a + b·N + c·K + d·N·K
+ * @returns {number[]} Coefficients [a, b, c, d]
+ */
+function fitRoundGas(points) {
+    const rows = points.map(p => [1, p.users, p.operators, p.users * p.operators]);
+    const size = 4;
+    // Normal equations (X^T X) beta = X^T y, solved by Gaussian elimination
+    const A = Array.from({ length: size }, (_, i) => Array.from({ length: size + 1 }, (_, j) =>
+        j < size
+            ? rows.reduce((sum, r) => sum + r[i] * r[j], 0)
+            : rows.reduce((sum, r, p) => sum + r[i] * points[p].maxRoundGas, 0)));
+    for (let col = 0; col < size; col++) {
+        let pivot = col;
+        for (let r = col + 1; r < size; r++) {
+            if (Math.abs(A[r][col]) > Math.abs(A[pivot][col])) pivot = r;
+        }
+        [A[col], A[pivot]] = [A[pivot], A[col]];
+        if (Math.abs(A[col][col]) < 1e-9) {
+            return null; // Not enough distinct N and K values
+        }
+        for (let r = 0; r < size; r++) {
+            if (r !== col) {
+                const f = A[r][col] / A[col][col];
+                for (let c = col; c <= size; c++) A[r][c] -= f * A[col][c];
+            }
+        }
+    }
+    return A.map((row, i) => row[size] / A[i][i]);
+}
+
+/**
+ * Least-squares line through the round gas of one operator count: a + b·N
+ * @returns {number[]|null} Coefficients [a, b], null with fewer than two user counts
+ */
+function fitUsersLine(points) {
+    const n = points.length;
+    const meanN = points.reduce((sum, p) => sum + p.users, 0) / n;
+    const meanGas = points.reduce((sum, p) => sum + p.maxRoundGas, 0) / n;
+    const varN = points.reduce((sum, p) => sum + (p.users - meanN) ** 2, 0);
+    if (varN === 0) {
+        return null;
+    }
+    const slope = points.reduce((sum, p) => sum + (p.users - meanN) * (p.maxRoundGas - meanGas), 0) / varN;
+    return [meanGas - slope * meanN, slope];
+}
+
+/**
+ * For every operator count and block gas limit: the smallest number of users whose round no longer fits
+ */
+function blockLimitCrossings(points) {
+    const crossings = [];
+    for (const operators of SWEEP_OPERATORS) {
+        const sameK = points.filter(p => p.operators === operators);
+        const line = fitUsersLine(sameK);
+        for (const limit of BLOCK_GAS_LIMITS) {
+            const measured = sameK
+                .filter(p => p.maxRoundGas > limit)
+                .sort((a, b) => a.users - b.users)[0];
+            if (measured) {
+                crossings.push({ operators, blockGasLimit: limit, users: measured.users, source: 'measured' });
+            } else if (line) {
+                const [a, b] = line;
+                const users = b > 0 ? Math.floor((limit - a) / b) + 1 : null;
+                crossings.push({ operators, blockGasLimit: limit, users, source: 'extrapolated' });
+            }
+        }
+    }
+    return crossings;
+}
+
+function formatGas(value) {
+    return Math.round(value).toLocaleString('en-US');
+}
+
+function printSummary(points, crossings, fit) {
+    console.log(`\n⛽ Gas per round (${ROUNDS} rounds per point, one block per round):\n`);
+    console.log(`    Users  Operators   Gas per report (avg)   updateScheduling   processScheduledTransactions   Round total (max)`);
+    console.log(`    -----  ---------   --------------------   ----------------   ----------------------------   -----------------`);
+    for (const p of points) {
+        console.log(
+            `    ${String(p.users).padStart(5)}  ${String(p.operators).padStart(9)}` +
+            `   ${formatGas(p.avgReportGas).padStart(20)}   ${formatGas(p.avgSchedulingGas).padStart(16)}` +
+            `   ${formatGas(p.avgSettlementGas).padStart(28)}   ${formatGas(p.maxRoundGas).padStart(17)}`
+        );
+    }
+    if (fit) {
+        const [a, b, c, d] = fit.map(formatGas);
+        console.log(`\n📐 Fitted round gas ≈ ${a} + ${b}·N + ${c}·K + ${d}·N·K`);
+    }
+    console.log(`\n🧱 Users at which one round exceeds the block gas limit:\n`);
+    for (const c of crossings) {
+        const users = c.users === null ? 'never' : `N ≥ ${c.users}`;
+        console.log(`    K = ${c.operators}, limit ${formatGas(c.blockGasLimit)}: ${users} (${c.source})`);
+    }
+}
+
+async function runSweep() {
+    if (!['single', 'batched'].includes(REPORT_MODE)) {
+        throw new Error(`Unknown report mode "${REPORT_MODE}", expected single or batched`);
+    }
+    console.log(`⛽ Gas profiling sweep: users ${SWEEP_USERS.join(', ')} × operators ${SWEEP_OPERATORS.join(', ')}, ${ROUNDS} rounds, ${POLICY}, ${REPORT_MODE} reports`);
+    const { chainId } = await ethers.provider.getNetwork();
+    const rounds = [];
+    const points = [];
+
+    for (const operatorsCount of SWEEP_OPERATORS) {
+        for (const usersCount of SWEEP_USERS) {
+            const scenario = sweepScenario(usersCount, operatorsCount);
+            const contracts = await setupPlatform(scenario);
+            const signer = new ReportSigner(scenario, contracts.statusReportingContract, chainId);
+            const csiSource = new CSISource(scenario, { rng: createRandom(`${SEED}-${usersCount}x${operatorsCount}`) });
+            const pointRounds = [];
+            for (let round = 1; round <= ROUNDS; round++) {
+                const gas = await profileRound(contracts, signer, csiSource, scenario);
+                pointRounds.push(gas);
+                rounds.push({ users: usersCount, operators: operatorsCount, round, ...gas });
+            }
+            const avg = key => pointRounds.reduce((sum, r) => sum + r[key], 0) / pointRounds.length;
+            const point = {
+                users: usersCount,
+                operators: operatorsCount,
+                avgReportGas: avg(REPORT_METHOD) / (usersCount * operatorsCount),
+                maxReportGas: Math.max(...pointRounds.map(r => r.maxReport)),
+                avgSchedulingGas: avg('updateScheduling'),
+                avgSettlementGas: avg('processScheduledTransactions'),
+                avgRoundGas: avg('total'),
+                maxRoundGas: Math.max(...pointRounds.map(r => r.total))
+            };
+            points.push(point);
+            console.log(`✅ ${usersCount} users × ${operatorsCount} operators: max ${formatGas(point.maxRoundGas)} gas per round`);
+        }
+    }
+
+    const fit = fitRoundGas(points);
+    const crossings = blockLimitCrossings(points);
+    printSummary(points, crossings, fit);
+
+    // JSON with every round, CSV with one row per round for spreadsheets
+    const outDir = path.join(__dirname, 'reports');
+    if (!fs.existsSync(outDir)) {
+        fs.mkdirSync(outDir, { recursive: true });
+    }
+    const out = {
+        policy: POLICY,
+        reportMode: REPORT_MODE,
+        historyWindow: HISTORY_WINDOW,
+        roundsPerPoint: ROUNDS,
+        seed: SEED,
+        blockGasLimits: BLOCK_GAS_LIMITS,
+        fit: fit ? { intercept: fit[0], perUser: fit[1], perOperator: fit[2], perUserOperator: fit[3] } : null,
+        points,
+        crossings,
+        rounds
+    };
+    fs.writeFileSync(path.join(outDir, 'gas_profile.json'), JSON.stringify(out, null, 2), 'utf-8');
+    const columns = ['users', 'operators', 'round', 'reports', ...METHODS, 'maxReport', 'total'];
+    const lines = rounds.map(r => columns.map(c => r[c]).join(','));
+    fs.writeFileSync(path.join(outDir, 'gas_profile.csv'), [columns.join(','), ...lines].join('\n') + '\n', 'utf-8');
+    console.log(`\n💾 Gas profile saved: reports/gas_profile.json, reports/gas_profile.csv`);
+}
+
+if (require.main === module) {
+    runSweep().catch(error => {
+        console.error(`❌ Gas profiling failed: ${error.message}`);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { runSweep, fitRoundGas };
@@ -1,18 +1,36 @@
 require("@nomiclabs/hardhat-ethers");
+const { MNEMONIC, ACCOUNT_COUNT } = require("./network-accounts");
+// bcpfs deploy / register / run / inspect / export
+require("./bcpfs-tasks");
 
 module.exports = {
-  solidity: "0.8.28",
+  solidity: {
+    version: "0.8.28",
+    // Keeps SchedulingContract below the 24 KB contract size limit
+    settings: { optimizer: { enabled: true, runs: 200 } }
+  },
   networks: {
     hardhat: {
       chainId: 1337,
+      // Simulation setting so that any round fits into one block; gas-profiler.js reports
+      // the number of users at which a round exceeds realistic block gas limits
       blockGasLimit: 1000000000000, 
-      gas: 1000000000000, 
+      // Per-transaction gas limit; must stay well below blockGasLimit so that all of a
+      // round's transactions (N x K reports + scheduling + settlement) fit into one block
+      gas: 100000000, 
       gasPrice: 20000000000, 
       accounts: {
-        mnemonic: "test test test test test test test test test test test junk",
-        count: 20,
+        mnemonic: MNEMONIC,
+        count: ACCOUNT_COUNT,
         accountsBalance: "1000000000000000000000000"
       }
+    },
+    // npx hardhat node (started with the hardhat network settings above), e.g.
+    // npx hardhat bcpfs run --network localhost
+    localhost: {
+      url: "http://127.0.0.1:8545",
+      gas: 100000000,
+      gasPrice: 20000000000
     }
   }
 };
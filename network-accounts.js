@@ -0,0 +1,21 @@
+// network-accounts.js - Test Accounts Shared by the Hardhat Network and the Scenario Loader
+const { ethers } = require('ethers');
+
+const MNEMONIC = "test test test test test test test test test test test junk";
+const ACCOUNT_COUNT = 20;
+
+let rootNode;
+
+/**
+ * Derive the private key of a mnemonic account (same derivation path as Hardhat)
+ * @param {number} index - Account index
+ * @returns {string} 0x-prefixed private key
+ */
+function derivePrivateKey(index) {
+    if (!rootNode) {
+        rootNode = ethers.utils.HDNode.fromMnemonic(MNEMONIC);
+    }
+    return rootNode.derivePath(`m/44'/60'/0'/0/${index}`).privateKey;
+}
+
+module.exports = { MNEMONIC, ACCOUNT_COUNT, derivePrivateKey };
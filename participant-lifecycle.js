@@ -0,0 +1,197 @@
+// participant-lifecycle.js - Join, Leave and Suspension Schedule of Users and Operators
+
+// Lifecycle actions of a scenario, applied before the reports of their round
+const LIFECYCLE_ACTIONS = ['join', 'leave', 'suspend', 'reactivate'];
+
+// Participant states
+const ABSENT = 'absent';
+const ACTIVE = 'active';
+const SUSPENDED = 'suspended';
+
+/**
+ * Registration state of every user and operator of a scenario, following RegistrationContract:
+ * registration order (a participant that leaves and joins again moves to the end) and suspensions.
+ * Participants whose first lifecycle event is a join are not registered at the start of the run.
+ */
+class Membership {
+    /**
+     * @param {number} usersCount - Number of users
+     * @param {number} operatorsCount - Number of operators
+     * @param {Object[]} [lifecycle] - Events { round, action, kind: 'user'|'operator', index }, in round order
+     */
+    constructor(usersCount, operatorsCount, lifecycle = []) {
+        this.lifecycle = lifecycle;
+        this.state = {
+            user: new Array(usersCount).fill(ACTIVE),
+            operator: new Array(operatorsCount).fill(ACTIVE)
+        };
+        const seen = new Set();
+        for (const event of lifecycle) {
+            const key = `${event.kind}:${event.index}`;
+            if (!seen.has(key) && event.action === 'join') {
+                this.state[event.kind][event.index] = ABSENT;
+            }
+            seen.add(key);
+        }
+        this.initialState = { user: this.state.user.slice(), operator: this.state.operator.slice() };
+        // Registrations of every participant so far: like its RegistrationContract id, it changes when it joins again
+        this.registrations = {
+            user: this.state.user.map(state => (state === ABSENT ? 0 : 1)),
+            operator: this.state.operator.map(state => (state === ABSENT ? 0 : 1))
+        };
+        this.order = {
+            user: [...this.state.user.keys()].filter(n => this.state.user[n] !== ABSENT),
+            operator: [...this.state.operator.keys()].filter(k => this.state.operator[k] !== ABSENT)
+        };
+    }
+
+    /**
+     * Whether a participant is registered at the start of the run
+     */
+    registeredAtStart(kind, index) {
+        return this.initialState[kind][index] !== ABSENT;
+    }
+
+    /**
+     * Events of a round
+     * @param {number} round - Round number
+     * @returns {Object[]} Events, in scenario order
+     */
+    eventsAt(round) {
+        return this.lifecycle.filter(event => event.round === round);
+    }
+
+    /**
+     * Why an event cannot be applied in the current state
+     * @returns {string|null} Problem, null if the event is valid
+     */
+    problem(event) {
+        const state = this.state[event.kind][event.index];
+        switch (event.action) {
+            case 'join':
+                return state === ABSENT ? null : 'is already registered';
+            case 'leave':
+                return state !== ABSENT ? null : 'is not registered';
+            case 'suspend':
+                return state === ACTIVE ? null : (state === ABSENT ? 'is not registered' : 'is already suspended');
+            case 'reactivate':
+                return state === SUSPENDED ? null : 'is not suspended';
+            default:
+                return `unknown action "${event.action}"`;
+        }
+    }
+
+    /**
+     * Apply an event
+     * @throws {Error} If the event is not valid in the current state
+     */
+    apply(event) {
+        const problem = this.problem(event);
+        if (problem) {
+            throw new Error(`round ${event.round}: cannot ${event.action} ${event.kind} ${event.index + 1}, it ${problem}`);
+        }
+        const order = this.order[event.kind];
+        switch (event.action) {
+            case 'join':
+                this.state[event.kind][event.index] = ACTIVE;
+                this.registrations[event.kind][event.index]++;
+                order.push(event.index);
+                break;
+            case 'leave':
+                this.state[event.kind][event.index] = ABSENT;
+                order.splice(order.indexOf(event.index), 1);
+                break;
+            case 'suspend':
+                this.state[event.kind][event.index] = SUSPENDED;
+                break;
+            case 'reactivate':
+                this.state[event.kind][event.index] = ACTIVE;
+                break;
+        }
+    }
+
+    /**
+     * Whether a participant is registered (active or suspended)
+     */
+    isRegistered(kind, index) {
+        return this.state[kind][index] !== ABSENT;
+    }
+
+    /**
+     * Registration of a participant, counted from 1 (0 before its first join)
+     */
+    registration(kind, index) {
+        return this.registrations[kind][index];
+    }
+
+    isActive(kind, index) {
+        return this.state[kind][index] === ACTIVE;
+    }
+
+    /**
+     * Active participants in registration order, as returned by getActiveUsers / getActiveOperators
+     * @param {string} kind - 'user' or 'operator'
+     * @returns {number[]} Scenario indexes
+     */
+    active(kind) {
+        return this.order[kind].filter(index => this.state[kind][index] === ACTIVE);
+    }
+}
+
+/**
+ * Validate the lifecycle schedule of a scenario, collecting problems
+ * @param {Array} raw - Entries { round, action, user|operator } with 1-based participant numbers
+ * @returns {Object[]} Events { round, action, kind, index } sorted by round (stable)
+ */
+function validateLifecycle(raw, usersCount, operatorsCount, rounds, problems) {
+    if (raw === undefined) {
+        return [];
+    }
+    if (!Array.isArray(raw)) {
+        problems.push('lifecycle: must be an array of { round, action, user | operator }');
+        return [];
+    }
+    const events = [];
+    raw.forEach((entry, i) => {
+        const where = `lifecycle[${i}]`;
+        if (!entry || typeof entry !== 'object') {
+            problems.push(`${where}: must be an object`);
+            return;
+        }
+        if (!Number.isInteger(entry.round) || entry.round < 1 || (Number.isInteger(rounds) && entry.round > rounds)) {
+            problems.push(`${where}.round: must be a round number between 1 and ${rounds}`);
+            return;
+        }
+        if (!LIFECYCLE_ACTIONS.includes(entry.action)) {
+            problems.push(`${where}.action: "${entry.action}" is not one of ${LIFECYCLE_ACTIONS.join(', ')}`);
+            return;
+        }
+        if ((entry.user === undefined) === (entry.operator === undefined)) {
+            problems.push(`${where}: needs either "user" or "operator"`);
+            return;
+        }
+        const kind = entry.user !== undefined ? 'user' : 'operator';
+        const count = kind === 'user' ? usersCount : operatorsCount;
+        const number = entry[kind];
+        if (!Number.isInteger(number) || number < 1 || number > count) {
+            problems.push(`${where}.${kind}: must be a ${kind} number between 1 and ${count}`);
+            return;
+        }
+        events.push({ round: entry.round, action: entry.action, kind, index: number - 1, where });
+    });
+    events.sort((a, b) => a.round - b.round);
+
+    // Replay the schedule to reject impossible transitions (e.g. suspending a user that already left)
+    const membership = new Membership(usersCount, operatorsCount, events);
+    for (const event of events) {
+        const problem = membership.problem(event);
+        if (problem) {
+            problems.push(`${event.where}: cannot ${event.action} ${event.kind} ${event.index + 1} in round ${event.round}, it ${problem}`);
+            continue;
+        }
+        membership.apply(event);
+    }
+    return events.map(({ where, ...event }) => event);
+}
+
+module.exports = { Membership, validateLifecycle, LIFECYCLE_ACTIONS };
@@ -0,0 +1,565 @@
+// pf-simulator.js - Off-chain Reference Model of the Status Reporting and Scheduling Contracts
+const fs = require('fs');
+const path = require('path');
+const { decodeBlockCSI, CSI_BYTES } = require('./csi-generator');
+const { CSISource } = require('./csi-trace');
+const { FairnessTracker, printFairnessSummary } = require('./fairness-metrics');
+const { Membership } = require('./participant-lifecycle');
+const { TrafficSource, QueueTracker, printTrafficSummary, trafficRandom, trafficParameters } = require('./traffic-models');
+const { DEFAULT_SCHEDULING_LOGIC } = require('./scenario-loader');
+
+// Constants mirrored from SchedulingContract
+const ALPHA = 10000n;
+const PRECISION = 100000000n;
+const WEIGHT_SCALE = 100n;
+const LOG_ONE = 10n ** 18n;
+const SCORE_OFFSET = 2n ** 128n;
+// Default operator bandwidth (kHz), shared equally by its resource blocks (SchedulingContract.DEFAULT_BANDWIDTH)
+const DEFAULT_BANDWIDTH = 1000n;
+// Constants mirrored from StatusReportingContract
+const SNR_SCALE = 1000000n;
+const EFFICIENCY_SCALE = 1000n;
+
+// SchedulingContract.Policy enum values
+const Policy = { ProportionalFair: 0, MaxRate: 1, RoundRobin: 2, AlphaFair: 3, WeightedPF: 4 };
+
+// StatusReportingContract.RateMode enum values
+const RateMode = { Linear: 0, Shannon: 1, Mcs: 2 };
+// Rate estimation of a scenario without a rateEstimation section
+const LINEAR_ESTIMATION = { mode: 'linear', id: RateMode.Linear, mcsTable: null };
+// SchedulingContract.TrafficModel.FullBuffer
+const FULL_BUFFER = 0;
+
+/**
+ * Fixed point binary logarithm, mirrors FixedPointMath.log2
+ * @param {bigint} x - Positive integer
+ * @returns {bigint} log2(x) * 1e18
+ */
+function log2(x) {
+    let msb = 0n;
+    for (let shift = 128n; shift > 0n; shift >>= 1n) {
+        if (x >= (1n << (msb + shift))) {
+            msb += shift;
+        }
+    }
+    let result = msb * LOG_ONE;
+    let z = msb >= 64n ? x >> (msb - 64n) : x << (64n - msb);
+    for (let delta = LOG_ONE / 2n; delta > (LOG_ONE >> 40n); delta >>= 1n) {
+        z = (z * z) >> 64n;
+        if (z >= (1n << 65n)) {
+            z >>= 1n;
+            result += delta;
+        }
+    }
+    return result;
+}
+
+/**
+ * Rate estimation of one resource block, mirrors StatusReportingContract.rateEstimation
+ * @param {Uint8Array|string} csi - CSI data
+ * @param {number} [blockIndex] - Resource block index
+ * @param {bigint} [bandwidth] - Bandwidth of the block (kHz)
+ * @param {Object} [estimation] - Rate estimation { id, mcsTable } of the scenario (default linear)
+ * @returns {bigint} Estimated rate
+ */
+function rateEstimation(csi, blockIndex = 0, bandwidth = DEFAULT_BANDWIDTH, estimation = LINEAR_ESTIMATION) {
+    const snrs = decodeBlockCSI(csi);
+    if (blockIndex >= snrs.length) {
+        throw new Error("Invalid CSI data");
+    }
+    let snrScaled = snrs[blockIndex];
+    if (snrScaled === 0n) {
+        snrScaled = 1000000n; // Minimum value
+    }
+    if (estimation.id === RateMode.Shannon) {
+        const capacity = log2(SNR_SCALE + snrScaled) - log2(SNR_SCALE);
+        return (bandwidth * capacity + LOG_ONE / 2n) / LOG_ONE;
+    }
+    if (estimation.id === RateMode.Mcs) {
+        for (let i = estimation.mcsTable.length - 1; i >= 0; i--) {
+            if (snrScaled >= BigInt(estimation.mcsTable[i].minSnr)) {
+                return (bandwidth * BigInt(estimation.mcsTable[i].efficiency) + EFFICIENCY_SCALE / 2n) / EFFICIENCY_SCALE;
+            }
+        }
+        return 0n;
+    }
+    const ln2 = 693n;
+    const denom = ln2 * 1000n;
+    const numer = bandwidth * snrScaled;
+    return (numer + denom / 2n) / denom; // Round to nearest
+}
+
+/**
+ * Rates of every resource block of a report, mirrors StatusReportingContract.recordBlockRates
+ * @param {Uint8Array|string} csi - CSI data
+ * @param {number} blocks - Resource blocks of the operator
+ * @param {bigint|number} [bandwidth] - Bandwidth of the operator (kHz)
+ * @param {Object} [estimation] - Rate estimation of the scenario
+ * @returns {bigint[]} Rate per block
+ */
+function blockRates(csi, blocks, bandwidth = DEFAULT_BANDWIDTH, estimation = LINEAR_ESTIMATION) {
+    const length = typeof csi === 'string' ? (csi.length - 2) / 2 : csi.length;
+    if (length < blocks * CSI_BYTES) {
+        throw new Error("Invalid CSI data");
+    }
+    bandwidth = BigInt(bandwidth);
+    if (blocks === 1) {
+        return [rateEstimation(csi, 0, bandwidth, estimation)];
+    }
+    return Array.from({ length: blocks }, (_, b) => rateEstimation(csi, b, bandwidth / BigInt(blocks), estimation));
+}
+
+/**
+ * Pure JavaScript model of one platform: same integer arithmetic as the contracts,
+ * users and operators are addressed by their index in registration order
+ */
+class PFSimulator {
+    /**
+     * @param {Object} scenario - Normalized scenario: the policy ({ id, beta, weights } scaled by 100), the
+     *                            resource blocks and bandwidth of the operators, the rate estimation, the
+     *                            traffic model of the users and the round length (schedulingInterval, ms)
+     * @param {Membership} [membership] - Registered and active participants (default: everyone, all run long)
+     */
+    constructor(scenario, membership = null) {
+        const usersCount = scenario.users.length;
+        const operatorsCount = scenario.operators.length;
+        const policy = scenario.policy;
+        const traffic = trafficParameters(scenario);
+        this.usersCount = usersCount;
+        this.operatorsCount = operatorsCount;
+        this.blocks = scenario.operators.map(o => o.resourceBlocks);
+        this.estimation = scenario.rateEstimation;
+        this.bandwidths = scenario.operators.map(o => BigInt(o.bandwidth));
+        this.policy = policy.id;
+        this.beta = BigInt(policy.beta);
+        this.weights = (policy.weights || new Array(usersCount).fill(0)).map(w => BigInt(w));
+        this.roundRobinCursor = 0;
+        this.round = 0;
+        this.throughput = new Array(usersCount).fill(0n);
+        this.throughputRemainder = new Array(usersCount).fill(0n);
+        this.throughputInitialized = new Array(usersCount).fill(false);
+        // Registration of each user when its throughput was initialized, like throughputRegistrationId
+        this.throughputRegistration = new Array(usersCount).fill(0);
+        this.membership = membership || new Membership(usersCount, operatorsCount);
+        // latestRate[n][k] (sum over the blocks) and blockRate[n][k][b], kept across rounds like latestOperatorUserRate
+        this.latestRate = Array.from({ length: usersCount }, () => new Array(operatorsCount).fill(0n));
+        this.blockRate = Array.from({ length: usersCount }, () => this.blocks.map(blocks => new Array(blocks).fill(0n)));
+        // reported[n][k] is true if the user reported to the operator in the current round
+        this.reported = Array.from({ length: usersCount }, () => new Array(operatorsCount).fill(false));
+        // selectedUser[k][b] is the user index selected on block b of operator k, -1 when the block idles
+        this.selectedUser = this.blocks.map(blocks => new Array(blocks).fill(-1));
+        this.allocatedRate = this.blocks.map(blocks => new Array(blocks).fill(0n));
+        // schedulable[n] is false while the user is suspended for insufficient funds
+        this.schedulable = new Array(usersCount).fill(true);
+        this.trafficModels = traffic.models;
+        this.slotDuration = BigInt(traffic.slotDuration);
+        // Queued bits of each user, and bits served to it by each operator in the last round
+        this.backlog = new Array(usersCount).fill(0n);
+        this.servedBits = Array.from({ length: usersCount }, () => new Array(operatorsCount).fill(0n));
+    }
+
+    /**
+     * Policy change, mirrors SchedulingContract.setPolicy and, when weights are given, setUserWeight
+     * (the weights set before are kept otherwise)
+     * @param {Object} policy - { id, beta, weights } with beta and weights scaled by 100
+     */
+    setPolicy(policy) {
+        this.policy = policy.id;
+        this.beta = BigInt(policy.beta);
+        if (policy.weights) {
+            this.weights = policy.weights.map(w => BigInt(w));
+        }
+    }
+
+    /**
+     * Traffic arrival, mirrors SchedulingContract.addDemand
+     */
+    addDemand(userIndex, bits) {
+        this.backlog[userIndex] += BigInt(bits);
+    }
+
+    hasDemand(n) {
+        return this.trafficModels[n] === FULL_BUFFER || this.backlog[n] > 0n;
+    }
+
+    /**
+     * Service of a user at an operator, mirrors SchedulingLogic.serve
+     */
+    serve(n, k, rate) {
+        let served = rate * this.slotDuration;
+        if (this.trafficModels[n] !== FULL_BUFFER) {
+            if (served > this.backlog[n]) {
+                served = this.backlog[n];
+            }
+            this.backlog[n] -= served;
+        }
+        this.servedBits[n][k] = served;
+    }
+
+    /**
+     * Serve the users selected at an operator, each once with the sum of its blocks' rates
+     */
+    serveOperator(k) {
+        const selected = this.selectedUser[k];
+        selected.forEach((n, b) => {
+            if (n >= 0 && selected.indexOf(n) === b) {
+                const rate = selected.reduce((sum, m, c) => (m === n ? sum + this.allocatedRate[k][c] : sum), 0n);
+                this.serve(n, k, rate);
+            }
+        });
+    }
+
+    /**
+     * Status report, mirrors StatusReportingContract.submitReport
+     */
+    submitReport(userIndex, operatorIndex, csi) {
+        const rates = blockRates(csi, this.blocks[operatorIndex], this.bandwidths[operatorIndex], this.estimation);
+        const rate = rates.reduce((sum, r) => sum + r, 0n);
+        this.blockRate[userIndex][operatorIndex] = rates;
+        this.latestRate[userIndex][operatorIndex] = rate;
+        this.reported[userIndex][operatorIndex] = true;
+        return rate;
+    }
+
+    /**
+     * Priority under the active policy, mirrors SchedulingLogic.calculatePriority
+     */
+    calculatePriority(n, latestRate) {
+        const userThroughput = this.throughput[n];
+        if (this.policy === Policy.MaxRate) {
+            return latestRate;
+        }
+        if (this.policy === Policy.AlphaFair) {
+            if (latestRate === 0n) {
+                return 0n;
+            }
+            const penalty = userThroughput > 1n ? (this.beta * log2(userThroughput)) / 100n : 0n;
+            return SCORE_OFFSET + log2(latestRate) - penalty;
+        }
+        let weight = WEIGHT_SCALE;
+        if (this.policy === Policy.WeightedPF && this.weights[n] !== 0n) {
+            weight = this.weights[n];
+        }
+        return userThroughput > 0n
+            ? (latestRate * 1000000000n * weight) / (userThroughput * WEIGHT_SCALE)
+            : (latestRate * 100000000n * weight) / WEIGHT_SCALE;
+    }
+
+    /**
+     * Throughput of users scheduled for the first time since their registration, mirrors
+     * SchedulingLogic.initializeThroughputs
+     */
+    initializeThroughputs(activeUsers) {
+        let total = 0n;
+        let count = 0n;
+        const newcomers = [];
+        for (const n of activeUsers) {
+            if (!this.throughputInitialized[n] || this.throughputRegistration[n] !== this.membership.registration('user', n)) {
+                newcomers.push(n);
+            } else {
+                total += this.throughput[n];
+                count++;
+            }
+        }
+        const initial = count > 0n ? total / count : 0n;
+        for (const n of newcomers) {
+            this.throughput[n] = initial;
+            this.throughputRemainder[n] = 0n;
+            this.throughputInitialized[n] = true;
+            this.throughputRegistration[n] = this.membership.registration('user', n);
+        }
+    }
+
+    /**
+     * Scheduling, mirrors SchedulingLogic.schedule
+     * @returns {Object} Selected user index per operator and block (no blocks for inactive operators), and new throughputs
+     */
+    updateScheduling() {
+        this.round++;
+        const activeUsers = this.membership.active('user');
+        const activeOperators = this.membership.active('operator');
+        this.initializeThroughputs(activeUsers);
+        const candidates = activeUsers.filter(n => this.schedulable[n] && this.hasDemand(n));
+        this.servedBits.forEach(row => row.fill(0n));
+        // Inactive operators keep no allocation, like SchedulingLogic.clearInactiveOperators
+        for (let k = 0; k < this.operatorsCount; k++) {
+            if (!activeOperators.includes(k)) {
+                this.selectedUser[k].fill(-1);
+                this.allocatedRate[k].fill(0n);
+            }
+        }
+
+        // User selection, independently on each resource block
+        let offset = 0;
+        for (const k of activeOperators) {
+            const selected = this.selectedUser[k].fill(-1);
+            const allocated = this.allocatedRate[k].fill(0n);
+            if (this.policy === Policy.RoundRobin) {
+                for (let b = 0; b < this.blocks[k] && candidates.length > 0; b++) {
+                    const n = candidates[(this.roundRobinCursor + offset + b) % candidates.length];
+                    if (this.hasDemand(n) && this.reported[n][k]) {
+                        selected[b] = n;
+                        allocated[b] = this.blockRate[n][k][b];
+                    }
+                }
+                offset += this.blocks[k];
+                this.serveOperator(k);
+                continue;
+            }
+            const maxPriority = new Array(this.blocks[k]).fill(0n);
+            for (const n of candidates) {
+                if (!this.hasDemand(n) || !this.reported[n][k]) {
+                    continue;
+                }
+                for (let b = 0; b < this.blocks[k]; b++) {
+                    const latestRate = this.blockRate[n][k][b];
+                    const priority = this.calculatePriority(n, latestRate);
+                    if (priority > maxPriority[b]) {
+                        maxPriority[b] = priority;
+                        selected[b] = n;
+                        allocated[b] = latestRate;
+                    }
+                }
+            }
+            offset += this.blocks[k];
+            this.serveOperator(k);
+        }
+
+        // Throughput update with the served rate and remainder carry
+        for (const n of activeUsers) {
+            let totalServed = 0n;
+            for (const k of activeOperators) {
+                totalServed += this.servedBits[n][k];
+            }
+            const numerator = (ALPHA - 1n) * this.throughput[n] + totalServed * PRECISION / this.slotDuration + this.throughputRemainder[n];
+            this.throughput[n] = numerator / ALPHA;
+            this.throughputRemainder[n] = numerator % ALPHA;
+        }
+        if (this.policy === Policy.RoundRobin) {
+            this.roundRobinCursor++;
+        }
+        // Reports are only valid for the round they were submitted in
+        this.reported.forEach(row => row.fill(false));
+
+        const selectedUsers = this.selectedUser.map((row, k) => (activeOperators.includes(k) ? row.slice() : []));
+        return { selectedUsers, throughputs: this.throughput.slice() };
+    }
+}
+
+class DivergenceError extends Error {
+    constructor(round, field, expected, actual) {
+        super(`Round ${round}: ${field} diverged (simulator ${expected}, contract ${actual})`);
+        this.name = 'DivergenceError';
+        this.round = round;
+        this.field = field;
+        this.expected = expected;
+        this.actual = actual;
+    }
+}
+
+/**
+ * Round-by-round differential check of the contracts against the simulator
+ */
+class DifferentialChecker {
+    /**
+     * @param {Object} scenario - Normalized scenario, as in PFSimulator (participants carry their addresses)
+     * @param {Membership} [membership] - Registered and active participants, updated by the caller as the run goes
+     */
+    constructor(scenario, membership) {
+        this.users = scenario.users.map(u => u.address);
+        this.operators = scenario.operators.map(o => o.address);
+        this.simulator = new PFSimulator(scenario, membership);
+        this.roundsChecked = 0;
+    }
+
+    /**
+     * Feed a report that was also sent to the status reporting contract
+     */
+    recordReport(userIndex, operatorIndex, csi) {
+        this.simulator.submitReport(userIndex, operatorIndex, csi);
+    }
+
+    /**
+     * Follow a policy change of a scheduling logic upgrade
+     */
+    setPolicy(policy) {
+        this.simulator.setPolicy(policy);
+    }
+
+    /**
+     * Feed traffic arrivals that were also recorded by the scheduling contract
+     */
+    recordDemand(userIndex, bits) {
+        this.simulator.addDemand(userIndex, bits);
+    }
+
+    /**
+     * Run the simulated round and compare with the mined contract state
+     * @param {number} round - Round number
+     * @param {Object} schedulingContract - Scheduling contract instance
+     * @param {Object} [settlementContract] - Settlement contract, to follow suspensions for the next round
+     * @throws {DivergenceError} On the first mismatch
+     */
+    async checkRound(round, schedulingContract, settlementContract) {
+        const { selectedUsers, throughputs } = this.simulator.updateScheduling();
+
+        // Inactive operators are not scheduled and keep no allocation: every block reads as idle
+        for (let k = 0; k < this.operators.length; k++) {
+            const selected = selectedUsers[k].length > 0 ? selectedUsers[k] : this.simulator.selectedUser[k];
+            for (let b = 0; b < selected.length; b++) {
+                const actual = (await schedulingContract.blockUser(this.operators[k], b)).toLowerCase();
+                const expectedIndex = selected[b];
+                const expected = expectedIndex >= 0 ? this.users[expectedIndex].toLowerCase() : '0x' + '0'.repeat(40);
+                if (actual !== expected) {
+                    throw new DivergenceError(round, `blockUser[Operator ${k + 1}][${b}]`, expected, actual);
+                }
+            }
+        }
+        for (let n = 0; n < this.users.length; n++) {
+            const actual = BigInt((await schedulingContract.throughput(this.users[n])).toString());
+            if (actual !== throughputs[n]) {
+                throw new DivergenceError(round, `throughput[User ${n + 1}]`, throughputs[n], actual);
+            }
+            const remainder = BigInt((await schedulingContract.throughputRemainder(this.users[n])).toString());
+            if (remainder !== this.simulator.throughputRemainder[n]) {
+                throw new DivergenceError(round, `throughputRemainder[User ${n + 1}]`, this.simulator.throughputRemainder[n], remainder);
+            }
+            const backlog = BigInt((await schedulingContract.backlog(this.users[n])).toString());
+            if (backlog !== this.simulator.backlog[n]) {
+                throw new DivergenceError(round, `backlog[User ${n + 1}]`, this.simulator.backlog[n], backlog);
+            }
+        }
+        this.roundsChecked++;
+
+        // Payments are not modelled; take suspensions for the next round from the contract
+        if (settlementContract) {
+            for (let n = 0; n < this.users.length; n++) {
+                this.simulator.schedulable[n] = await settlementContract.isSchedulable(this.users[n]);
+            }
+        }
+    }
+}
+
+/**
+ * Run a whole scenario off-chain and return the throughput samples, fairness metrics and traffic summary
+ * @param {Object} [options] - CSI source options { rng, replay, record }, as in CSISource, and the
+ *                             random source of the traffic arrivals (trafficRng)
+ */
+function simulateScenario(scenario, rounds = scenario.rounds, options = {}) {
+    const custom = scenario.upgrades.find(u => u.logic !== DEFAULT_SCHEDULING_LOGIC);
+    if (custom) {
+        throw new Error(`the simulator only models ${DEFAULT_SCHEDULING_LOGIC}, not the ${custom.logic} upgrade of round ${custom.round}`);
+    }
+    const membership = new Membership(scenario.users.length, scenario.operators.length, scenario.lifecycle);
+    const simulator = new PFSimulator(scenario, membership);
+    const csiSource = new CSISource(scenario, options);
+    const trafficSource = new TrafficSource(scenario, options.trafficRng);
+    const queues = new QueueTracker(scenario.users.map(u => u.traffic), scenario.schedulingInterval);
+    const fairness = new FairnessTracker(scenario.users.length, scenario.operators.length);
+    const samples = [{ round: 0, throughputs: new Array(scenario.users.length).fill(0) }];
+    const metrics = [fairness.sample(0, samples[0].throughputs)];
+    for (let round = 1; round <= rounds; round++) {
+        const csi = csiSource.nextRound();
+        membership.eventsAt(round).forEach(event => membership.apply(event));
+        scenario.upgrades.filter(u => u.round === round && u.policy).forEach(u => simulator.setPolicy(u.policy));
+        trafficSource.nextRound(n => membership.isRegistered('user', n)).forEach((bits, n) => {
+            simulator.addDemand(n, bits);
+            queues.arrive(n, round, bits);
+        });
+        const backlogs = simulator.backlog.slice();
+        for (let n = 0; n < scenario.users.length; n++) {
+            for (let k = 0; k < scenario.operators.length; k++) {
+                // Only active users report, and only to active operators
+                if (csi[k][n] && membership.isActive('user', n) && membership.isActive('operator', k)) {
+                    simulator.submitReport(n, k, csi[k][n]);
+                }
+            }
+        }
+        const { selectedUsers } = simulator.updateScheduling();
+        fairness.recordRound(selectedUsers, simulator.allocatedRate);
+        backlogs.forEach((bits, n) => {
+            if (trafficSource.queued(n)) {
+                queues.serve(n, round, Number(bits - simulator.backlog[n]));
+            }
+        });
+        queues.endRound();
+        if (round % scenario.sampleInterval === 0) {
+            samples.push({ round, throughputs: simulator.throughput.map(Number) });
+            metrics.push(fairness.sample(round, simulator.throughput));
+        }
+    }
+    csiSource.close();
+    return { simulator, samples, metrics, fairness: fairness.summary(simulator.throughput), traffic: queues.summary() };
+}
+
+/**
+ * Scenario fields saved with the throughput samples, the viewer computes the theoretical steady state from them
+ * (private keys and proofs are left out)
+ * @param {Object} scenario - Loaded scenario
+ * @returns {Object} { snr, users, operators, resourceBlocks, bandwidth, rateEstimation, trafficModels, alpha }
+ */
+function resultScenario(scenario) {
+    const participant = ({ name, address }) => ({ name, address });
+    return {
+        snr: scenario.snr,
+        users: scenario.users.map(participant),
+        operators: scenario.operators.map(participant),
+        resourceBlocks: scenario.operators.map(o => o.resourceBlocks),
+        bandwidth: scenario.operators.map(o => o.bandwidth),
+        rateEstimation: scenario.rateEstimation.mode,
+        trafficModels: scenario.users.map(u => u.traffic.model),
+        alpha: Number(ALPHA)
+    };
+}
+
+// When run directly, simulate the scenario off-chain and save the throughput samples
+if (require.main === module) {
+    const { loadScenario, resolveSeed, readOption } = require('./scenario-loader');
+    const { createRandom, randomSeed } = require('./seeded-random');
+    try {
+        const scenario = loadScenario();
+        const seed = resolveSeed(scenario) || randomSeed();
+        const replay = readOption('replay-trace', 'BCPFS_REPLAY_TRACE');
+        const record = readOption('record-trace', 'BCPFS_RECORD_TRACE');
+        const started = Date.now();
+        const { simulator, samples, metrics, fairness, traffic } = simulateScenario(scenario, scenario.rounds,
+            { rng: createRandom(seed), trafficRng: trafficRandom(seed), replay, record });
+        console.log(`🧮 Simulated ${scenario.rounds} rounds of ${scenario.name} (${scenario.policy.name}, ${replay ? `trace ${replay}` : `seed ${seed}`}) in ${((Date.now() - started) / 1000).toFixed(2)} s\n`);
+        console.log("📈 Final user throughput (Kbps):\n");
+        scenario.users.forEach((user, i) => {
+            console.log(`  ${user.name} (${user.address}): ${(Number(simulator.throughput[i]) / 1e8).toFixed(8)}`);
+        });
+        printFairnessSummary(fairness, scenario.users.map(u => u.name));
+        if (traffic.some(t => t.model !== 'full-buffer')) {
+            printTrafficSummary(traffic, scenario.users.map(u => u.name));
+        }
+        const out = {
+            scenario: scenario.name,
+            source: 'simulator',
+            policy: scenario.policy,
+            upgrades: scenario.upgrades,
+            channel: replay ? { model: 'trace', file: replay } : scenario.channel,
+            seed,
+            totalRounds: scenario.rounds,
+            interval: scenario.sampleInterval,
+            usersCount: scenario.users.length,
+            operatorsCount: scenario.operators.length,
+            ...resultScenario(scenario),
+            fairness,
+            traffic,
+            metrics,
+            samples
+        };
+        const outPath = path.join(__dirname, 'reports', 'throughput_results_sim.json');
+        if (!fs.existsSync(path.dirname(outPath))) {
+            fs.mkdirSync(path.dirname(outPath), { recursive: true });
+        }
+        fs.writeFileSync(outPath, JSON.stringify(out, null, 2), 'utf-8');
+        console.log(`\n💾 Sampling data saved: reports/throughput_results_sim.json`);
+    } catch (e) {
+        console.error(`❌ ${e.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { PFSimulator, DifferentialChecker, DivergenceError, Policy, RateMode, rateEstimation, blockRates, log2, simulateScenario, resultScenario, ALPHA, PRECISION };
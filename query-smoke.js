@@ -0,0 +1,78 @@
+// query-smoke.js - Smoke Run of Every event-query.js Command on an Event Index
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runQuery, printResult, EventStore } = require('./event-query');
+const { loadEvents, DEFAULT_EVENTS_FILE } = require('./event-indexer');
+const { readOption } = require('./scenario-loader');
+
+/**
+ * Queries of every command, on the first user, operator and round of the index
+ */
+function smokeQueries(file, out) {
+    const store = new EventStore(loadEvents(file));
+    const [user] = store.participants.users.keys();
+    const [operator] = store.participants.operators.keys();
+    const [round] = store.events('Scheduled').map(r => r.round);
+    if (user === undefined || operator === undefined || round === undefined) {
+        throw new Error(`${file} needs at least one user, one operator and one scheduled round`);
+    }
+    return [
+        ['summary', {}],
+        ['served', { operator }],
+        ['rates', { user }],
+        ['rates', { user, operator }],
+        ['payments', {}],
+        ['payments', { user, from: round, to: round }],
+        ['user', { user }],
+        ['round', { round }],
+        ['export', { out, format: 'csv' }],
+        ['export', { out, format: 'json' }]
+    ];
+}
+
+/**
+ * Run and print every query, reporting each failure
+ * @param {string} file - Event index (JSON lines)
+ * @returns {string[]} Failed queries with their error
+ */
+function runSmoke(file) {
+    const out = fs.mkdtempSync(path.join(os.tmpdir(), 'bcpfs-query-'));
+    const failures = [];
+    try {
+        for (const [command, options] of smokeQueries(file, out)) {
+            const label = [command, ...Object.entries(options).filter(([name]) => name !== 'out').map(([name, value]) => `--${name} ${value}`)].join(' ');
+            console.log(`\n▶️  ${label}\n`);
+            try {
+                const result = runQuery(command, { ...options, file });
+                printResult(command, result);
+                // --json prints the same result
+                JSON.stringify(result);
+            } catch (error) {
+                console.error(`❌ ${label}: ${error.message}`);
+                failures.push(`${label}: ${error.message}`);
+            }
+        }
+    } finally {
+        fs.rmSync(out, { recursive: true, force: true });
+    }
+    return failures;
+}
+
+if (require.main === module) {
+    const file = readOption('file', 'BCPFS_INDEX_EVENTS') || DEFAULT_EVENTS_FILE;
+    try {
+        const failures = runSmoke(file);
+        if (failures.length > 0) {
+            console.error(`\n❌ ${failures.length} queries failed on ${file}:\n` + failures.map(f => `  - ${f}`).join('\n'));
+            process.exitCode = 1;
+        } else {
+            console.log(`\n✅ Every query command ran on ${file}`);
+        }
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { runSmoke };
@@ -0,0 +1,122 @@
+// registration-proofs.js - Identity Proofs for RegistrationContract
+const { ethers } = require('ethers');
+
+// Must match the domain and type hash of RegistrationContract
+const DOMAIN_NAME = 'BC-PFS Registration';
+const DOMAIN_VERSION = '1';
+const REGISTRATION_TYPES = {
+    Registration: [
+        { name: 'account', type: 'address' },
+        { name: 'isOperator', type: 'bool' },
+        { name: 'expiry', type: 'uint256' }
+    ]
+};
+
+/**
+ * Allowlist leaf of an account and role, mirrors RegistrationContract.allowlistLeaf
+ */
+function allowlistLeaf(account, isOperator) {
+    return ethers.utils.keccak256(ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(['address', 'bool'], [account, isOperator])));
+}
+
+function hashPair(a, b) {
+    return ethers.BigNumber.from(a).lt(b)
+        ? ethers.utils.keccak256(ethers.utils.concat([a, b]))
+        : ethers.utils.keccak256(ethers.utils.concat([b, a]));
+}
+
+/**
+ * Sorted-pair Merkle tree; a node without a sibling moves up unchanged
+ * @param {string[]} leaves - Leaf hashes
+ * @returns {string[][]} Layers, from the leaves to the root
+ */
+function merkleLayers(leaves) {
+    const layers = [leaves];
+    while (layers[layers.length - 1].length > 1) {
+        const layer = layers[layers.length - 1];
+        const next = [];
+        for (let i = 0; i < layer.length; i += 2) {
+            next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+        }
+        layers.push(next);
+    }
+    return layers;
+}
+
+/**
+ * Siblings from a leaf up to the root, as checked by RegistrationContract.verifyMerkleProof
+ */
+function merkleProof(layers, index) {
+    const proof = [];
+    for (let level = 0; level < layers.length - 1; level++) {
+        const sibling = index ^ 1;
+        if (sibling < layers[level].length) {
+            proof.push(layers[level][sibling]);
+        }
+        index >>= 1;
+    }
+    return proof;
+}
+
+/**
+ * Builds the identity proofs of the scenario's participants for the registration mode of the scenario
+ */
+class RegistrationProver {
+    /**
+     * @param {Object} scenario - Normalized scenario (registration settings and participants)
+     * @param {Object} registrationContract - Deployed registration contract
+     * @param {number} chainId - Chain id of the network
+     */
+    constructor(scenario, registrationContract, chainId) {
+        this.mode = scenario.registration.mode;
+        this.attestationTtl = scenario.registration.attestationTtl;
+        this.domain = {
+            name: DOMAIN_NAME,
+            version: DOMAIN_VERSION,
+            chainId,
+            verifyingContract: registrationContract.address
+        };
+        this.registrar = scenario.registration.registrar ? new ethers.Wallet(scenario.registration.registrar.privateKey) : null;
+        // Every participant of the scenario is on the allowlist, including those joining later
+        this.allowlist = [
+            ...scenario.operators.map(o => ({ address: o.address, isOperator: true })),
+            ...scenario.users.map(u => ({ address: u.address, isOperator: false }))
+        ];
+        this.layers = merkleLayers(this.allowlist.map(entry => allowlistLeaf(entry.address, entry.isOperator)));
+    }
+
+    /**
+     * Merkle root of the allowlist
+     */
+    get allowlistRoot() {
+        return this.layers[this.layers.length - 1][0];
+    }
+
+    /**
+     * Identity proof of a participant
+     * @param {Object} participant - Scenario user or operator
+     * @param {boolean} isOperator - Whether it registers as an operator
+     * @param {number} now - Current block timestamp (s), attestations expire attestationTtl later
+     * @returns {Promise<string>} Proof bytes for register()
+     */
+    async proof(participant, isOperator, now) {
+        switch (this.mode) {
+            case 'attestation': {
+                const value = { account: participant.address, isOperator, expiry: now + this.attestationTtl };
+                const signature = await this.registrar._signTypedData(this.domain, REGISTRATION_TYPES, value);
+                return ethers.utils.defaultAbiCoder.encode(['uint256', 'bytes'], [value.expiry, signature]);
+            }
+            case 'allowlist': {
+                const index = this.allowlist.findIndex(entry => entry.isOperator === isOperator
+                    && entry.address.toLowerCase() === participant.address.toLowerCase());
+                return ethers.utils.defaultAbiCoder.encode(['bytes32[]'], [merkleProof(this.layers, index)]);
+            }
+            case 'self':
+                return '0x';
+            default:
+                return participant.proof;
+        }
+    }
+}
+
+module.exports = { RegistrationProver, allowlistLeaf, merkleLayers, merkleProof };
@@ -0,0 +1,89 @@
+// report-signer.js - EIP-712 Signing of CSI Reports
+const { ethers } = require('ethers');
+
+// Must match the domain and type hash of StatusReportingContract
+const DOMAIN_NAME = 'BC-PFS StatusReporting';
+const DOMAIN_VERSION = '1';
+const REPORT_TYPES = {
+    Report: [
+        { name: 'user', type: 'address' },
+        { name: 'operator', type: 'address' },
+        { name: 'round', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'csi', type: 'bytes' }
+    ]
+};
+
+/**
+ * Signs reports on behalf of the scenario's users (and operators, for countersignatures)
+ * and tracks the next nonce of every user-operator pair off-chain
+ */
+class ReportSigner {
+    /**
+     * @param {Object} scenario - Normalized scenario (participants carry their private keys)
+     * @param {Object} statusReportingContract - Deployed status reporting contract
+     * @param {number} chainId - Chain id of the network
+     */
+    constructor(scenario, statusReportingContract, chainId) {
+        this.domain = {
+            name: DOMAIN_NAME,
+            version: DOMAIN_VERSION,
+            chainId,
+            verifyingContract: statusReportingContract.address
+        };
+        this.countersign = scenario.reports.operatorSignature;
+        this.operators = scenario.operators.map(o => o.address);
+        this.userWallets = scenario.users.map(u => new ethers.Wallet(u.privateKey));
+        this.operatorWallets = scenario.operators.map(o => (o.privateKey ? new ethers.Wallet(o.privateKey) : null));
+        this.nonces = scenario.users.map(() => new Array(scenario.operators.length).fill(0));
+    }
+
+    /**
+     * Sign the next report of a user to an operator
+     * @param {number} userIndex - User index
+     * @param {number} operatorIndex - Operator index
+     * @param {number} round - Round the report is for (only accepted in that round)
+     * @param {Uint8Array|string} csi - CSI data
+     * @returns {Promise<Object>} { user, operator, round, nonce, csi, userSignature, operatorSignature }
+     */
+    async sign(userIndex, operatorIndex, round, csi) {
+        const value = {
+            user: this.userWallets[userIndex].address,
+            operator: this.operators[operatorIndex],
+            round,
+            nonce: this.nonces[userIndex][operatorIndex]++,
+            csi: ethers.utils.hexlify(csi)
+        };
+        const userSignature = await this.userWallets[userIndex]._signTypedData(this.domain, REPORT_TYPES, value);
+        const operatorSignature = this.countersign
+            ? await this.operatorWallets[operatorIndex]._signTypedData(this.domain, REPORT_TYPES, value)
+            : '0x';
+        return { ...value, userSignature, operatorSignature };
+    }
+}
+
+// StatusReportingContract.ReportStatus, in order
+const REPORT_STATUSES = ['accepted', 'zero-user', 'stale-nonce', 'invalid-user-signature', 'invalid-operator-signature', 'invalid-csi', 'wrong-round'];
+// Bytes per entry of ReportBatchSubmitted: user (20), operator (20), status (1), rate (8)
+const PACKED_ENTRY_BYTES = 49;
+
+/**
+ * Decode the packed entries of a ReportBatchSubmitted event
+ * @param {string} reports - Packed reports of the event
+ * @returns {Array<Object>} { user, operator, status, rate } per report, in batch order
+ */
+function decodeReportBatch(reports) {
+    const bytes = ethers.utils.arrayify(reports);
+    const decoded = [];
+    for (let offset = 0; offset + PACKED_ENTRY_BYTES <= bytes.length; offset += PACKED_ENTRY_BYTES) {
+        decoded.push({
+            user: ethers.utils.getAddress(ethers.utils.hexlify(bytes.subarray(offset, offset + 20))),
+            operator: ethers.utils.getAddress(ethers.utils.hexlify(bytes.subarray(offset + 20, offset + 40))),
+            status: REPORT_STATUSES[bytes[offset + 40]],
+            rate: ethers.BigNumber.from(bytes.subarray(offset + 41, offset + PACKED_ENTRY_BYTES)).toNumber()
+        });
+    }
+    return decoded;
+}
+
+module.exports = { ReportSigner, REPORT_TYPES, DOMAIN_NAME, DOMAIN_VERSION, REPORT_STATUSES, decodeReportBatch };
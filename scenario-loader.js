@@ -0,0 +1,617 @@
+// scenario-loader.js - Experiment Scenario Loading and Validation
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { ethers } = require('ethers');
+const { derivePrivateKey } = require('./network-accounts');
+const { validateChannel, initialPathLossSNR } = require('./channel-models');
+const { validateLifecycle } = require('./participant-lifecycle');
+const { validateTraffic } = require('./traffic-models');
+
+const DEFAULT_SCENARIO = path.join(__dirname, 'scenarios', 'default.json');
+
+// Insufficient funds behaviors, in the order of the SettlementContract.InsufficientFundsPolicy enum
+const INSUFFICIENT_FUNDS_POLICIES = ['skip', 'suspend'];
+
+// Scheduling policy names, in the order of the SchedulingContract.Policy enum
+const SCHEDULING_POLICIES = ['proportional-fair', 'max-rate', 'round-robin', 'alpha-fair', 'weighted-pf'];
+
+// Scheduling logic deployed with the platform, and the default logic of an upgrade
+const DEFAULT_SCHEDULING_LOGIC = 'SchedulingLogic';
+// Fields of a scheduling logic upgrade
+const UPGRADE_FIELDS = ['round', 'logic', 'policy'];
+
+// Identity verification of registrations, in the order of the RegistrationContract.VerificationMode enum
+const REGISTRATION_MODES = ['proof-length', 'attestation', 'allowlist', 'self'];
+
+// Resource blocks an operator may declare (SchedulingContract.MAX_RESOURCE_BLOCKS)
+const MAX_RESOURCE_BLOCKS = 16;
+
+// Operator bandwidth in kHz (SchedulingContract.DEFAULT_BANDWIDTH and MAX_BANDWIDTH)
+const DEFAULT_BANDWIDTH = 1000;
+const MAX_BANDWIDTH = 100000;
+
+// Rate estimation modes, in the order of the StatusReportingContract.RateMode enum
+const RATE_MODES = ['linear', 'shannon', 'mcs'];
+
+// Default MCS table of the mcs rate mode: LTE 4-bit CQI table (36.213 Table 7.2.3-1) with the usual SNR thresholds
+const LTE_CQI_TABLE = [
+    { snrDb: -6.7, efficiency: 0.1523 }, { snrDb: -4.7, efficiency: 0.2344 }, { snrDb: -2.3, efficiency: 0.3770 },
+    { snrDb: 0.2, efficiency: 0.6016 }, { snrDb: 2.4, efficiency: 0.8770 }, { snrDb: 4.3, efficiency: 1.1758 },
+    { snrDb: 5.9, efficiency: 1.4766 }, { snrDb: 8.1, efficiency: 1.9141 }, { snrDb: 10.3, efficiency: 2.4063 },
+    { snrDb: 11.7, efficiency: 2.7305 }, { snrDb: 14.1, efficiency: 3.3223 }, { snrDb: 16.3, efficiency: 3.9023 },
+    { snrDb: 18.7, efficiency: 4.5234 }, { snrDb: 21.0, efficiency: 5.1152 }, { snrDb: 22.7, efficiency: 5.5547 }
+];
+// Tariff models, in the order of the SettlementContract.TariffModel enum
+const TARIFF_MODELS = ['flat', 'per-bit', 'tiered', 'surge'];
+// SettlementContract.MAX_TARIFF_TIERS
+const MAX_TARIFF_TIERS = 8;
+
+// StatusReportingContract.MAX_MCS_LEVELS and MAX_EFFICIENCY (bit/s/Hz)
+const MAX_MCS_LEVELS = 32;
+const MAX_EFFICIENCY = 100;
+
+class ScenarioError extends Error {
+    constructor(file, problems) {
+        super(`Invalid scenario ${file}:\n` + problems.map(p => `  - ${p}`).join('\n'));
+        this.name = 'ScenarioError';
+        this.file = file;
+        this.problems = problems;
+    }
+}
+
+/**
+ * Read a run option from "--<name> <value>", "--<name>=<value>" or the environment variable
+ * (the hardhat CLI does not forward unknown arguments, so every option has an environment variable)
+ * @returns {string|undefined} Option value
+ */
+function readOption(name, envName, argv = process.argv, env = process.env) {
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === `--${name}` && argv[i + 1]) {
+            return argv[i + 1];
+        }
+        if (argv[i].startsWith(`--${name}=`)) {
+            return argv[i].slice(name.length + 3);
+        }
+    }
+    return env[envName] || undefined;
+}
+
+/**
+ * Resolve the scenario file from "--scenario <file>", "--scenario=<file>" or BCPFS_SCENARIO
+ */
+function resolveScenarioPath(argv = process.argv, env = process.env) {
+    const file = readOption('scenario', 'BCPFS_SCENARIO', argv, env);
+    return file ? path.resolve(file) : DEFAULT_SCENARIO;
+}
+
+/**
+ * Resolve the random seed: "--seed <value>" or BCPFS_SEED, then the scenario's "seed"
+ * @returns {string|undefined} Seed, undefined for an unseeded run
+ */
+function resolveSeed(scenario, argv = process.argv, env = process.env) {
+    const seed = readOption('seed', 'BCPFS_SEED', argv, env);
+    if (seed !== undefined) {
+        return seed;
+    }
+    return scenario.seed;
+}
+
+/**
+ * Parse a JSON or YAML scenario file
+ */
+function readScenarioFile(file) {
+    if (!fs.existsSync(file)) {
+        throw new ScenarioError(file, ['file does not exist']);
+    }
+    const text = fs.readFileSync(file, 'utf8');
+    try {
+        return /\.ya?ml$/i.test(file) ? yaml.load(text) : JSON.parse(text);
+    } catch (e) {
+        throw new ScenarioError(file, [`parse error: ${e.message}`]);
+    }
+}
+
+function isPositiveInteger(value) {
+    return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * Resolve the address and signing key of a participant: "account" (index of a network
+ * account), "privateKey", or a bare "address" without a key
+ */
+function resolveIdentity(entry, where, problems) {
+    if (entry.account !== undefined) {
+        if (!Number.isInteger(entry.account) || entry.account < 0) {
+            problems.push(`${where}.account: must be a non-negative account index`);
+            return null;
+        }
+        const privateKey = derivePrivateKey(entry.account);
+        return { address: ethers.utils.computeAddress(privateKey), privateKey };
+    }
+    if (entry.privateKey !== undefined) {
+        if (!ethers.utils.isHexString(entry.privateKey, 32)) {
+            problems.push(`${where}.privateKey: must be a 32-byte 0x-prefixed hex string`);
+            return null;
+        }
+        return { address: ethers.utils.computeAddress(entry.privateKey), privateKey: entry.privateKey };
+    }
+    if (!ethers.utils.isAddress(entry.address || '')) {
+        problems.push(`${where}: needs "account", "privateKey" or a valid "address"`);
+        return null;
+    }
+    return { address: ethers.utils.getAddress(entry.address), privateKey: null };
+}
+
+/**
+ * Validate participants (operators or users), collecting problems
+ * @param {string|null} requireKey - What the participants must be able to sign, null if they need no key
+ * @param {boolean} requireProof - Whether a "proof" is needed (registration mode proof-length)
+ * @returns {Object[]} Normalized participants { name, address, proof, privateKey, position },
+ *                     operators also get their resourceBlocks, bandwidth (kHz) and tariff
+ *                     (users get their traffic in validateScenario)
+ */
+function validateParticipants(list, key, problems, seen, requireKey, requireProof) {
+    if (!Array.isArray(list) || list.length === 0) {
+        problems.push(`${key}: must be a non-empty array`);
+        return [];
+    }
+    const prefix = key === 'operators' ? 'Operator' : 'User';
+    return list.map((entry, i) => {
+        const where = `${key}[${i}]`;
+        if (!entry || typeof entry !== 'object') {
+            problems.push(`${where}: must be an object`);
+            return null;
+        }
+        const identity = resolveIdentity(entry, where, problems);
+        if (identity) {
+            const lower = identity.address.toLowerCase();
+            if (seen.has(lower)) {
+                problems.push(`${where}: address ${identity.address} is already used by ${seen.get(lower)}`);
+            } else {
+                seen.set(lower, where);
+            }
+            if (requireKey && !identity.privateKey) {
+                problems.push(`${where}: needs "account" or "privateKey" ${requireKey}`);
+            }
+        }
+        if ((requireProof || entry.proof !== undefined) && (!ethers.utils.isHexString(entry.proof || '') || entry.proof.length <= 2)) {
+            problems.push(`${where}.proof: must be a non-empty 0x-prefixed hex string`);
+        }
+        if (entry.name !== undefined && typeof entry.name !== 'string') {
+            problems.push(`${where}.name: must be a string`);
+        }
+        const participant = {
+            name: entry.name || `${prefix} ${i + 1}`,
+            address: identity ? identity.address : null,
+            proof: entry.proof,
+            privateKey: identity ? identity.privateKey : null,
+            position: entry.position || null
+        };
+        if (key === 'operators') {
+            participant.resourceBlocks = entry.resourceBlocks === undefined ? 1 : entry.resourceBlocks;
+            if (!isPositiveInteger(participant.resourceBlocks) || participant.resourceBlocks > MAX_RESOURCE_BLOCKS) {
+                problems.push(`${where}.resourceBlocks: must be an integer between 1 and ${MAX_RESOURCE_BLOCKS}`);
+            }
+            participant.bandwidth = entry.bandwidth === undefined ? DEFAULT_BANDWIDTH : entry.bandwidth;
+            if (!isPositiveInteger(participant.bandwidth) || participant.bandwidth > MAX_BANDWIDTH) {
+                problems.push(`${where}.bandwidth: must be an integer between 1 and ${MAX_BANDWIDTH} (kHz)`);
+            } else if (participant.bandwidth < participant.resourceBlocks) {
+                problems.push(`${where}.bandwidth: must be at least 1 kHz per resource block`);
+            }
+            participant.tariff = validateTariff(entry.tariff, `${where}.tariff`, problems);
+            if (entry.traffic !== undefined) {
+                problems.push(`${where}.traffic: only users have traffic`);
+            }
+        } else {
+            if (entry.resourceBlocks !== undefined) {
+                problems.push(`${where}.resourceBlocks: only operators have resource blocks`);
+            }
+            if (entry.bandwidth !== undefined) {
+                problems.push(`${where}.bandwidth: only operators have a bandwidth`);
+            }
+            if (entry.tariff !== undefined) {
+                problems.push(`${where}.tariff: only operators have a tariff`);
+            }
+        }
+        return participant;
+    });
+}
+
+/**
+ * Validate the tariff an operator publishes, in the shape of SettlementContract.Tariff (prices in wei)
+ * @returns {Object|null} { model, id, price, tierVolumes, tierPrices, surgeThreshold, surgeStep, maxSurge },
+ *                        null for the default tariff
+ */
+function validateTariff(raw, where, problems) {
+    if (raw === undefined) {
+        return null;
+    }
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        problems.push(`${where}: must be an object { model, price, tiers, surge }`);
+        return null;
+    }
+    const id = TARIFF_MODELS.indexOf(raw.model);
+    if (id < 0) {
+        problems.push(`${where}.model: "${raw.model}" is not one of ${TARIFF_MODELS.join(', ')}`);
+        return null;
+    }
+    const wei = (value, field) => {
+        if (!/^\d+$/.test(String(value))) {
+            problems.push(`${where}.${field}: must be a non-negative integer amount of wei`);
+            return '0';
+        }
+        return String(value);
+    };
+    const tariff = {
+        model: raw.model,
+        id,
+        price: wei(raw.price, 'price'),
+        tierVolumes: [],
+        tierPrices: [],
+        surgeThreshold: 0,
+        surgeStep: 0,
+        maxSurge: 0
+    };
+    if (raw.model === 'tiered') {
+        const tiers = raw.tiers === undefined ? [] : raw.tiers;
+        if (!Array.isArray(tiers) || tiers.length > MAX_TARIFF_TIERS) {
+            problems.push(`${where}.tiers: must be an array of up to ${MAX_TARIFF_TIERS} { volume, price } tiers`);
+        } else {
+            tiers.forEach((tier, i) => {
+                const volume = tier && tier.volume;
+                if (!isPositiveInteger(volume) || (i > 0 && volume <= (tiers[i - 1] || {}).volume)) {
+                    problems.push(`${where}.tiers[${i}].volume: must be a positive number of bits, larger than the previous tier`);
+                }
+                tariff.tierVolumes.push(String(volume));
+                tariff.tierPrices.push(wei(tier && tier.price, `tiers[${i}].price`));
+            });
+        }
+    } else if (raw.tiers !== undefined) {
+        problems.push(`${where}.tiers: only tiered tariffs have tiers`);
+    }
+    if (raw.model === 'surge') {
+        const surge = raw.surge || {};
+        tariff.surgeThreshold = surge.threshold === undefined ? 0 : surge.threshold;
+        tariff.surgeStep = surge.step === undefined ? 10 : surge.step;
+        tariff.maxSurge = surge.max === undefined ? 0 : surge.max;
+        for (const field of ['surgeThreshold', 'surgeStep', 'maxSurge']) {
+            if (!Number.isInteger(tariff[field]) || tariff[field] < 0) {
+                problems.push(`${where}.surge: threshold (users), step and max (percent) must be non-negative integers`);
+                break;
+            }
+        }
+    } else if (raw.surge !== undefined) {
+        problems.push(`${where}.surge: only surge tariffs have surge settings`);
+    }
+    return tariff;
+}
+
+/**
+ * Validate the identity verification of registrations; the registrar (default: account 0, the deployer)
+ * signs attestations, which stay valid for attestationTtl seconds
+ * @returns {Object} { mode, id, registrar: { address, privateKey } | null, attestationTtl }
+ */
+function validateRegistration(raw, problems) {
+    const spec = raw === undefined ? {} : raw;
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+        problems.push('registration: must be an object { mode, registrar, attestationTtl }');
+        return { mode: 'proof-length', id: 0, registrar: null, attestationTtl: 3600 };
+    }
+    const mode = spec.mode === undefined ? 'proof-length' : spec.mode;
+    const id = REGISTRATION_MODES.indexOf(mode);
+    if (id < 0) {
+        problems.push(`registration.mode: "${mode}" is not one of ${REGISTRATION_MODES.join(', ')}`);
+    }
+    let registrar = null;
+    if (mode === 'attestation') {
+        registrar = resolveIdentity(spec.registrar || { account: 0 }, 'registration.registrar', problems);
+        if (registrar && !registrar.privateKey) {
+            problems.push('registration.registrar: needs "account" or "privateKey" to sign attestations');
+        }
+    }
+    const attestationTtl = spec.attestationTtl === undefined ? 3600 : spec.attestationTtl;
+    if (!isPositiveInteger(attestationTtl)) {
+        problems.push('registration.attestationTtl: must be a positive integer (s)');
+    }
+    return { mode, id, registrar, attestationTtl };
+}
+
+/**
+ * Validate the rate estimation mode; MCS levels are scaled like the contract
+ * (SNR threshold as SNR*1000000, efficiency in bit/s/Hz * 1000)
+ * @returns {Object} { mode, id, mcsTable } (mcsTable is null unless the mode is mcs)
+ */
+function validateRateEstimation(raw, problems) {
+    const spec = typeof raw === 'string' ? { mode: raw } : (raw || {});
+    const mode = spec.mode === undefined ? 'linear' : spec.mode;
+    const id = RATE_MODES.indexOf(mode);
+    if (id < 0) {
+        problems.push(`rateEstimation.mode: "${mode}" is not one of ${RATE_MODES.join(', ')}`);
+    }
+    if (mode !== 'mcs') {
+        if (spec.mcsTable !== undefined) {
+            problems.push('rateEstimation.mcsTable: only used by the mcs mode');
+        }
+        return { mode, id, mcsTable: null };
+    }
+    const levels = spec.mcsTable === undefined ? LTE_CQI_TABLE : spec.mcsTable;
+    if (!Array.isArray(levels) || levels.length === 0 || levels.length > MAX_MCS_LEVELS) {
+        problems.push(`rateEstimation.mcsTable: must be an array of 1 to ${MAX_MCS_LEVELS} { snrDb, efficiency } levels`);
+        return { mode, id, mcsTable: null };
+    }
+    const mcsTable = levels.map((level, i) => {
+        const where = `rateEstimation.mcsTable[${i}]`;
+        if (!level || typeof level.snrDb !== 'number' || !Number.isFinite(level.snrDb)) {
+            problems.push(`${where}.snrDb: must be a number (dB)`);
+            return null;
+        }
+        if (typeof level.efficiency !== 'number' || !(level.efficiency > 0) || level.efficiency > MAX_EFFICIENCY) {
+            problems.push(`${where}.efficiency: must be a number between 0 and ${MAX_EFFICIENCY} (bit/s/Hz)`);
+            return null;
+        }
+        return { minSnr: Math.round(10 ** (level.snrDb / 10) * 1000000), efficiency: Math.round(level.efficiency * 1000) };
+    });
+    mcsTable.forEach((level, i) => {
+        if (i > 0 && level && mcsTable[i - 1] && level.minSnr <= mcsTable[i - 1].minSnr) {
+            problems.push(`rateEstimation.mcsTable[${i}].snrDb: thresholds must be strictly increasing`);
+        }
+    });
+    return { mode, id, mcsTable };
+}
+
+/**
+ * Validate the scheduling policy; beta and weights are scaled by 100 for the contract
+ */
+function validatePolicy(raw, usersCount, problems) {
+    const spec = typeof raw === 'string' ? { name: raw } : (raw || { name: 'proportional-fair' });
+    const id = SCHEDULING_POLICIES.indexOf(spec.name);
+    if (id < 0) {
+        problems.push(`policy.name: "${spec.name}" is not one of ${SCHEDULING_POLICIES.join(', ')}`);
+        return null;
+    }
+    const beta = spec.beta === undefined ? 1 : spec.beta;
+    if (typeof beta !== 'number' || beta < 0 || beta > 10) {
+        problems.push('policy.beta: must be a number between 0 and 10');
+    }
+    let weights = null;
+    if (spec.weights !== undefined) {
+        if (!Array.isArray(spec.weights) || spec.weights.length !== usersCount) {
+            problems.push(`policy.weights: must have ${usersCount} entries (one per user)`);
+        } else if (!spec.weights.every(w => typeof w === 'number' && w > 0)) {
+            problems.push('policy.weights: weights must be positive numbers');
+        } else if (spec.weights.some(w => Math.round(w * 100) === 0)) {
+            // A weight of 0 on the contract means unset, i.e. a weight of 1
+            problems.push('policy.weights: weights must be at least 0.01 (the contract scales them by 100)');
+        } else {
+            weights = spec.weights.map(w => Math.round(w * 100));
+        }
+    }
+    return { name: spec.name, id, beta: Math.round(beta * 100), weights };
+}
+
+/**
+ * Validate the scheduling logic upgrades of a run: from a round on, a new logic contract
+ * (SchedulingLogic or a contract deriving from it) schedules from the same throughput state,
+ * optionally under another policy
+ * @param {Array} raw - Entries { round, logic, policy }
+ * @returns {Object[]} Upgrades { round, logic, policy } sorted by round (stable), policy null when unchanged
+ */
+function validateUpgrades(raw, usersCount, rounds, problems) {
+    if (raw === undefined) {
+        return [];
+    }
+    if (!Array.isArray(raw)) {
+        problems.push('upgrades: must be an array of { round, logic, policy }');
+        return [];
+    }
+    const upgrades = [];
+    raw.forEach((entry, i) => {
+        const where = `upgrades[${i}]`;
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            problems.push(`${where}: must be an object`);
+            return;
+        }
+        for (const field of Object.keys(entry)) {
+            if (!UPGRADE_FIELDS.includes(field)) {
+                problems.push(`${where}.${field}: not a field of an upgrade (${UPGRADE_FIELDS.join(', ')})`);
+            }
+        }
+        if (!Number.isInteger(entry.round) || entry.round < 1 || (Number.isInteger(rounds) && entry.round > rounds)) {
+            problems.push(`${where}.round: must be a round number between 1 and ${rounds}`);
+            return;
+        }
+        const logic = entry.logic === undefined ? DEFAULT_SCHEDULING_LOGIC : entry.logic;
+        if (typeof logic !== 'string' || !/^[A-Za-z_$][\w$]*$/.test(logic)) {
+            problems.push(`${where}.logic: must be the name of a scheduling logic contract`);
+        }
+        let policy = null;
+        if (entry.policy !== undefined) {
+            const policyProblems = [];
+            policy = validatePolicy(entry.policy, usersCount, policyProblems);
+            policyProblems.forEach(problem => problems.push(`${where}.${problem}`));
+        }
+        upgrades.push({ round: entry.round, logic, policy });
+    });
+    return upgrades.sort((a, b) => a.round - b.round);
+}
+
+/**
+ * Validate user funding: a default deposit (ETH) that users may override with their own "deposit"
+ */
+function validateFunding(raw, users, problems) {
+    const spec = raw || {};
+    const toWei = (value, where) => {
+        try {
+            return ethers.utils.parseEther(String(value)).toString();
+        } catch (_) {
+            problems.push(`${where}: "${value}" is not an ETH amount`);
+            return '0';
+        }
+    };
+    const defaultDeposit = spec.deposit === undefined ? '1' : spec.deposit;
+    const deposits = (Array.isArray(users) ? users : []).map((user, i) =>
+        user && user.deposit !== undefined
+            ? toWei(user.deposit, `users[${i}].deposit`)
+            : toWei(defaultDeposit, 'funding.deposit'));
+    const insufficientFunds = spec.insufficientFunds || 'skip';
+    if (!INSUFFICIENT_FUNDS_POLICIES.includes(insufficientFunds)) {
+        problems.push(`funding.insufficientFunds: must be one of ${INSUFFICIENT_FUNDS_POLICIES.join(', ')}`);
+    }
+    return { deposits, insufficientFunds, insufficientFundsId: INSUFFICIENT_FUNDS_POLICIES.indexOf(insufficientFunds) };
+}
+
+/**
+ * Validate the scenario object and fill in derived values
+ * @param {Object} raw - Parsed scenario
+ * @param {string} file - Source file (for error messages)
+ * @returns {Object} Normalized scenario
+ */
+function validateScenario(raw, file = '<inline>') {
+    const problems = [];
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new ScenarioError(file, ['top level must be an object']);
+    }
+
+    // Users always sign their reports, operators only when countersignatures are required
+    // or when every participant registers itself
+    const reports = raw.reports || {};
+    const operatorSignature = reports.operatorSignature === true;
+    const registration = validateRegistration(raw.registration, problems);
+    const selfRegistration = registration.mode === 'self';
+    const requireProof = registration.mode === 'proof-length';
+    const seen = new Map();
+    const operators = validateParticipants(raw.operators, 'operators', problems, seen,
+        operatorSignature ? 'to sign CSI reports' : (selfRegistration ? 'to register itself' : null), requireProof);
+    const users = validateParticipants(raw.users, 'users', problems, seen, 'to sign CSI reports', requireProof);
+
+    // Rate history entries kept on-chain per user-operator pair (0 = all of them)
+    const historyWindow = reports.historyWindow === undefined ? 0 : reports.historyWindow;
+    if (!Number.isInteger(historyWindow) || historyWindow < 0) {
+        problems.push('reports.historyWindow: must be a non-negative integer (0 keeps the whole history)');
+    }
+
+    // Scheduling interval (ms), also the round duration of the channel model
+    const schedulingInterval = raw.schedulingInterval === undefined ? 50 : raw.schedulingInterval;
+    if (!isPositiveInteger(schedulingInterval)) {
+        problems.push('schedulingInterval: must be a positive integer (ms)');
+    }
+
+    // Channel model used to generate the CSI
+    const channel = validateChannel(raw.channel, raw, schedulingInterval, problems);
+    const derivedSNR = channel !== null && channel.model === 'path-loss';
+
+    // SNR matrix: one row per operator, one column per user (linear mean SNR),
+    // derived from the positions by the path-loss model
+    const operatorsCount = Array.isArray(raw.operators) ? raw.operators.length : 0;
+    const usersCount = Array.isArray(raw.users) ? raw.users.length : 0;
+    if (derivedSNR) {
+        if (raw.snr !== undefined) {
+            problems.push('snr: the path-loss model derives the mean SNR from the positions, remove "snr"');
+        }
+    } else if (!Array.isArray(raw.snr)) {
+        problems.push('snr: must be an array with one row per operator');
+    } else {
+        if (raw.snr.length !== operatorsCount) {
+            problems.push(`snr: has ${raw.snr.length} rows but ${operatorsCount} operators are defined`);
+        }
+        raw.snr.forEach((row, k) => {
+            if (!Array.isArray(row) || row.length !== usersCount) {
+                problems.push(`snr[${k}]: must have ${usersCount} entries (one per user)`);
+                return;
+            }
+            row.forEach((value, n) => {
+                if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+                    problems.push(`snr[${k}][${n}]: mean SNR must be a positive number, got ${JSON.stringify(value)}`);
+                }
+            });
+        });
+    }
+
+    // Round count: explicit "rounds", or derived from totalTime (s) and schedulingInterval (ms)
+    let rounds = raw.rounds;
+    if (rounds === undefined) {
+        if (typeof raw.totalTime !== 'number' || raw.totalTime <= 0) {
+            problems.push('rounds: either "rounds" or a positive "totalTime" (s) is required');
+        } else {
+            rounds = Math.floor(raw.totalTime * 1000 / schedulingInterval);
+        }
+    }
+    if (rounds !== undefined && !isPositiveInteger(rounds)) {
+        problems.push('rounds: must be a positive integer');
+    }
+
+    const sampleInterval = raw.sampleInterval === undefined ? 100 : raw.sampleInterval;
+    if (!isPositiveInteger(sampleInterval)) {
+        problems.push('sampleInterval: must be a positive integer');
+    }
+    const detailRounds = raw.detailRounds === undefined ? [] : raw.detailRounds;
+    if (!Array.isArray(detailRounds) || !detailRounds.every(isPositiveInteger)) {
+        problems.push('detailRounds: must be an array of positive round numbers');
+    }
+
+    if (raw.seed !== undefined && !['string', 'number'].includes(typeof raw.seed)) {
+        problems.push('seed: must be a string or a number');
+    }
+
+    const policy = validatePolicy(raw.policy, usersCount, problems);
+    // Scheduling logic swapped during the run
+    const upgrades = validateUpgrades(raw.upgrades, usersCount, rounds, problems);
+    const rateEstimation = validateRateEstimation(raw.rateEstimation, problems);
+    const funding = validateFunding(raw.funding, raw.users, problems);
+    // Downlink traffic of every user (scenario default, users may override it)
+    const traffic = validateTraffic(raw.traffic, raw.users, problems);
+    users.forEach((user, n) => {
+        if (user) {
+            user.traffic = traffic[n];
+        }
+    });
+
+    // Users and operators joining, leaving or suspended during the run
+    const lifecycle = validateLifecycle(raw.lifecycle, usersCount, operatorsCount, rounds, problems);
+
+    if (problems.length > 0) {
+        throw new ScenarioError(file, problems);
+    }
+
+    return {
+        name: raw.name || path.basename(file).replace(/\.(json|ya?ml)$/i, ''),
+        file,
+        operators,
+        users,
+        snr: derivedSNR ? initialPathLossSNR(channel, operators, users) : raw.snr,
+        channel,
+        seed: raw.seed === undefined ? undefined : String(raw.seed),
+        reports: { operatorSignature, historyWindow },
+        registration,
+        rateEstimation,
+        policy,
+        upgrades,
+        funding,
+        lifecycle,
+        rounds,
+        schedulingInterval,
+        sampleInterval,
+        detailRounds
+    };
+}
+
+/**
+ * Load and validate a scenario
+ * @param {string} [file] - Scenario path; defaults to the command line / environment / default scenario
+ * @param {Object} [overrides] - Top-level fields replacing those of the file, e.g. { rounds } of a
+ *                               hardhat task (undefined fields are ignored)
+ */
+function loadScenario(file = resolveScenarioPath(), overrides = {}) {
+    const raw = readScenarioFile(file);
+    if (raw && typeof raw === 'object') {
+        for (const [field, value] of Object.entries(overrides)) {
+            if (value !== undefined) {
+                raw[field] = value;
+            }
+        }
+    }
+    return validateScenario(raw, file);
+}
+
+module.exports = { loadScenario, validateScenario, validatePolicy, resolveScenarioPath, resolveSeed, readOption, ScenarioError, DEFAULT_SCENARIO, DEFAULT_SCHEDULING_LOGIC, SCHEDULING_POLICIES, INSUFFICIENT_FUNDS_POLICIES, REGISTRATION_MODES, RATE_MODES, LTE_CQI_TABLE, TARIFF_MODELS };
@@ -0,0 +1,54 @@
+// seeded-random.js - Seeded Pseudo-Random Number Generator for Reproducible Runs
+
+/**
+ * Hash a seed string into four 32-bit words (cyrb128)
+ */
+function hashSeed(seed) {
+    const str = String(seed);
+    let h1 = 1779033703, h2 = 3144134277, h3 = 1013904242, h4 = 2773480762;
+    for (let i = 0; i < str.length; i++) {
+        const c = str.charCodeAt(i);
+        h1 = h2 ^ Math.imul(h1 ^ c, 597399067);
+        h2 = h3 ^ Math.imul(h2 ^ c, 2869860233);
+        h3 = h4 ^ Math.imul(h3 ^ c, 951274213);
+        h4 = h1 ^ Math.imul(h4 ^ c, 2716044179);
+    }
+    h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+    h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+    h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+    h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+    return [(h1 ^ h2 ^ h3 ^ h4) >>> 0, (h2 ^ h1) >>> 0, (h3 ^ h1) >>> 0, (h4 ^ h1) >>> 0];
+}
+
+/**
+ * Create a seeded uniform random source (sfc32), a drop-in replacement for Math.random
+ * @param {string|number} seed - Seed; the same seed always gives the same sequence
+ * @returns {Function} Function returning numbers in [0, 1)
+ */
+function createRandom(seed) {
+    let [a, b, c, d] = hashSeed(seed);
+    const next = () => {
+        a >>>= 0; b >>>= 0; c >>>= 0; d >>>= 0;
+        const t = (a + b | 0) + d | 0;
+        d = d + 1 | 0;
+        a = b ^ (b >>> 9);
+        b = c + (c << 3) | 0;
+        c = (c << 21) | (c >>> 11);
+        c = c + t | 0;
+        return (t >>> 0) / 4294967296;
+    };
+    // Discard the first outputs, they are poorly mixed for similar seeds
+    for (let i = 0; i < 15; i++) {
+        next();
+    }
+    return next;
+}
+
+/**
+ * Draw a fresh seed for runs started without one (printed and saved so they can be repeated)
+ */
+function randomSeed() {
+    return String(Math.floor(Math.random() * 2 ** 32));
+}
+
+module.exports = { createRandom, randomSeed };
@@ -0,0 +1,284 @@
+// traffic-models.js - Downlink Traffic Demand of Users and Queueing Delays
+const { createRandom } = require('./seeded-random');
+
+// Traffic models, in SchedulingContract.TrafficModel order
+const TRAFFIC_MODELS = ['full-buffer', 'poisson', 'bursty', 'file'];
+// Fields of each model besides "model"
+const TRAFFIC_FIELDS = {
+    'full-buffer': [],
+    poisson: ['rate', 'packetSize'],
+    bursty: ['rate', 'packetSize', 'on', 'off'],
+    file: ['size', 'start']
+};
+// Size of the packets of Poisson and bursty arrivals (bits)
+const DEFAULT_PACKET_SIZE = 1000;
+// Mean length of the on and off periods of bursty sources (rounds)
+const DEFAULT_BURST_ROUNDS = 10;
+
+/**
+ * Packets of a unit-rate Poisson process within an interval of length mean: exponential gaps counted
+ * until the interval is over
+ */
+function poissonCount(mean, rng) {
+    let count = 0;
+    let t = -Math.log(1 - rng());
+    while (t < mean) {
+        count++;
+        t -= Math.log(1 - rng());
+    }
+    return count;
+}
+
+/**
+ * Generates the bits arriving for every user at every round, from the users' traffic models
+ */
+class TrafficSource {
+    /**
+     * @param {Object} scenario - Normalized scenario (users with their traffic, schedulingInterval)
+     * @param {Function} [rng] - Uniform random source (default Math.random)
+     */
+    constructor(scenario, rng = Math.random) {
+        this.specs = scenario.users.map(u => u.traffic);
+        this.intervalMs = scenario.schedulingInterval;
+        this.rng = rng;
+        this.round = 0;
+        // Bursty sources start on with the stationary probability on / (on + off)
+        this.on = this.specs.map(spec => spec.model === 'bursty' && this.rng() < spec.on / (spec.on + spec.off));
+        this.delivered = this.specs.map(() => false);
+    }
+
+    /**
+     * Whether a user has a queue (every model but full buffer)
+     */
+    queued(n) {
+        return this.specs[n].model !== 'full-buffer';
+    }
+
+    packets(spec) {
+        return poissonCount(spec.rate * this.intervalMs / spec.packetSize, this.rng) * spec.packetSize;
+    }
+
+    /**
+     * Bits arriving in the next round. Arrivals are drawn for every user, so that the random sequence
+     * does not depend on the lifecycle, but only kept for registered users; a file waits for its user
+     * to be registered.
+     * @param {Function} isRegistered - (n) => whether user n is registered in this round
+     * @returns {number[]} Bits per user (0 for full-buffer users)
+     */
+    nextRound(isRegistered) {
+        this.round++;
+        return this.specs.map((spec, n) => {
+            let bits = 0;
+            switch (spec.model) {
+                case 'poisson':
+                    bits = this.packets(spec);
+                    break;
+                case 'bursty':
+                    if (this.on[n]) {
+                        bits = this.packets(spec);
+                    }
+                    // On and off periods last a geometric number of rounds
+                    if (this.rng() < 1 / (this.on[n] ? spec.on : spec.off)) {
+                        this.on[n] = !this.on[n];
+                    }
+                    break;
+                case 'file':
+                    if (!this.delivered[n] && this.round >= spec.start && isRegistered(n)) {
+                        this.delivered[n] = true;
+                        bits = spec.size;
+                    }
+                    break;
+            }
+            return isRegistered(n) ? bits : 0;
+        });
+    }
+}
+
+/**
+ * Follows the queue of every user off-chain, first in first out, to measure queueing delays.
+ * A bit served in the round it arrived has a delay of one scheduling interval.
+ */
+class QueueTracker {
+    /**
+     * @param {Object[]} specs - Traffic model of every user
+     * @param {number} intervalMs - Scheduling interval (ms)
+     */
+    constructor(specs, intervalMs) {
+        this.specs = specs;
+        this.intervalMs = intervalMs;
+        this.rounds = 0;
+        this.queues = specs.map(() => []);
+        this.backlog = specs.map(() => 0);
+        this.arrived = specs.map(() => 0);
+        this.served = specs.map(() => 0);
+        // Sum over the served bits of their delay (bit·ms), and over the rounds of the backlog (bits)
+        this.delaySum = specs.map(() => 0);
+        this.queueSum = specs.map(() => 0);
+        this.completionRound = specs.map(() => null);
+    }
+
+    arrive(n, round, bits) {
+        if (bits > 0) {
+            this.queues[n].push({ round, bits });
+            this.backlog[n] += bits;
+            this.arrived[n] += bits;
+        }
+    }
+
+    /**
+     * Serve bits of a user's queue, oldest arrivals first
+     */
+    serve(n, round, bits) {
+        const queue = this.queues[n];
+        this.served[n] += bits;
+        this.backlog[n] -= bits;
+        while (bits > 0 && queue.length > 0) {
+            const head = queue[0];
+            const taken = Math.min(bits, head.bits);
+            this.delaySum[n] += taken * (round - head.round + 1) * this.intervalMs;
+            head.bits -= taken;
+            bits -= taken;
+            if (head.bits === 0) {
+                queue.shift();
+            }
+        }
+        if (this.specs[n].model === 'file' && this.arrived[n] > 0 && this.backlog[n] === 0 && this.completionRound[n] === null) {
+            this.completionRound[n] = round;
+        }
+    }
+
+    /**
+     * Account the backlogs left at the end of a round
+     */
+    endRound() {
+        this.rounds++;
+        this.backlog.forEach((bits, n) => {
+            this.queueSum[n] += bits;
+        });
+    }
+
+    /**
+     * Per-user traffic summary; loads and rates in Kbps, delays in ms, queues in bits
+     * (null for full-buffer users, which have no queue)
+     */
+    summary() {
+        const durationMs = Math.max(this.rounds, 1) * this.intervalMs;
+        return this.specs.map((spec, n) => {
+            if (spec.model === 'full-buffer') {
+                return { model: spec.model, offeredLoad: null, servedRate: null, meanDelay: null, meanQueue: null, backlog: null, completionRound: null };
+            }
+            return {
+                model: spec.model,
+                offeredLoad: this.arrived[n] / durationMs,
+                servedRate: this.served[n] / durationMs,
+                meanDelay: this.served[n] > 0 ? this.delaySum[n] / this.served[n] : null,
+                meanQueue: this.queueSum[n] / Math.max(this.rounds, 1),
+                backlog: this.backlog[n],
+                completionRound: this.completionRound[n]
+            };
+        });
+    }
+}
+
+function formatValue(value, digits = 2) {
+    return value === null ? '-' : value.toFixed(digits);
+}
+
+/**
+ * Print the traffic summary as a table
+ * @param {Object[]} summary - QueueTracker.summary()
+ * @param {string[]} userNames - User names
+ */
+function printTrafficSummary(summary, userNames) {
+    console.log(`\n🚦 Traffic demand and queues:\n`);
+    console.log(`    User        Traffic        Offered (Kbps)   Served (Kbps)   Mean delay (ms)   Mean queue (bits)   Backlog (bits)   File done`);
+    console.log(`    ----------  -----------    --------------   -------------   ---------------   -----------------   --------------   ---------`);
+    userNames.forEach((name, n) => {
+        const s = summary[n];
+        const done = s.completionRound !== null ? `round ${s.completionRound}` : '-';
+        console.log(`    ${name.padEnd(10)}  ${s.model.padEnd(11)}    ${formatValue(s.offeredLoad).padStart(14)}   ${formatValue(s.servedRate).padStart(13)}   ${formatValue(s.meanDelay, 1).padStart(15)}   ${formatValue(s.meanQueue, 0).padStart(17)}   ${(s.backlog === null ? '-' : String(s.backlog)).padStart(14)}   ${done}`);
+    });
+}
+
+/**
+ * Random source of the arrivals, separate from the CSI one so that traffic does not change the channel
+ * @param {string} seed - Seed of the run
+ */
+function trafficRandom(seed) {
+    return createRandom(`${seed}:traffic`);
+}
+
+/**
+ * Traffic settings of the contracts: model id of every user and round length (ms)
+ */
+function trafficParameters(scenario) {
+    return { models: scenario.users.map(u => u.traffic.id), slotDuration: scenario.schedulingInterval };
+}
+
+function isPositiveNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+/**
+ * Validate one traffic model, collecting problems
+ * @returns {Object|null} { model, id, rate, packetSize, on, off, size, start } (only the fields of the model)
+ */
+function validateTrafficSpec(raw, where, problems) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        problems.push(`${where}: must be an object { model, ... }`);
+        return null;
+    }
+    const id = TRAFFIC_MODELS.indexOf(raw.model);
+    if (id < 0) {
+        problems.push(`${where}.model: "${raw.model}" is not one of ${TRAFFIC_MODELS.join(', ')}`);
+        return null;
+    }
+    for (const field of Object.keys(raw)) {
+        if (field !== 'model' && !TRAFFIC_FIELDS[raw.model].includes(field)) {
+            problems.push(`${where}.${field}: not a field of the ${raw.model} model`);
+        }
+    }
+    const spec = { model: raw.model, id };
+    if (raw.model === 'poisson' || raw.model === 'bursty') {
+        spec.rate = raw.rate;
+        if (!isPositiveNumber(spec.rate)) {
+            problems.push(`${where}.rate: must be a positive mean arrival rate (Kbps)`);
+        }
+        spec.packetSize = raw.packetSize === undefined ? DEFAULT_PACKET_SIZE : raw.packetSize;
+        if (!Number.isInteger(spec.packetSize) || spec.packetSize <= 0) {
+            problems.push(`${where}.packetSize: must be a positive integer (bits)`);
+        }
+    }
+    if (raw.model === 'bursty') {
+        spec.on = raw.on === undefined ? DEFAULT_BURST_ROUNDS : raw.on;
+        spec.off = raw.off === undefined ? DEFAULT_BURST_ROUNDS : raw.off;
+        if (!(typeof spec.on === 'number' && spec.on >= 1) || !(typeof spec.off === 'number' && spec.off >= 1)) {
+            problems.push(`${where}: "on" and "off" must be mean period lengths of at least 1 round`);
+        }
+    }
+    if (raw.model === 'file') {
+        spec.size = raw.size;
+        if (!Number.isInteger(spec.size) || spec.size <= 0) {
+            problems.push(`${where}.size: must be a positive integer (bits)`);
+        }
+        spec.start = raw.start === undefined ? 1 : raw.start;
+        if (!Number.isInteger(spec.start) || spec.start < 1) {
+            problems.push(`${where}.start: must be a round number`);
+        }
+    }
+    return spec;
+}
+
+/**
+ * Validate the traffic of the users: a default model that users may override with their own "traffic"
+ * @param {Object} [raw] - Default traffic (full buffer if absent)
+ * @param {Array} users - Raw users
+ * @returns {Object[]} Traffic model of every user
+ */
+function validateTraffic(raw, users, problems) {
+    const fallback = raw === undefined ? { model: 'full-buffer', id: 0 } : validateTrafficSpec(raw, 'traffic', problems);
+    return (Array.isArray(users) ? users : []).map((user, i) =>
+        (user && user.traffic !== undefined ? validateTrafficSpec(user.traffic, `users[${i}].traffic`, problems) : fallback));
+}
+
+module.exports = { TrafficSource, QueueTracker, printTrafficSummary, validateTraffic, trafficRandom, trafficParameters, poissonCount, TRAFFIC_MODELS };
@@ -2,11 +2,17 @@
 const { ethers } = require("hardhat");
 const ResultFormatter = require('./result-formatter');
 
+// Platform contracts, whose interfaces decode logs emitted by a contract other than the one called
+const PLATFORM_CONTRACTS = ['RegistrationContract', 'StatusReportingContract', 'SchedulingContract', 'SettlementContract'];
+
 class TransactionViewer {
     constructor() {
         this.transactionHistory = [];
         this.currentBlockNumber = 0;
         this.formatter = new ResultFormatter();
+        // Interface of every contract called so far, by address
+        this.interfaces = new Map();
+        this.platformInterfaces = null;
     }
 
     /**
@@ -135,7 +141,16 @@ class TransactionViewer {
                 decoded.parameters = {
                     user: args[0],
                     operator: args[1],
-                    csi: args[2]
+                    round: args[2],
+                    nonce: args[3],
+                    csi: args[4],
+                    userSignature: args[5],
+                    operatorSignature: args[6]
+                };
+                break;
+            case 'submitReports':
+                decoded.parameters = {
+                    reports: args[0].length
                 };
                 break;
             case 'updateScheduling':
@@ -167,24 +182,77 @@ class TransactionViewer {
         const methodSignatures = {
             'constructor': 'RegistrationContract.(constructor)',
             'register': 'RegistrationContract.register(address,bytes,bool)',
-            'submitReport': 'StatusReportingContract.submitReport(address,address,uint256)',
+            'submitReport': 'StatusReportingContract.submitReport(address,address,uint256,uint256,bytes,bytes,bytes)',
+            'submitReports': 'StatusReportingContract.submitReports((address,address,uint256,uint256,bytes,bytes,bytes)[])',
             'updateScheduling': 'SchedulingContract.updateScheduling()',
             'processScheduledTransactions': 'SchedulingContract.processScheduledTransactions()',
             'settle': 'SettlementContract.settle()',
             'setRegistrationContract': 'SchedulingContract.setRegistrationContract(address)',
             'setSchedulingContract': 'SettlementContract.setSchedulingContract(address)',
-            'setStatusReportingContract': 'SchedulingContract.setStatusReportingContract(address)'
+            'setStatusReportingContract': 'SchedulingContract.setStatusReportingContract(address)',
+            'setPolicy': 'SchedulingContract.setPolicy(uint8,uint256)',
+            'setUserWeight': 'SchedulingContract.setUserWeight(address,uint256)',
+            'grantRole': 'PlatformAccess.grantRole(bytes32,address)',
+            'setSettlementContract': 'SchedulingContract.setSettlementContract(address)',
+            'setInsufficientFundsPolicy': 'SettlementContract.setInsufficientFundsPolicy(uint8)',
+            'depositFor': 'SettlementContract.depositFor(address)',
+            'setRequireOperatorSignature': 'StatusReportingContract.setRequireOperatorSignature(bool)',
+            'setHistoryWindow': 'StatusReportingContract.setHistoryWindow(uint256)',
+            'setResourceBlocks': 'SchedulingContract.setResourceBlocks(address,uint256)',
+            'setOperatorBandwidth': 'SchedulingContract.setOperatorBandwidth(address,uint256)',
+            'setTrafficModel': 'SchedulingContract.setTrafficModel(address,uint8)',
+            'setSlotDuration': 'SchedulingContract.setSlotDuration(uint256)',
+            'addDemand': 'SchedulingContract.addDemand(address[],uint256[])',
+            'setRateMode': 'StatusReportingContract.setRateMode(uint8)',
+            'setMcsTable': 'StatusReportingContract.setMcsTable(uint256[],uint256[])',
+            'publishTariff': 'SettlementContract.publishTariff(address,(uint8,uint256,uint256[],uint256[],uint256,uint256,uint256))',
+            'deregister': 'RegistrationContract.deregister(address)',
+            'suspend': 'RegistrationContract.suspend(address)',
+            'reactivate': 'RegistrationContract.reactivate(address)',
+            'updateProof': 'RegistrationContract.updateProof(address,bytes)',
+            'setVerificationMode': 'RegistrationContract.setVerificationMode(uint8)',
+            'setRegistrar': 'RegistrationContract.setRegistrar(address)',
+            'setAllowlistRoot': 'RegistrationContract.setAllowlistRoot(bytes32)',
+            'createPlatform': 'PlatformFactory.createPlatform(address,address)',
+            'upgradeSchedulingLogic': 'SchedulingContract.upgradeSchedulingLogic(address)'
         };
         
         return methodSignatures[method] || `${method}()`;
     }
+    /**
+     * Decode a log with the interface of the contract that emitted it, falling back to the
+     * platform contract interfaces (e.g. RoundPhaseChanged of the scheduling contract in a settlement)
+     * @returns {Object|null} Parsed log, null if no interface knows the event
+     */
+    async parseLog(log, contract) {
+        if (!this.platformInterfaces) {
+            this.platformInterfaces = [];
+            for (const name of PLATFORM_CONTRACTS) {
+                this.platformInterfaces.push((await ethers.getContractFactory(name)).interface);
+            }
+        }
+        const emitter = this.interfaces.get(log.address.toLowerCase());
+        for (const iface of [emitter, contract.interface, ...this.platformInterfaces]) {
+            if (!iface) continue;
+            try {
+                return iface.parseLog(log);
+            } catch (error) {
+                // Not an event of this interface
+            }
+        }
+        return null;
+    }
+
     async decodeLogs(logs, contract) {
         const decodedLogs = [];
+        if (contract.address) {
+            this.interfaces.set(contract.address.toLowerCase(), contract.interface);
+        }
         
         for (const log of logs) {
             try {
                 // Try to decode events
-                const parsedLog = contract.interface.parseLog(log);
+                const parsedLog = await this.parseLog(log, contract);
                 if (parsedLog) {
                     // Use actual parameter names to build args (fallback to index if no name)
                     const namedArgs = {};